@@ -8,10 +8,11 @@ process.UV_THREADPOOL_SIZE = CPUS.length;
 
 const stream = require('stream');
 const crypto = require('crypto');
+const { PerformanceObserver } = require('perf_hooks');
 const ReedSolomon = require('@ronomon/reed-solomon');
 
 const ecstream = require('./index');
-const { streamMe } = require('./test/utils');
+const { bufferEncodedObject, streamMe } = require('./test/utils');
 
 
 /**
@@ -53,7 +54,7 @@ function oneShotEncoding(data, k, m, stripeSize, kill) {
                 const latencyMs = 2 * ((elapsedS * 1e9) + elapsedNs) * 1e-6;
                 const bandwidth = 2 * data.length / (latencyMs * 1e-3) / (1e6);
                 console.log(['buffer', data.length, data.length,
-                             k, m, stripeSize, kill,
+                             k, m, stripeSize, kill, 1,
                              latencyMs, bandwidth].join(','));
                 resolve();
             });
@@ -70,9 +71,11 @@ function oneShotEncoding(data, k, m, stripeSize, kill) {
  * @param {Number} stripeSize - Length S of stripe (total = (k+m) * S)
  * @param {Number} kill - Number of missing parts
  * @param {Number} chunkSize - Chunk size to use
+ * @param {Number} concurrency - Number of stripes in flight
  * @return {Promise} Promise to wait on
  */
-function streamEncoding(data, k, m, stripeSize, kill, chunkSize) {
+function streamEncoding(data, k, m, stripeSize, kill, chunkSize,
+                        concurrency) {
     const dataStreams = [...Array(k).keys()].map(
         () => new stream.PassThrough());
     const parityStreams = [...Array(m).keys()].map(
@@ -106,7 +109,7 @@ function streamEncoding(data, k, m, stripeSize, kill, chunkSize) {
             // Note that output checking is also comprised in the measurement.
             const bandwidth = 2 * data.length / (latencyMs * 1e-3) / (1e6);
             console.log(['stream', data.length, chunkSize,
-                         k, m, stripeSize, kill,
+                         k, m, stripeSize, kill, concurrency,
                          latencyMs, bandwidth].join(','));
             resolve();
         });
@@ -114,29 +117,144 @@ function streamEncoding(data, k, m, stripeSize, kill, chunkSize) {
         // Pipe encoding output to decoder
         ecstream.encode(
             input, data.length,
-            dataStreams, parityStreams, stripeSize);
+            dataStreams, parityStreams, stripeSize, { concurrency });
         ecstream.decode(
             output,
             data.length,
             filteredDataStreams,
             filteredParityStreams,
-            stripeSize);
+            stripeSize,
+            { concurrency });
     });
 }
 
+/**
+ * Writable stream dropping everything written
+ *
+ * @return {stream.Writable} stream
+ */
+function sink() {
+    return new stream.Writable({
+        write(chunk, encoding, callback) {
+            callback();
+        },
+    });
+}
+
+
+/**
+ * Benchmark many contexts encoding and decoding at once,
+ * with or without a buffer pool
+ *
+ * @param {Buffer} data - Data to encode
+ * @param {[Buffer]} fragments - Encoded data, to decode
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} stripeSize - Length S of stripe (total = (k+m) * S)
+ * @param {Number} parallel - Number of encodings, and of decodings, at once
+ * @param {Object} gc - Garbage collections so far, in 'count' and 'ms'
+ * @param {boolean} pooled - Use a buffer pool
+ * @return {Promise} Promise to wait on
+ */
+function poolBenchmark(data, fragments, k, m, stripeSize, parallel, gc,
+                       pooled) {
+    const options = { concurrency: 2 };
+    if (pooled) {
+        options.bufferPool = new ecstream.BufferPool();
+    }
+    const contexts = [];
+    const gcStart = { count: gc.count, ms: gc.ms };
+
+    const start = process.hrtime();
+    for (let p = 0; p < parallel; ++p) {
+        const dataStreams = [...Array(k).keys()].map(() => sink());
+        const parityStreams = [...Array(m).keys()].map(() => sink());
+        contexts.push(ecstream.encodeAsync(
+            streamMe(data, 64 * 1024), data.length,
+            dataStreams, parityStreams, stripeSize, options));
+
+        // One data part missing, to actually decode
+        const inputs = fragments.map(f => streamMe(f, 64 * 1024));
+        inputs[p % k] = null;
+        contexts.push(ecstream.decodeAsync(
+            sink(), data.length, inputs.slice(0, k), inputs.slice(k),
+            stripeSize, options));
+    }
+
+    return Promise.all(contexts).then(() => {
+        const [elapsedS, elapsedNs] = process.hrtime(start);
+        const latencyMs = ((elapsedS * 1e9) + elapsedNs) * 1e-6;
+        const bandwidth = 2 * parallel * data.length /
+                  (latencyMs * 1e-3) / (1e6);
+        console.log([pooled ? 'pooled' : 'allocated', data.length,
+                     k, m, stripeSize, parallel, latencyMs, bandwidth,
+                     gc.count - gcStart.count, gc.ms - gcStart.ms].join(','));
+    });
+}
+
+
+/**
+ * Run buffer pool benchmarks
+ *
+ * @param {[[Number]]} codes - Each entry should be [k, m] to test
+ * @param {[Number]} stripeSizes - Stripe sizes to test
+ * @param {[Number]} parallels - Numbers of contexts at once to test
+ * @return {Promise} Promise to wait on, resolved when all benchmarks are finished
+ */
+function benchmarkPool(codes, stripeSizes, parallels) {
+    const randomBuffer = crypto.randomBytes(16 * 1024 * 1024 + 23);
+    const gc = { count: 0, ms: 0 };
+    const observer = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => {
+            gc.count++;
+            gc.ms += entry.duration;
+        });
+    });
+    observer.observe({ entryTypes: ['gc'] });
+
+    // Write CSV header
+    console.log('type,size,k,m,stripeSize,parallel,latencyMs,bandwidthMBs,gcCount,gcMs');
+
+    let promiseChain = Promise.resolve();
+
+    codes.forEach(code => {
+        const [k, m] = code;
+        stripeSizes.forEach(stripeSize => {
+            let fragments = null;
+            promiseChain = promiseChain
+                .then(() => bufferEncodedObject(randomBuffer, k, m, stripeSize))
+                .then(encoded => {
+                    fragments = encoded;
+                });
+            parallels.forEach(parallel => {
+                [false, true].forEach(pooled => {
+                    promiseChain = promiseChain.then(
+                        () => poolBenchmark(
+                            randomBuffer, fragments, k, m, stripeSize,
+                            parallel, gc, pooled));
+                });
+            });
+        });
+    });
+
+    return promiseChain.then(() => observer.disconnect());
+}
+
+
 /**
  * Run all benchmarks
  *
  * @param {[[Number]]} codes - Each entry should be [k, m] to test
  * @param {[Number]} stripeSizes - Stripe sizes to test
  * @param {[Number]} chunkSizes - Chunk sizes to test
+ * @param {[Number]} concurrencies - Numbers of stripes in flight to test
  * @return {Promise} Promise to wait on, resolved when all becnhmarks are finished
  */
-function benchmark(codes, stripeSizes, chunkSizes) {
+function benchmark(codes, stripeSizes, chunkSizes, concurrencies) {
     const randomBuffer = crypto.randomBytes(64 * 1024 * 1024 + 23);
 
     // Write CSV header
-    console.log('type,size,chunkSize,k,m,stripeSize,kill,latencyMs,bandwidthMBs');
+    console.log('type,size,chunkSize,k,m,stripeSize,kill,concurrency,latencyMs,bandwidthMBs');
 
     let promiseChain = Promise.resolve();
 
@@ -149,9 +267,12 @@ function benchmark(codes, stripeSizes, chunkSizes) {
                     () => oneShotEncoding(
                         randomBuffer, k, m, stripeSize, kill));
                 chunkSizes.forEach(chunkSize => {
-                    promiseChain = promiseChain.then(
-                        () => streamEncoding(
-                            randomBuffer, k, m, stripeSize, kill, chunkSize));
+                    concurrencies.forEach(concurrency => {
+                        promiseChain = promiseChain.then(
+                            () => streamEncoding(
+                                randomBuffer, k, m, stripeSize, kill,
+                                chunkSize, concurrency));
+                    });
                 });
             }
         });
@@ -165,6 +286,12 @@ function benchmark(codes, stripeSizes, chunkSizes) {
 if (typeof require !== 'undefined' && require.main === module) {
     const codes = [[2, 1], [4, 2], [9, 3], [5, 6], [24, 6]];
     const stripeSizes = [8192, 8192 * 4, 1024 * 1024];
-    const chunkSizes = [16 * 1024, 64 * 1024, 128 * 1024, 1024 * 1024, 8 * 1024 * 1024];
-    benchmark(codes, stripeSizes, chunkSizes);
+    if (process.argv[2] === 'pool') {
+        // Buffer pooling, with and without
+        benchmarkPool([[4, 2], [9, 3]], stripeSizes, [1, 8, 32]);
+    } else {
+        const chunkSizes = [16 * 1024, 64 * 1024, 128 * 1024, 1024 * 1024, 8 * 1024 * 1024];
+        const concurrencies = [1, 2, CPUS.length];
+        benchmark(codes, stripeSizes, chunkSizes, concurrencies);
+    }
 }
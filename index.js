@@ -1,6 +1,37 @@
 module.exports = {
     encode: require('./lib/encode').encode,
     decode: require('./lib/decode').decode,
+    decodeRange: require('./lib/decode').decodeRange,
     repair: require('./lib/repair').repair,
+    verify: require('./lib/verify').verify,
+    encodeAsync: require('./lib/encode').encodeAsync,
+    decodeAsync: require('./lib/decode').decodeAsync,
+    decodeRangeAsync: require('./lib/decode').decodeRangeAsync,
+    repairAsync: require('./lib/repair').repairAsync,
+    generateParity: require('./lib/repair').generateParity,
+    generateParityAsync: require('./lib/repair').generateParityAsync,
+    verifyAsync: require('./lib/verify').verifyAsync,
+    transcode: require('./lib/transcode').transcode,
+    transcodeAsync: require('./lib/transcode').transcodeAsync,
+    EncodeStream: require('./lib/streams').EncodeStream,
+    DecodeStream: require('./lib/streams').DecodeStream,
+    encodeWeb: require('./lib/streams').encodeWeb,
+    decodeWeb: require('./lib/streams').decodeWeb,
+    repairWeb: require('./lib/streams').repairWeb,
     safeStripeSize: require('./lib/dencode_context').safeStripeSize,
+    planRead: require('./lib/range').planRead,
+    parseHeader: require('./lib/header').parseHeader,
+    HEADER_SIZE: require('./lib/header').HEADER_SIZE,
+    AbortError: require('./lib/errors').AbortError,
+    StreamError: require('./lib/errors').StreamError,
+    BufferPool: require('./lib/buffer_pool').BufferPool,
+    sharedBufferPool: require('./lib/buffer_pool').sharedBufferPool,
+    reedSolomonCodec: require('./lib/codec').reedSolomonCodec,
+    jsReedSolomonCodec: require('./lib/codec').jsReedSolomonCodec,
+    nativeReedSolomonCodec: require('./lib/codec').nativeReedSolomonCodec,
+    wideReedSolomonCodec: require('./lib/codec').wideReedSolomonCodec,
+    getLRCCodec: require('./lib/lrc').getLRCCodec,
+    loadManifest: require('./lib/manifest').loadManifest,
+    FragmentStore: require('./lib/fragment_store').FragmentStore,
+    MANIFEST_VERSION: require('./lib/manifest').MANIFEST_VERSION,
 };
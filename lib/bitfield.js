@@ -0,0 +1,133 @@
+'use strict'; // eslint-disable-line strict
+/* global BigInt */
+
+/**
+ * Bitfields of stripe parts
+ *
+ * Sets of parts (sources, targets, waiting parts...) are bitfields, bit i
+ * standing for part i. They are numbers as long as every part fits in
+ * 32-bit bitwise operations (see MAX_NUMBER_PARTS), BigInts beyond, for
+ * wide codes. Bitwise operators work on both, but can not mix them: bits
+ * and constants of a code must come from the same Bitfields object (see
+ * getBitfields). Other helpers below work on both kinds.
+ */
+
+const assert = require('assert');
+
+/* Largest code using number bitfields (1 << n must stay positive) */
+const MAX_NUMBER_PARTS = 30;
+
+
+const numberBitfields = {
+    wide: false,
+    zero: 0,
+
+    bit(index) {
+        return 1 << index;
+    },
+
+    mask(count, first = 0) {
+        return ((1 << count) - 1) << first;
+    },
+
+    has(bitfield, index) {
+        return (bitfield & (1 << index)) !== 0;
+    },
+};
+
+
+/* BigInt is missing before Node.js 10.4: no wide codes there */
+const bigIntBitfields = typeof BigInt === 'function' && {
+    wide: true,
+    zero: BigInt(0),
+
+    bit(index) {
+        return BigInt(1) << BigInt(index);
+    },
+
+    mask(count, first = 0) {
+        return ((BigInt(1) << BigInt(count)) - BigInt(1)) << BigInt(first);
+    },
+
+    has(bitfield, index) {
+        return ((bitfield >> BigInt(index)) & BigInt(1)) === BigInt(1);
+    },
+};
+
+
+/**
+ * Get bitfield constructors for a code
+ *
+ * @param {Number} n - Number of parts of the code (k + m)
+ * @return {Object} bitfields:
+ *         - wide (boolean): bitfields are BigInts
+ *         - zero: empty bitfield
+ *         - bit(index): bitfield of a single part
+ *         - mask(count, first = 0): bitfield of 'count' parts from 'first'
+ *         - has(bitfield, index): whether a part is in a bitfield
+ */
+function getBitfields(n) {
+    if (n <= MAX_NUMBER_PARTS) {
+        return numberBitfields;
+    }
+    assert.ok(bigIntBitfields, 'Wide codes need BigInt support');
+    return bigIntBitfields;
+}
+
+
+/**
+ * Count bits set in a bitfield
+ *
+ * @param {Number|BigInt} bitfield - Bitfield to count
+ * @return {Number} number of set bits
+ */
+function popCount(bitfield) {
+    let count = 0;
+    // b & -b is the lowest set bit, whatever the kind of bitfield
+    for (let b = bitfield; b; b ^= b & -b) {
+        ++count;
+    }
+    return count;
+}
+
+
+/**
+ * Select lowest indexes of a bitfield
+ *
+ * @param {Number|BigInt} bitfield - Bitfield to select from
+ * @param {Number} count - Number of bits to keep
+ * @return {Number|BigInt} bitfield of the 'count' lowest set bits
+ */
+function lowestBits(bitfield, count) {
+    let selected = bitfield ^ bitfield;
+    let left = count;
+    for (let b = bitfield; b && left > 0; b ^= b & -b, --left) {
+        selected |= b & -b;
+    }
+    return selected;
+}
+
+
+/**
+ * List indexes of a bitfield
+ *
+ * @param {Number|BigInt} bitfield - Bitfield to list
+ * @return {[Number]} indexes of set bits, in increasing order
+ */
+function bitIndexes(bitfield) {
+    const indexes = [];
+    for (let b = bitfield; b; b ^= b & -b) {
+        // Powers of 2 are exact numbers
+        indexes.push(Math.log2(Number(b & -b)));
+    }
+    return indexes;
+}
+
+
+module.exports = {
+    MAX_NUMBER_PARTS,
+    bitIndexes,
+    getBitfields,
+    lowestBits,
+    popCount,
+};
@@ -0,0 +1,134 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Stripe buffer pooling
+ *
+ * Every stripe needs a data buffer and a parity buffer, freed once the
+ * stripe is streamed. Under load, contexts allocate and drop megabytes per
+ * stripe, keeping the garbage collector busy. A pool keeps released buffers
+ * for later stripes, of any context sharing it: buffers are bucketed by
+ * size, so that contexts with the same geometry reuse each other's.
+ *
+ * A stripe is released once every output write callback fired: outputs
+ * must be done with written chunks by then. Streams buffering chunks as is
+ * (PassThrough and other Transform streams) are not safe with a pool: stream
+ * classes and Web variants of streams.js, writing to such streams, refuse
+ * it.
+ */
+
+const assert = require('assert');
+
+
+/* Bytes kept by a pool for later use, by default */
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+
+class BufferPool {
+    /**
+     * Pool of reusable buffers, bucketed by size
+     *
+     * @constructor
+     * @param {Object} [options] - Pool settings
+     * @param {Number} [options.maxBytes] - Bytes kept for later use
+     *        (default 64MiB), buffers released beyond are left to the
+     *        garbage collector
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes === undefined ?
+            DEFAULT_MAX_BYTES : options.maxBytes;
+        assert.ok(Number.isInteger(this.maxBytes) && this.maxBytes >= 0);
+        // Released buffers, per size
+        this._buckets = new Map();
+        this.idleBytes = 0;
+        // Buffers allocated by this pool, and those sitting in buckets
+        this._owned = new WeakSet();
+        this._idle = new WeakSet();
+        // Statistics, for tuning purposes
+        this.allocated = 0;
+        this.reused = 0;
+    }
+
+    /**
+     * Get a buffer, reused whenever possible
+     *
+     * @param {Number} size - Buffer length
+     * @return {Buffer} uninitialized buffer
+     */
+    acquire(size) {
+        const bucket = this._buckets.get(size);
+        if (bucket && bucket.length > 0) {
+            const buffer = bucket.pop();
+            this._idle.delete(buffer);
+            this.idleBytes -= size;
+            this.reused++;
+            return buffer;
+        }
+        // Not sliced from Node shared pool, to be kept on its own
+        const buffer = Buffer.allocUnsafeSlow(size);
+        this._owned.add(buffer);
+        this.allocated++;
+        return buffer;
+    }
+
+    /**
+     * Give back a buffer for later use
+     *
+     * @param {Buffer} buffer - Buffer to release, ignored unless acquired
+     *                          from this pool
+     * @return {undefined}
+     */
+    release(buffer) {
+        if (!this._owned.has(buffer)) {
+            return;
+        }
+        assert.ok(!this._idle.has(buffer), 'Buffer released twice');
+        if (this.idleBytes + buffer.length > this.maxBytes) {
+            return;
+        }
+        let bucket = this._buckets.get(buffer.length);
+        if (!bucket) {
+            bucket = [];
+            this._buckets.set(buffer.length, bucket);
+        }
+        bucket.push(buffer);
+        this._idle.add(buffer);
+        this.idleBytes += buffer.length;
+    }
+
+    /**
+     * Drop every buffer kept for later use
+     *
+     * @return {undefined}
+     */
+    clear() {
+        this._buckets.clear();
+        this._idle = new WeakSet();
+        this.idleBytes = 0;
+    }
+}
+
+
+/* Pool shared by every context given 'bufferPool: true' */
+const sharedBufferPool = new BufferPool();
+
+
+/**
+ * Get pool to use for given options
+ *
+ * @param {undefined|boolean|BufferPool} bufferPool - Option given
+ * @return {null|BufferPool} pool to use, if any
+ */
+function getBufferPool(bufferPool) {
+    if (bufferPool === true) {
+        return sharedBufferPool;
+    }
+    assert.ok(!bufferPool || bufferPool instanceof BufferPool);
+    return bufferPool || null;
+}
+
+
+module.exports = {
+    BufferPool,
+    getBufferPool,
+    sharedBufferPool,
+};
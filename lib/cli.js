@@ -0,0 +1,582 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Command-line tool, see bin/ecstream
+ *
+ * Objects are directories of fragment files and manifest, handled through
+ * a FragmentStore rooted at their parent directory. Either file argument
+ * of encode and decode may be '-', for standard input or output.
+ *
+ * Exit codes:
+ * - 0: success
+ * - 1: operation failed
+ * - 2: bad usage
+ * - 3: object is damaged, but recoverable (verify)
+ * - 4: object is not recoverable (verify)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { promisify } = require('util');
+
+const { safeStripeSize } = require('./dencode_context');
+const { getManifestCodec } = require('./manifest');
+const { FragmentStore } = require('./fragment_store');
+
+const stat = promisify(fs.stat);
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_DAMAGED = 3;
+const EXIT_UNRECOVERABLE = 4;
+
+const DEFAULT_STRIPE_SIZE = '64k';
+/* Minimum delay between progress lines, in milliseconds */
+const PROGRESS_INTERVAL = 500;
+const UNITS = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+const USAGE = `Usage: ecstream <command> [options] <arguments>
+
+Commands:
+  encode [options] <input|-> <object directory>
+      --k <n>              number of data fragments (required)
+      --m <n>              number of parity fragments (required)
+      --stripe-size <size> stripe size hint (default ${DEFAULT_STRIPE_SIZE})
+      --codec <name>       reed-solomon (default), wide-reed-solomon
+                           or lrc-<local groups>
+      --size <size>        input length, when read from standard input
+      --header             prefix fragments with a header
+      --checksum           follow every chunk with a checksum
+      --no-digest          do not record fragment digests in manifest
+  decode <object directory> <output|->
+  repair [--missing <i,j...>] <object directory>
+      --missing <i,j...>   fragments known to be lost, rebuilt anyway
+  verify <object directory>
+      check consistency of every stripe
+  info <object directory>
+      show manifest and fragment health
+
+Common options:
+  --progress               report progress on standard error
+  --json                   print results as JSON (verify and info)
+  --help                   show this help
+
+Exit codes: 0 success, 1 failure, 2 bad usage,
+            3 damaged object, 4 unrecoverable object (verify)
+`;
+
+
+class UsageError extends Error {
+    /**
+     * Command line is invalid
+     *
+     * @constructor
+     * @param {String} message - What is wrong
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+
+/**
+ * Parse a size, with an optional binary unit suffix (k, m or g)
+ *
+ * @param {String} option - Option name, for errors
+ * @param {String} value - Size, e.g. '64k'
+ * @return {Number} size in bytes
+ * @throws {UsageError} if size is invalid
+ */
+function parseSize(option, value) {
+    const parsed = /^(\d+)([kmg]?)$/i.exec(value);
+    const size = parsed === null ? NaN :
+              Number(parsed[1]) * UNITS[parsed[2].toLowerCase()];
+    if (!Number.isSafeInteger(size)) {
+        throw new UsageError(`Invalid --${option}: ${value}`);
+    }
+    return size;
+}
+
+
+/**
+ * Parse a positive integer
+ *
+ * @param {String} option - Option name, for errors
+ * @param {String} value - Integer
+ * @return {Number} integer
+ * @throws {UsageError} if value is not a positive integer
+ */
+function parseCount(option, value) {
+    const count = /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!(count > 0)) {
+        throw new UsageError(`Invalid --${option}: ${value}`);
+    }
+    return count;
+}
+
+
+/**
+ * Parse a comma-separated list of fragment indexes
+ *
+ * @param {String} option - Option name, for errors
+ * @param {String} value - Indexes, e.g. '1,5'
+ * @return {[Number]} indexes
+ * @throws {UsageError} if an index is invalid
+ */
+function parseIndexes(option, value) {
+    return value.split(',').map(index => {
+        if (!/^\d+$/.test(index)) {
+            throw new UsageError(`Invalid --${option}: ${value}`);
+        }
+        return Number(index);
+    });
+}
+
+
+/**
+ * Split command arguments into options and operands
+ *
+ * Options are '--name value', '--name=value' or '--name' for flags,
+ * '--' ends options, and '-' is an operand.
+ *
+ * @param {[String]} args - Command arguments
+ * @param {Object} command - Command description (see COMMANDS)
+ * @return {Object} { options, operands }, options by name, flags being
+ *                  true when given
+ * @throws {UsageError} on unknown options, missing values or operands
+ */
+function parseArguments(args, command) {
+    const options = {};
+    const operands = [];
+    for (let i = 0; i < args.length; ++i) {
+        const arg = args[i];
+        if (arg === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            operands.push(arg);
+            continue;
+        }
+        const equal = arg.indexOf('=');
+        const name = arg.slice(2, equal === -1 ? undefined : equal);
+        if (command.flags.indexOf(name) !== -1 && equal === -1) {
+            options[name] = true;
+        } else if (command.values.indexOf(name) !== -1) {
+            if (equal !== -1) {
+                options[name] = arg.slice(equal + 1);
+            } else if (i + 1 < args.length) {
+                options[name] = args[++i];
+            } else {
+                throw new UsageError(`Missing value of --${name}`);
+            }
+        } else {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+    if (operands.length !== command.operands.length) {
+        throw new UsageError(
+            `Expected ${command.operands.join(' and ')}`);
+    }
+    return { options, operands };
+}
+
+
+/**
+ * Store and name of an object directory
+ *
+ * @param {String} directory - Object directory
+ * @return {Object} { store, name, directory }
+ */
+function openObject(directory) {
+    const resolved = path.resolve(directory);
+    return {
+        store: new FragmentStore(path.dirname(resolved)),
+        name: path.basename(resolved),
+        directory,
+    };
+}
+
+
+/**
+ * Progress reporter, writing on standard error
+ *
+ * @param {Object} io - Standard streams
+ * @param {String} label - Operation name
+ * @param {boolean} enabled - Report progress at all
+ * @return {Object} { update, done }: update is the progress option of
+ *         store methods (undefined if disabled), done ends the report
+ */
+function createProgress(io, label, enabled) {
+    if (!enabled) {
+        return { update: undefined, done: () => {} };
+    }
+    let last = null;
+    let lastTime = 0;
+    const write = ({ processed, total }) => {
+        const percent = total ?
+                  ` (${Math.floor(100 * processed / total)}%)` : '';
+        io.stderr.write(`\r${label}: ${processed} bytes${percent}`);
+    };
+    return {
+        update: progress => {
+            last = progress;
+            const now = Date.now();
+            if (now - lastTime >= PROGRESS_INTERVAL) {
+                lastTime = now;
+                write(progress);
+            }
+        },
+        done: () => {
+            if (last !== null) {
+                write(last);
+                io.stderr.write('\n');
+            }
+        },
+    };
+}
+
+
+/**
+ * Run a store operation, reporting its progress
+ *
+ * @param {Object} io - Standard streams
+ * @param {String} label - Operation name
+ * @param {Object} options - Command options ('progress')
+ * @param {Function} operation - Starts the operation given the progress
+ *                               option: Function -> Promise
+ * @return {Promise} operation promise
+ */
+function withProgress(io, label, options, operation) {
+    const progress = createProgress(io, label, options.progress);
+    return operation(progress.update).then(result => {
+        progress.done();
+        return result;
+    }, err => {
+        progress.done();
+        throw err;
+    });
+}
+
+
+/**
+ * List fragment indexes, for messages
+ *
+ * @param {[Number]} indexes - Fragment indexes
+ * @return {String} listed indexes, or 'none'
+ */
+function listIndexes(indexes) {
+    return indexes.length === 0 ? 'none' : indexes.join(', ');
+}
+
+
+/**
+ * Encode a file or standard input into a new object directory
+ *
+ * @param {Object} io - Standard streams
+ * @param {Object} options - Command options
+ * @param {[String]} operands - Input and object directory
+ * @return {Promise} resolved with exit code
+ */
+function encodeCommand(io, options, [input, directory]) {
+    if (options.k === undefined || options.m === undefined) {
+        throw new UsageError('Missing --k or --m');
+    }
+    const k = parseCount('k', options.k);
+    const m = parseCount('m', options.m);
+    let codec = null;
+    try {
+        codec = getManifestCodec({ codec: options.codec || 'reed-solomon' });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    if (k > codec.maxK || m > codec.maxM) {
+        throw new UsageError(
+            `Codec ${codec.name} supports up to ${codec.maxK} data and ` +
+                `${codec.maxM} parity fragments`);
+    }
+    const stripeSize = safeStripeSize(
+        k, parseSize('stripe-size',
+                     options['stripe-size'] || DEFAULT_STRIPE_SIZE),
+        codec);
+    const fromStdin = input === '-';
+    const givenSize = options.size === undefined ?
+              null : parseSize('size', options.size);
+    if (fromStdin && givenSize === null && options.header) {
+        throw new UsageError('--header needs --size with standard input');
+    }
+
+    const object = openObject(directory);
+    const sized = fromStdin ?
+              Promise.resolve(givenSize) :
+              stat(input).then(stats => stats.size);
+    return sized.then(size => withProgress(io, 'encode', options, progress =>
+        object.store.put(
+            object.name,
+            fromStdin ? io.stdin : fs.createReadStream(input),
+            size, k, m, stripeSize, {
+                codec,
+                header: options.header,
+                checksum: options.checksum,
+                digest: options['no-digest'] ? false : undefined,
+                progress,
+            })))
+        .then(manifest => {
+            io.stderr.write(
+                `Encoded ${manifest.size} bytes into ${object.directory}: ` +
+                    `${manifest.codec} ${k}+${m}, stripe size ` +
+                    `${manifest.stripeSize}, ` +
+                    `${manifest.fragments[0].length} bytes per fragment\n`);
+            return EXIT_SUCCESS;
+        });
+}
+
+
+/**
+ * Decode an object directory into a file or standard output
+ *
+ * @param {Object} io - Standard streams
+ * @param {Object} options - Command options
+ * @param {[String]} operands - Object directory and output
+ * @return {Promise} resolved with exit code
+ */
+function decodeCommand(io, options, [directory, output]) {
+    const object = openObject(directory);
+    let flushed = Promise.resolve();
+    // Output is only created once manifest is known to be readable
+    return object.store.getManifest(object.name).then(() => {
+        let ostream = null;
+        if (output === '-') {
+            // Standard output must not be ended
+            ostream = new stream.PassThrough();
+            flushed = new Promise(resolve => ostream.once('end', resolve));
+            ostream.pipe(io.stdout, { end: false });
+        } else {
+            ostream = fs.createWriteStream(output);
+        }
+        return withProgress(io, 'decode', options, progress =>
+            object.store.get(object.name, ostream, { progress }));
+    }).then(context => flushed.then(() => {
+        io.stderr.write(
+            `Decoded ${context.size} bytes from ${object.directory}\n`);
+        return EXIT_SUCCESS;
+    }));
+}
+
+
+/**
+ * Rebuild missing, corrupted and given fragments of an object directory
+ *
+ * @param {Object} io - Standard streams
+ * @param {Object} options - Command options
+ * @param {[String]} operands - Object directory
+ * @return {Promise} resolved with exit code
+ */
+function repairCommand(io, options, [directory]) {
+    const object = openObject(directory);
+    const lost = options.missing === undefined ?
+              [] : parseIndexes('missing', options.missing);
+    return object.store.getManifest(object.name).then(manifest => {
+        const invalid = lost.find(i => i >= manifest.k + manifest.m);
+        if (invalid !== undefined) {
+            throw new UsageError(
+                `No fragment ${invalid} in ${manifest.k}+${manifest.m} object`);
+        }
+        return withProgress(io, 'repair', options, progress =>
+            object.store.repair(object.name, { fragments: lost, progress }));
+    }).then(health => {
+        const repaired = [...health.missing, ...health.corrupted];
+        lost.forEach(i => {
+            if (repaired.indexOf(i) === -1) {
+                repaired.push(i);
+            }
+        });
+        io.stderr.write(
+            `Repaired fragments of ${object.directory}: ` +
+                `${listIndexes(repaired.sort((a, b) => a - b))}\n`);
+        return EXIT_SUCCESS;
+    });
+}
+
+
+/**
+ * Check consistency of every stripe of an object directory
+ *
+ * Objects without enough valid fragments to be verified at all are
+ * unrecoverable as well.
+ *
+ * @param {Object} io - Standard streams
+ * @param {Object} options - Command options
+ * @param {[String]} operands - Object directory
+ * @return {Promise} resolved with exit code, depending on object health
+ */
+function verifyCommand(io, options, [directory]) {
+    const object = openObject(directory);
+    return withProgress(io, 'verify', options, progress =>
+        object.store.verify(object.name, { progress }))
+        .then(report => {
+            if (options.json) {
+                io.stdout.write(`${JSON.stringify(report)}\n`);
+            } else {
+                const located = entries => listIndexes(entries.map(
+                    ({ stripe, index }) => `${index} (stripe ${stripe})`));
+                const mismatches = report.mismatches.map(
+                    ({ stripe, corrupted }) => (corrupted === null ?
+                        `${stripe} (unlocated)` :
+                        `${stripe} (fragment ${corrupted})`));
+                const lines = [
+                    `${object.directory}: ` +
+                        `${report.healthy ? 'healthy' : 'damaged'}, ` +
+                        `${report.checkedStripes} of ${report.nStripe} ` +
+                        'stripes checked',
+                    `missing fragments: ${listIndexes(report.missing)}`,
+                    `truncated fragments: ${located(report.truncated)}`,
+                    `checksum errors: ${located(report.checksumErrors)}`,
+                    `mismatching stripes: ${listIndexes(mismatches)}`,
+                    `unrecoverable stripes: ${
+                        listIndexes(report.unrecoverable)}`,
+                ];
+                io.stdout.write(`${lines.join('\n')}\n`);
+            }
+            if (report.unrecoverable.length > 0) {
+                return EXIT_UNRECOVERABLE;
+            }
+            return report.healthy ? EXIT_SUCCESS : EXIT_DAMAGED;
+        }, err => object.store.check(object.name).then(health => {
+            if (health.recoverable) {
+                throw err;
+            }
+            io.stderr.write(`ecstream: ${err.message}\n`);
+            return EXIT_UNRECOVERABLE;
+        }, () => {
+            throw err;
+        }));
+}
+
+
+/**
+ * Show manifest and fragment health of an object directory
+ *
+ * @param {Object} io - Standard streams
+ * @param {Object} options - Command options
+ * @param {[String]} operands - Object directory
+ * @return {Promise} resolved with exit code
+ */
+function infoCommand(io, options, [directory]) {
+    const object = openObject(directory);
+    return Promise.all([object.store.getManifest(object.name),
+                        object.store.check(object.name)])
+        .then(([manifest, health]) => {
+            if (options.json) {
+                io.stdout.write(`${JSON.stringify({ manifest, health })}\n`);
+                return EXIT_SUCCESS;
+            }
+            let state = 'unrecoverable';
+            if (health.healthy) {
+                state = 'healthy';
+            } else if (health.recoverable) {
+                state = 'damaged, recoverable';
+            }
+            const lines = [
+                `object: ${object.directory}`,
+                `codec: ${manifest.codec} ${manifest.k}+${manifest.m}`,
+                `size: ${manifest.size} bytes`,
+                `stripe size: ${manifest.stripeSize}`,
+                `header: ${manifest.header}`,
+                `checksum: ${manifest.checksum}`,
+                `digest: ${manifest.digest || 'none'}`,
+                `fragment length: ${manifest.fragments[0].length}`,
+                `health: ${state}`,
+                `missing fragments: ${listIndexes(health.missing)}`,
+                `corrupted fragments: ${listIndexes(health.corrupted)}`,
+            ];
+            io.stdout.write(`${lines.join('\n')}\n`);
+            return EXIT_SUCCESS;
+        });
+}
+
+
+/* Commands, with their options and operands */
+const COMMANDS = {
+    encode: {
+        run: encodeCommand,
+        operands: ['input', 'object directory'],
+        values: ['k', 'm', 'stripe-size', 'codec', 'size'],
+        flags: ['header', 'checksum', 'no-digest', 'progress'],
+    },
+    decode: {
+        run: decodeCommand,
+        operands: ['object directory', 'output'],
+        values: [],
+        flags: ['progress'],
+    },
+    repair: {
+        run: repairCommand,
+        operands: ['object directory'],
+        values: ['missing'],
+        flags: ['progress'],
+    },
+    verify: {
+        run: verifyCommand,
+        operands: ['object directory'],
+        values: [],
+        flags: ['progress', 'json'],
+    },
+    info: {
+        run: infoCommand,
+        operands: ['object directory'],
+        values: [],
+        flags: ['json'],
+    },
+};
+
+
+/**
+ * Run the command-line tool
+ *
+ * @param {[String]} argv - Arguments, without node and script paths
+ * @param {Object} io - Standard streams: { stdin, stdout, stderr },
+ *                      typically process
+ * @return {Promise} resolved with exit code, never rejected
+ */
+function main(argv, io) {
+    const [name, ...args] = argv;
+    if (name === '--help' || name === 'help' ||
+        args.indexOf('--help') !== -1) {
+        io.stdout.write(USAGE);
+        return Promise.resolve(EXIT_SUCCESS);
+    }
+    return Promise.resolve()
+        .then(() => {
+            const command = COMMANDS[name];
+            if (command === undefined) {
+                throw new UsageError(name === undefined ?
+                                     'Missing command' :
+                                     `Unknown command: ${name}`);
+            }
+            const { options, operands } = parseArguments(args, command);
+            return command.run(io, options, operands);
+        })
+        .catch(err => {
+            io.stderr.write(`ecstream: ${err.message}\n`);
+            if (err instanceof UsageError) {
+                io.stderr.write("Try 'ecstream --help'\n");
+                return EXIT_USAGE;
+            }
+            return EXIT_FAILURE;
+        });
+}
+
+
+module.exports = {
+    EXIT_SUCCESS,
+    EXIT_FAILURE,
+    EXIT_USAGE,
+    EXIT_DAMAGED,
+    EXIT_UNRECOVERABLE,
+    main,
+    parseSize,
+};
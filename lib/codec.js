@@ -0,0 +1,184 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Codec backends
+ *
+ * Striping and streaming only rely on a codec computing some parts of a
+ * stripe from others. A codec is an object providing:
+ * - name (String): codec name, for reports
+ * - maxK, maxM (Number): largest supported numbers of data and parity parts
+ * - alignment (Number): stripe sizes are multiples of it
+ *   (see safeStripeSize)
+ * - create(k, m) -> Object: coding context for a (k, m) code, cached and
+ *   shared by every operation, including concurrent ones
+ * - encode(context, sources, targets, dataBuffer, parityBuffer, callback):
+ *   compute target parts of a stripe from its source parts, both given as
+ *   bitfields (data parts first, then parity parts). Buffers hold k and m
+ *   parts of equal size, callback is called once targets are written:
+ *   (Error|null) -> ?
+ * - selectSources(context, available, needed) -> null|Number (optional):
+ *   parts to read, among available ones, to get every needed part (read
+ *   or computed), null if some cannot be computed. Bitfields, needed parts
+ *   which are available must be read. Without it, k parts are needed, the
+ *   first available ones are read (see selectSources).
+ *
+ * Default codec is @ronomon/reed-solomon systematic Reed-Solomon code,
+ * through its native addon, or its JavaScript port whenever the addon
+ * cannot be loaded (see reed_solomon.js). Both produce the same fragments.
+ * Larger codes, up to 256 parts, are supported by wideReedSolomonCodec
+ * (see wide_reed_solomon.js). Beyond MAX_NUMBER_PARTS parts, bitfields
+ * given to codecs are BigInts (see bitfield.js).
+ */
+
+const assert = require('assert');
+
+const JSReedSolomon = require('./reed_solomon');
+const WideReedSolomon = require('./wide_reed_solomon');
+const { lowestBits, popCount } = require('./bitfield');
+
+/* Native addon, null if it is missing or not built for this platform */
+let NativeReedSolomon = null;
+try {
+    /* eslint-disable global-require */
+    NativeReedSolomon = require('@ronomon/reed-solomon');
+    /* eslint-enable global-require */
+} catch (err) {
+    NativeReedSolomon = null;
+}
+
+
+const nativeReedSolomonCodec = NativeReedSolomon && {
+    name: 'reed-solomon',
+    implementation: 'native',
+    maxK: NativeReedSolomon.MAX_K,
+    maxM: NativeReedSolomon.MAX_M,
+    // Galois field computations work on 8-byte words
+    alignment: 8,
+
+    create(k, m) {
+        return NativeReedSolomon.create(k, m);
+    },
+
+    encode(context, sources, targets, dataBuffer, parityBuffer, callback) {
+        return NativeReedSolomon.encode(
+            context, sources, targets,
+            dataBuffer, 0, dataBuffer.length,
+            parityBuffer, 0, parityBuffer.length,
+            callback);
+    },
+};
+
+
+const jsReedSolomonCodec = {
+    name: 'reed-solomon',
+    implementation: 'javascript',
+    maxK: JSReedSolomon.MAX_K,
+    maxM: JSReedSolomon.MAX_M,
+    // Same stripe sizes as native codec
+    alignment: 8,
+    create: JSReedSolomon.create,
+    encode: JSReedSolomon.encode,
+};
+
+
+const reedSolomonCodec = nativeReedSolomonCodec || jsReedSolomonCodec;
+
+
+const wideReedSolomonCodec = {
+    name: 'wide-reed-solomon',
+    maxK: WideReedSolomon.MAX_K,
+    maxM: WideReedSolomon.MAX_M,
+    // Word aligned parts, for faster XOR
+    alignment: 8,
+    create: WideReedSolomon.create,
+    encode: WideReedSolomon.encode,
+};
+
+
+/* Coding contexts, per codec then per code */
+const _contextCache = new Map();
+
+
+/**
+ * Get codec to use for given options
+ *
+ * @param {undefined|Object} codec - Codec given by caller, if any
+ * @return {Object} codec to use
+ */
+function getCodec(codec) {
+    if (codec === undefined || codec === null) {
+        return reedSolomonCodec;
+    }
+    assert.strictEqual(typeof codec.create, 'function');
+    assert.strictEqual(typeof codec.encode, 'function');
+    assert.ok(Number.isInteger(codec.maxK) && codec.maxK > 0);
+    assert.ok(Number.isInteger(codec.maxM) && codec.maxM > 0);
+    assert.ok(Number.isInteger(codec.alignment) && codec.alignment > 0);
+    return codec;
+}
+
+
+/**
+ * Get coding context of a codec
+ *
+ * @param {Object} codec - Codec to use (see getCodec)
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of coding parts
+ * @return {Object} a coding context
+ * @comment Contexts are cached, never deleted
+ */
+function getCodecContext(codec, k, m) {
+    assert(typeof k === 'number');
+    assert.ok(k > 0);
+    assert.ok(k <= codec.maxK);
+    assert(typeof m === 'number');
+    assert.ok(m > 0);
+    assert.ok(m <= codec.maxM);
+
+    let contexts = _contextCache.get(codec);
+    if (contexts === undefined) {
+        contexts = new Map();
+        _contextCache.set(codec, contexts);
+    }
+    const key = [k, m].join(',');
+    const context = contexts.get(key);
+    if (context !== undefined) {
+        return context;
+    }
+
+    // Create an encoding context (can be cached and re-used concurrently):
+    const newContext = codec.create(k, m);
+    contexts.set(key, newContext);
+    return newContext;
+}
+
+
+/**
+ * Select parts to read to get some parts of a stripe
+ *
+ * @param {Object} codec - Codec to use (see getCodec)
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of coding parts
+ * @param {Number} available - Bitfield, parts which can be read
+ * @param {Number} needed - Bitfield, parts to get, read or computed
+ * @return {null|Number} bitfield of parts to read, null if not enough
+ *                       parts are available
+ */
+function selectSources(codec, k, m, available, needed) {
+    if (codec.selectSources) {
+        return codec.selectSources(
+            getCodecContext(codec, k, m), available, needed);
+    }
+    return popCount(available) < k ? null : lowestBits(available, k);
+}
+
+
+module.exports = {
+    getCodec,
+    getCodecContext,
+    selectSources,
+    jsReedSolomonCodec,
+    nativeReedSolomonCodec,
+    reedSolomonCodec,
+    wideReedSolomonCodec,
+};
@@ -0,0 +1,142 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Stripe consistency checks
+ *
+ * Whenever more than k parts of a stripe are at hand, the surplus parts
+ * can be recomputed from k others and compared with what was actually read:
+ * any difference reveals a corruption.
+ *
+ * With at least 2 surplus parts, a single corrupted part can be located:
+ * excluding it from the check is the only way to get consistent parts.
+ */
+
+const { lowestBits, popCount } = require('./bitfield');
+
+
+/**
+ * Recompute surplus parts from k others, and compare them
+ *
+ * @param {DencodeContext} context - Context giving code and geometry
+ * @param {Number} usable - Bitfield, parts to check together
+ * @param {Buffer} dataBuffer - Data parts of the stripe
+ * @param {Buffer} parityBuffer - Parity parts of the stripe
+ * @param {Function} callback - (Error|null, Number) -> ?, called with
+ *                              bitfield of mismatching parts
+ * @return {undefined}
+ */
+function checkParts(context, usable, dataBuffer, parityBuffer, callback) {
+    const sources = lowestBits(usable, context.k);
+    const targets = usable & ~sources;
+    if (targets === context.bits.zero) {
+        setImmediate(() => callback(null, context.bits.zero));
+        return;
+    }
+
+    // Work on copies, parts read are left untouched
+    const data = Buffer.from(dataBuffer);
+    const parity = Buffer.from(parityBuffer);
+    context.encodeBuffers(sources, targets, data, parity, err => {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        const bits = context.bits;
+        let mismatches = bits.zero;
+        for (let i = 0; i < context.k + context.m; ++i) {
+            if ((targets & bits.bit(i)) !== bits.zero &&
+                !context.getPart(data, parity, i).equals(
+                    context.getPart(dataBuffer, parityBuffer, i))) {
+                mismatches |= bits.bit(i);
+            }
+        }
+        callback(null, mismatches);
+    });
+}
+
+
+/**
+ * Find which part, once excluded, makes the others consistent
+ *
+ * @param {DencodeContext} context - Context giving code and geometry
+ * @param {Number} usable - Bitfield, inconsistent parts
+ * @param {Buffer} dataBuffer - Data parts of the stripe
+ * @param {Buffer} parityBuffer - Parity parts of the stripe
+ * @param {Function} callback - (Error|null, Number|null) -> ?, called with
+ *                              corrupted part index, null if not found
+ * @return {undefined}
+ */
+function locateCorruption(context, usable, dataBuffer, parityBuffer,
+                          callback) {
+    // Excluding one part must leave at least one surplus part
+    if (popCount(usable) < context.k + 2) {
+        setImmediate(() => callback(null, null));
+        return;
+    }
+
+    const tryExclude = index => {
+        if (index === context.k + context.m) {
+            callback(null, null);
+            return;
+        }
+        const bit = context.bits.bit(index);
+        if ((usable & bit) === context.bits.zero) {
+            tryExclude(index + 1);
+            return;
+        }
+
+        checkParts(context, usable & ~bit, dataBuffer, parityBuffer,
+                   (err, mismatches) => {
+                       if (err) {
+                           callback(err);
+                       } else if (mismatches === context.bits.zero) {
+                           callback(null, index);
+                       } else {
+                           tryExclude(index + 1);
+                       }
+                   });
+    };
+    tryExclude(0);
+}
+
+
+/**
+ * Check consistency of a filled stripe of a context
+ *
+ * @param {DencodeContext} context - Context of the stripe
+ * @param {Object} stripe - Filled stripe, as returned by context ref
+ * @param {Function} callback - (Error|null, null|Object) -> ?, called with
+ *        null if stripe is consistent (or can not be checked), else with
+ *        { stripe, index }, index being the corrupted part (null if it
+ *        could not be located)
+ * @return {undefined}
+ */
+function checkStripe(context, stripe, callback) {
+    const usable = context.getStripeUsable(stripe);
+    const dataBuffer = context.getDataBuffer(stripe);
+    const parityBuffer = context.getParityBuffer(stripe);
+
+    checkParts(context, usable, dataBuffer, parityBuffer, (err, mismatches) => {
+        if (err || mismatches === context.bits.zero) {
+            callback(err || null, null);
+            return;
+        }
+
+        locateCorruption(context, usable, dataBuffer, parityBuffer,
+                         (locateErr, index) => {
+                             if (locateErr) {
+                                 callback(locateErr);
+                                 return;
+                             }
+                             callback(null, { stripe: stripe.index, index });
+                         });
+    });
+}
+
+
+module.exports = {
+    checkParts,
+    checkStripe,
+    locateCorruption,
+};
@@ -0,0 +1,75 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * CRC32C (Castagnoli) checksum
+ *
+ * Used to detect silent corruption of fragment chunks, see 'checksum'
+ * option of encode/decode/repair. Plain table driven implementation,
+ * reflected polynomial 0x82F63B78.
+ */
+
+const CHECKSUM_SIZE = 4;
+
+const TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; ++n) {
+        let c = n;
+        for (let b = 0; b < 8; ++b) {
+            c = (c & 1) ? (0x82F63B78 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+
+/**
+ * Compute CRC32C of a buffer
+ *
+ * @param {Buffer} buffer - Bytes to checksum
+ * @return {Number} unsigned 32 bits checksum
+ */
+function crc32c(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; ++i) {
+        crc = TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+
+/**
+ * Serialized checksum of a chunk, as stored in fragments
+ *
+ * @param {Buffer} chunk - Fragment chunk
+ * @return {Buffer} CHECKSUM_SIZE bytes, big endian
+ */
+function checksumBuffer(chunk) {
+    const buffer = Buffer.allocUnsafe(CHECKSUM_SIZE);
+    buffer.writeUInt32BE(crc32c(chunk), 0);
+    return buffer;
+}
+
+
+/**
+ * Verify a chunk read from a fragment
+ *
+ * @param {Buffer} chunkWithChecksum - Chunk followed by its checksum
+ * @return {boolean} true if checksum matches
+ */
+function verifyChecksum(chunkWithChecksum) {
+    const end = chunkWithChecksum.length - CHECKSUM_SIZE;
+    if (end < 0) {
+        return false;
+    }
+    return crc32c(chunkWithChecksum.slice(0, end)) ===
+        chunkWithChecksum.readUInt32BE(end);
+}
+
+
+module.exports = {
+    CHECKSUM_SIZE,
+    checksumBuffer,
+    crc32c,
+    verifyChecksum,
+};
@@ -36,7 +36,15 @@
 
 const assert = require('assert');
 
-const { DencodeContext } = require('./dencode_context');
+const { DencodeContext, safeStripeSize } = require('./dencode_context');
+const { getCodec, selectSources } = require('./codec');
+const { HEADER_SIZE } = require('./header');
+const { verifyChecksum } = require('./crc32c');
+const { checkStripe } = require('./consistency');
+const { getBitfields, lowestBits, popCount } = require('./bitfield');
+const { planRead } = require('./range');
+const { toNodeStream } = require('./web');
+const { getManifestOptions, loadManifest } = require('./manifest');
 
 
 /**
@@ -44,28 +52,30 @@ const { DencodeContext } = require('./dencode_context');
  *
  * @param {DencodeContext} decodeContext - Context of the stream decoding
  * @param {null|Error} error - Decoding error
+ * @param {Object} stripe - Decoded stripe
  * @return {undefined}
  */
-function decodeDispatchStep(decodeContext, error) {
+function decodeDispatchStep(decodeContext, error, stripe) {
     if (error) {
         decodeContext.error(error);
-        decodeContext.unref();
+        decodeContext.unref(stripe);
         return;
     }
 
-    let toPush = decodeContext.getDataBuffer();
-    if (decodeContext.processedStripe + 1 === decodeContext.nStripe) {
-        const pushedBytes = decodeContext.processedStripe *
-                  decodeContext.stripeSize * decodeContext.k;
-        const leftover = decodeContext.size - pushedBytes;
-        toPush = toPush.slice(0, leftover);
-    }
+    // Keep only requested bytes (padding of last stripe,
+    // or outside of decoded range)
+    const stripeBytes = decodeContext.data.size;
+    const stripeStart = stripe.index * stripeBytes;
+    const { offset, length } = decodeContext.range;
+    const toPush = decodeContext.getDataBuffer(stripe).slice(
+        Math.max(0, offset - stripeStart),
+        Math.min(stripeBytes, offset + length - stripeStart));
 
     let nPending = decodeContext.filteredOstreams.length;
     const writeCallback = () => {
         nPending--;
         if (nPending === 0) {
-            setImmediate(() => decodeContext.unref());
+            setImmediate(() => decodeContext.unref(stripe));
         }
     };
 
@@ -92,10 +102,11 @@ function decodeDispatchStep(decodeContext, error) {
  * Decode passed buffer - Step 2
  *
  * @param {DencodeContext} decodeCtx - Context of the stream decoding
+ * @param {Object} stripe - Filled stripe
  * @return {null|Object} anything returned by underlying EC lib
  */
-function decodeStep(decodeCtx) {
-    return decodeCtx.encode(decodeDispatchStep);
+function decodeStep(decodeCtx, stripe) {
+    return decodeCtx.encode(decodeDispatchStep, stripe);
 }
 
 
@@ -108,20 +119,35 @@ function decodeStep(decodeCtx) {
  */
 function fillStripeBuffers(decodeContext, istreamId) {
     const size = decodeContext.stripeSize;
-    const bytes = decodeContext.istreams[istreamId].read(size);
+    const chunkSize = decodeContext.getChunkSize();
+    const bytes = decodeContext.istreams[istreamId].read(chunkSize);
+    const ended = decodeContext.bits.has(decodeContext.ended, istreamId);
     // Not enough data to fill part of the stripe
-    if (bytes === null) {
+    if (bytes === null && !ended) {
         return false;
     }
 
+    // Fragment ended too early, it is erased from now on
+    if (bytes === null || bytes.length < chunkSize) {
+        decodeContext.markTruncated(istreamId);
+        return true;
+    }
+
+    // Corrupted part is erased, no need to copy it
+    if (decodeContext.checksum && !verifyChecksum(bytes)) {
+        decodeContext.markCorrupted(istreamId);
+        return true;
+    }
+
     if (istreamId < decodeContext.k) {// data
         const copied = bytes.copy(decodeContext.getDataBuffer(),
-                                  istreamId * size);
-        assert.strictEqual(copied, bytes.length);
+                                  istreamId * size, 0, size);
+        assert.strictEqual(copied, size);
     } else {
         const copied = bytes.copy(decodeContext.getParityBuffer(),
-                                  (istreamId - decodeContext.k) * size);
-        assert.strictEqual(copied, bytes.length);
+                                  (istreamId - decodeContext.k) * size,
+                                  0, size);
+        assert.strictEqual(copied, size);
     }
 
     return true;
@@ -129,137 +155,581 @@ function fillStripeBuffers(decodeContext, istreamId) {
 
 
 /**
- * Bufferize stream stripes - Step 1
+ * Read and check fragment header of an input stream
  *
  * @param {DencodeContext} decodeContext - Context of the stream decoding
  * @param {Number} istreamId - StreamId to read from
+ * @return {boolean} header was read and is valid
+ */
+function readHeader(decodeContext, istreamId) {
+    const bytes = decodeContext.istreams[istreamId].read(HEADER_SIZE);
+    if (bytes === null) {
+        if (decodeContext.bits.has(decodeContext.ended, istreamId)) {
+            decodeContext.error(
+                new Error(`Fragment ${istreamId}: missing fragment header`));
+        }
+        return false;
+    }
+
+    const error = decodeContext.loadHeader(istreamId, bytes);
+    if (error) {
+        decodeContext.error(error);
+        return false;
+    }
+
+    decodeContext.headerWaiting &= ~decodeContext.bits.bit(istreamId);
+    return true;
+}
+
+
+/**
+ * Drop chunks of an input stream preceding processed stripes
+ *
+ * @param {DencodeContext} decodeContext - Context of the stream decoding
+ * @param {Number} istreamId - StreamId to read from
+ * @return {boolean} every chunk to drop was read
+ */
+function skipChunks(decodeContext, istreamId) {
+    const chunkSize = decodeContext.getChunkSize();
+    while (decodeContext.toSkip[istreamId] > 0) {
+        const bytes = decodeContext.istreams[istreamId].read(chunkSize);
+        if (bytes === null || bytes.length < chunkSize) {
+            if (!decodeContext.bits.has(decodeContext.ended, istreamId)) {
+                return false;
+            }
+            // Fragment ended too early, nothing left to skip
+            decodeContext.toSkip[istreamId] = 0;
+            decodeContext.markTruncated(istreamId);
+            return true;
+        }
+        decodeContext.toSkip[istreamId]--;
+    }
+    return true;
+}
+
+
+/**
+ * Select actual sources of the stripe, before encoding
+ *
+ * @param {DencodeContext} decodeContext - Context of the stream decoding
+ * @param {Object} stripe - Filled stripe
  * @param {Function} nextStep - Callback to next pipeline step
- *                              (dencodeContext, Buffer, Buffer) -> ?
  * @return {undefined}
  */
-function decodeBufferStep(decodeContext, istreamId, nextStep) {
+function rolesStep(decodeContext, stripe, nextStep) {
+    // Replace corrupted parts, if any
+    const error = decodeContext.selectStripeRoles(stripe);
+    if (error) {
+        decodeContext.error(error);
+        decodeContext.unref(stripe);
+        return;
+    }
+    nextStep(decodeContext, stripe);
+}
+
+
+/**
+ * Check stripe consistency using spare parts, and exclude
+ * corrupted part if it could be located
+ *
+ * @param {DencodeContext} decodeContext - Context of the stream decoding
+ * @param {Object} stripe - Filled stripe
+ * @param {Function} nextStep - Callback to next pipeline step
+ * @return {undefined}
+ */
+function verifyStep(decodeContext, stripe, nextStep) {
+    checkStripe(decodeContext, stripe, (err, corruption) => {
+        if (err) {
+            decodeContext.error(err);
+            decodeContext.unref(stripe);
+            return;
+        }
+
+        if (corruption) {
+            decodeContext.corruptions.push(corruption);
+            if (corruption.index !== null) {
+                decodeContext.excludePart(corruption.index, stripe);
+            }
+        }
+        rolesStep(decodeContext, stripe, nextStep);
+    });
+}
+
+
+/**
+ * Bufferize part of current stripe from an input stream
+ *
+ * @param {DencodeContext} decodeContext - Context of the stream decoding
+ * @param {Number} istreamId - StreamId to read from
+ * @return {null|Object} stripe, if it is complete and has been ref'ed
+ */
+function bufferStripePart(decodeContext, istreamId) {
+    // Stop consuming anything once decoding failed
+    if (decodeContext.inputError) {
+        return null;
+    }
+
+    // Fragment header comes first, and gives stripe geometry
+    if (decodeContext.bits.has(decodeContext.headerWaiting, istreamId) &&
+        !readHeader(decodeContext, istreamId)) {
+        return null;
+    }
+
+    // Empty object, nothing to read but headers
+    if (decodeContext.nStripe === 0) {
+        if (decodeContext.headerWaiting === decodeContext.bits.zero) {
+            decodeContext.endEmpty();
+        }
+        return null;
+    }
+
+    // Chunks of stripes before decoded range, or filled without this
+    // part (hedged reads), are dropped
+    if (decodeContext.toSkip[istreamId] > 0 &&
+        !skipChunks(decodeContext, istreamId)) {
+        return null;
+    }
+
     // Backpressure - avoids memory blow-up
     if (decodeContext.wait()) {
-        return;
+        return null;
     }
 
-    // Already filled this part of the stripe, or not using it
-    if ((decodeContext.getStripeWaiting() & (1 << istreamId)) === 0) {
-        return;
+    // Fill part of the stripe buffer,
+    // unless already filled, or not using it
+    if (decodeContext.bits.has(decodeContext.getStripeWaiting(), istreamId)) {
+        const filled = fillStripeBuffers(decodeContext, istreamId);
+        if (!filled) {
+            return null;
+        }
+        decodeContext.addedToStripe(decodeContext.bits.bit(istreamId));
     }
 
-    // Fill part of the stripe buffer
-    const filled = fillStripeBuffers(decodeContext, istreamId);
-    if (!filled) {
+    // Stripe may also be completed by a failed part (see inputFailed)
+    if (!decodeContext.readyForEncoding()) {
+        return null;
+    }
+
+    return decodeContext.ref();
+}
+
+
+/**
+ * Bufferize stream stripes - Step 1
+ *
+ * @param {DencodeContext} decodeContext - Context of the stream decoding
+ * @param {Number} istreamId - StreamId to read from
+ * @param {Function} nextStep - Callback to next pipeline step
+ *                              (dencodeContext, Object) -> ?
+ * @return {undefined}
+ */
+function decodeBufferStep(decodeContext, istreamId, nextStep) {
+    const stripe = bufferStripePart(decodeContext, istreamId);
+    if (!stripe) {
         return;
     }
 
-    decodeContext.addedToStripe(1 << istreamId);
+    if (decodeContext.verify) {
+        verifyStep(decodeContext, stripe, nextStep);
+    } else {
+        rolesStep(decodeContext, stripe, nextStep);
+    }
+}
+
+
+/**
+ * Hook input stream to a context
+ *
+ * @param {DencodeContext} context - Context of the stream decoding
+ * @param {Number} istreamId - Index of stream in context input streams
+ * @param {Function} onData - Called when stream may have more data,
+ *                            or has ended: () -> ?
+ * @return {undefined}
+ */
+function hookInputStream(context, istreamId, onData) {
+    const s = context.istreams[istreamId];
+    // Input streams MUST be paused, and never pipe'd nor resumed
+    s.pause();
+    // Forward errors to context, see inputFailed
+    s.once('error', err => setImmediate(
+        () => context.inputFailed(istreamId, err)));
+    // Read handler
+    context.onInput(istreamId, 'readable', onData);
+    // Detect truncated fragments
+    context.onInput(istreamId, 'end', () => {
+        context.inputEnded(istreamId);
+        onData();
+    });
+}
+
 
-    if (decodeContext.readyForEncoding()) {
-        decodeContext.ref();
-        nextStep(decodeContext);
+/**
+ * Error of an operation lacking input parts
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} available - Number of available input parts
+ * @return {Error} error to fail operation with
+ */
+function notEnoughParts(k, available) {
+    if (available < k) {
+        return new Error(
+            `Not enough parts for decoding: ${available} < ${k}`);
     }
+    // Codec needing specific parts (see codec.js)
+    return new Error(
+        `Not enough parts for decoding: ${available} parts do not cover ` +
+            'lost ones');
 }
 
+
 /**
  * Select which to reconstruct and what source to use
  *
  * @param {[stream.Writable]} dataStreams - data streams to decode
  * @param {[stream.Writable]} parityStreams - parity streams to decode
+ * @param {Object} codec - Codec to use (see codec.js)
  * @return {Object} selected roles
  * @return {Number} sources (bitfield) - what to use as input
  * @return {Number} targets (bitfield) - what to reconstruct
  *                                       (0 if all data available)
- * @return {Number} available - Number of valid input sources (must be === k)
+ * @return {Number} available - Number of valid input sources (must be >= k)
+ * @return {boolean} covered - Whether sources are enough to reconstruct
+ *                             targets
  */
-function getPartRoles(dataStreams, parityStreams) {
+function getPartRoles(dataStreams, parityStreams, codec) {
     const k = dataStreams.length;
     const m = parityStreams.length;
+    const bitfields = getBitfields(k + m);
+    const availableParts = [...dataStreams, ...parityStreams].reduce(
+        (bits, s, i) => (s ? bits | bitfields.bit(i) : bits), bitfields.zero);
+    const data = bitfields.mask(k);
+
+    const selected = selectSources(codec, k, m, availableParts, data);
+    const sources = selected === null ? availableParts : selected;
+    return {
+        sources,
+        targets: data & ~sources,
+        available: popCount(availableParts),
+        covered: selected !== null,
+    };
+}
 
-    let sources = 0;
-    let targets = 0;
-    let available = 0;
 
-    for (let i = 0; i < k; ++i) {
-        if (dataStreams[i]) { // Available
-            sources |= (1 << i);
-            ++available;
-            if (available === k) {
-                break; // We have enough sources
-            }
-        } else { // Reconstruct
-            targets |= (1 << i);
+/**
+ * Select what to reconstruct and what source to use for a byte range
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {[stream.Readable]} istreams - source streams (null if missing)
+ * @param {Number} size - Length of the whole object
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} range - { offset, length } to decode
+ * @param {Object} codec - Codec to use (see codec.js)
+ * @return {Object} selected roles, see getPartRoles, with 'fragments',
+ *                  stripes to read per part (see planRead)
+ */
+function getRangeRoles(k, m, istreams, size, stripeSize, range, codec) {
+    const bitfields = getBitfields(k + m);
+    const availableFragments = [];
+    istreams.forEach((s, i) => {
+        if (s) {
+            availableFragments.push(i);
         }
+    });
+    const plan = planRead(
+        { k, m, size, stripeSize: safeStripeSize(k, stripeSize, codec) },
+        range.offset, range.length, availableFragments);
+    if (plan === null) {
+        return {
+            sources: bitfields.zero,
+            targets: bitfields.zero,
+            available: availableFragments.length,
+            fragments: null,
+        };
     }
 
-    if (available < k) {
-        for (let i = 0; i < m; ++i) {
-            if (parityStreams[i]) { // Available
-                sources |= (1 << (k + i));
-                ++available;
-                if (available === k) {
-                    break; // We have enough sources
-                }
-            }
-        }
+    const sources = plan.sources.reduce(
+        (bits, i) => bits | bitfields.bit(i), bitfields.zero);
+    return {
+        sources,
+        targets: plan.reconstruct ?
+            bitfields.mask(k) & ~sources : bitfields.zero,
+        available: k,
+        fragments: plan.fragments,
+    };
+}
+
+
+/**
+ * Select available parts not used as sources, if they are needed
+ * (to replace corrupted or failed parts, to verify sources, or to
+ * hedge reads)
+ *
+ * @param {[stream.Readable]} istreams - source streams (null if missing)
+ * @param {Number} sources (bitfield) - selected sources
+ * @param {Object} options - decode/repair options
+ * @return {Number} spares (bitfield)
+ */
+function getSpares(istreams, sources, options) {
+    const bitfields = getBitfields(istreams.length);
+    if (options.checksum !== true && options.verify !== true &&
+        options.failover !== true && !options.hedge) {
+        return bitfields.zero;
     }
+    const spares = istreams.reduce(
+        (bits, s, i) => (s && !bitfields.has(sources, i) ?
+                         bits | bitfields.bit(i) : bits),
+        bitfields.zero);
+    // Hedged reads: only 'hedge' spare parts are read along sources
+    return options.hedge ? lowestBits(spares, options.hedge) : spares;
+}
 
-    return { sources, targets, available };
+
+/**
+ * Select available parts to read as spares only if fragment headers
+ * enable checksums (see DencodeContext.addChecksumSpares), when checksums
+ * are not specified
+ *
+ * @param {[stream.Readable]} istreams - source streams (null if missing)
+ * @param {Number} sources (bitfield) - selected sources
+ * @param {Number} spares (bitfield) - selected spares (see getSpares)
+ * @param {Object} options - decode/repair options
+ * @return {Number} spares (bitfield)
+ */
+function getChecksumSpares(istreams, sources, spares, options) {
+    const bitfields = getBitfields(istreams.length);
+    if (options.header !== true || options.checksum === true ||
+        spares !== bitfields.zero) {
+        return bitfields.zero;
+    }
+    return getSpares(istreams, sources, { checksum: true });
 }
 
 
 /**
- * Decode a stream using Reed-Solomon (k, m), systematic code
+ * Setup decoding, see decode and decodeRange
  *
  * @param {stream.Writeable} ostream - Decoded stream
- * @param {Number} size - Length of output stream (shortcut partial last stripe)
+ * @param {Number} size - Length of the whole object
  * @param {[stream.Writable]} dataStreams - data streams to decode
  * @param {[stream.Writable]} parityStreams - parity streams to decode
  * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} options - Optional features
+ * @param {null|Object} range - { offset, length } to decode, null for
+ *                              the whole object
  * @return {DencodeContext} decoding context
- *
- * Code parameters (k, m) are inferred from respectively
- * dataStreams and parityStreams length.
  */
-function decode(ostream, size, dataStreams, parityStreams, stripeSize) {
+function startDecoding(ostream, size, dataStreams, parityStreams, stripeSize,
+                       options, range) {
     const k = dataStreams.length;
     const m = parityStreams.length;
-    const istreams = [...dataStreams, ...parityStreams];
-    const { sources, targets, available } =
-              getPartRoles(dataStreams, parityStreams);
+    const istreams = [...dataStreams, ...parityStreams].map(toNodeStream);
+    const codec = getCodec(options.codec);
+    const bitfields = getBitfields(k + m);
+    let roles = getPartRoles(dataStreams, parityStreams, codec);
+    // Read only what the range needs, unless spares are needed
+    // to replace corrupted or failed parts, to hedge reads, or to verify
+    // sources. Codecs with their own source selection read whole stripes.
+    const needSpares = options.verify === true ||
+              getSpares(istreams, roles.sources, options) !== bitfields.zero;
+    if (range && !needSpares && !codec.selectSources) {
+        roles = getRangeRoles(k, m, istreams, size, stripeSize, range,
+                              codec);
+    }
+    const { sources, targets, available } = roles;
+    // Reading only some parts of stripes, replacement is not possible
+    const sparse = Boolean(roles.fragments) && targets === bitfields.zero;
     const decodeContext = new DencodeContext(
-        k, m, istreams, [ostream], size, sources, targets, stripeSize);
+        k, m, istreams, [toNodeStream(ostream)], size, sources, targets,
+        stripeSize, options);
+    // Decoded output is made of every data part
+    decodeContext.outputs = bitfields.mask(k);
 
-    if (available < k) {
-        const error = new Error(
-            `Not enough parts for decoding: ${available} < ${k}`);
-        decodeContext.error(error);
+    if (roles.covered === false || available < k) {
+        decodeContext.error(notEnoughParts(k, available));
         return decodeContext;
     }
 
-    istreams.forEach((s, i) => {
-        // Don't filter before, we need the real, overall index here
-        if ((sources & (1 << i)) === 0) {
-            if (s) {
-                s.resume(); // Force consumption of streams we are not using
-            }
-            return;
-        }
+    const spares = sparse ?
+              bitfields.zero : getSpares(istreams, sources, options);
+    decodeContext.addSpares(spares);
 
-        // Input streams MUST be paused, and never pipe'd nor resumed
-        s.pause();
-        // Forward errors to context
-        s.once('error', err => setImmediate(() => decodeContext.error(err)));
-        // Read handler
-        s.on('readable', () => decodeBufferStep(
-            decodeContext, i, decodeStep));
+    if (range) {
+        decodeContext.setRange(range.offset, range.length,
+                               roles.fragments || null,
+                               Boolean(options.ranged));
+    }
+
+    // Don't filter streams, we need the real, overall index here
+    const listen = (used, unused) => istreams.forEach((s, i) => {
+        if (bitfields.has(used, i)) {
+            hookInputStream(decodeContext, i, () => decodeBufferStep(
+                decodeContext, i, decodeStep));
+        } else if (s && !range && bitfields.has(unused, i)) {
+            s.resume(); // Force consumption of streams we are not using
+        }
     });
+    const checksumSpares = sparse ? bitfields.zero :
+              getChecksumSpares(istreams, sources, spares, options);
+    if (checksumSpares !== bitfields.zero) {
+        decodeContext.addChecksumSpares(checksumSpares, listen);
+    }
+    listen(sources | spares, ~(sources | spares | checksumSpares));
 
     return decodeContext;
 }
 
+
+/**
+ * Decode a stream using Reed-Solomon (k, m), systematic code
+ *
+ * @param {stream.Writeable} ostream - Decoded stream
+ * @param {Number} size - Length of output stream (shortcut partial last stripe)
+ * @param {[stream.Writable]} dataStreams - data streams to decode
+ * @param {[stream.Writable]} parityStreams - parity streams to decode
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features
+ * @param {boolean} [options.header] - Fragments start with a header,
+ *        size and stripeSize may be null to infer them from headers
+ * @param {boolean} [options.checksum] - Verify per-stripe checksums
+ *        (see encode). Available parts not needed for decoding are then
+ *        read as spares, even without failover, to replace corrupted parts
+ *        stripe by stripe. With header, checksums are verified even if not
+ *        specified, available parts being then read as spares once headers
+ *        tell checksums are there.
+ * @param {boolean} [options.verify] - Read every available part, and check
+ *        surplus ones are consistent with the decoded stripe. Inconsistent
+ *        stripes are reported in context 'corruptions' as { stripe, index },
+ *        index being the corrupted part (null if it could not be located,
+ *        which requires at least k + 2 parts). Located corrupted parts are
+ *        not used for decoding.
+ * @param {Number} [options.concurrency] - Maximum number of stripes decoded
+ *        at once (default 1), see DencodeContext
+ * @param {boolean} [options.failover] - Read available parts not needed for
+ *        decoding as spares (default false). Whenever a source fails or ends
+ *        too early, it is replaced by a spare part from current stripe on.
+ *        Decoding fails only once less than k parts are left. Failed parts
+ *        are reported in context 'failovers' as
+ *        { stripe, index, replacement, error }, replacement being null if
+ *        the part was not in use, or no spare part was left.
+ * @param {Number} [options.hedge] - Hedged reads (default 0): read 'hedge'
+ *        available parts along the k sources, and decode every stripe as
+ *        soon as any k valid parts are filled. Slower parts are left out of
+ *        the stripe, their chunk is dropped once it is read. Not compatible
+ *        with verify.
+ * @param {AbortSignal} [options.signal] - Aborts decoding, see
+ *        DencodeContext.abort (context 'abort' method may also be used)
+ * @param {String} [options.abortPolicy] - 'destroy' (default) or 'release'
+ *        streams once aborted, see DencodeContext.abort
+ * @param {Number} [options.stallTimeout] - Milliseconds without progress
+ *        before context emits 'stall' (see DencodeContext events)
+ * @param {boolean|BufferPool} [options.bufferPool] - Reuse stripe buffers
+ *        from a pool, true for the shared one, outputs must not keep
+ *        written chunks past their write callback (see buffer_pool.js)
+ * @param {Object} [options.codec] - Coding backend, the one used to encode
+ *        (default Reed-Solomon, see codec.js)
+ * @return {DencodeContext} decoding context
+ *
+ * Code parameters (k, m) are inferred from respectively
+ * dataStreams and parityStreams length.
+ * Any stream may also be a WHATWG Web Stream (see web.js).
+ *
+ * Following a manifest (see manifest.js), arguments are
+ * (ostream, manifest, fragments, [options]): fragments are the k + m
+ * fragment streams (null if missing), code parameters, size, stripe size,
+ * header, checksum and codec options come from the manifest.
+ */
+function decode(ostream, size, dataStreams, parityStreams, stripeSize,
+                options = {}) {
+    if (size !== null && typeof size === 'object') {
+        const manifest = loadManifest(size);
+        const fragments = dataStreams;
+        assert.strictEqual(fragments.length, manifest.k + manifest.m);
+        return decode(ostream, manifest.size,
+                      fragments.slice(0, manifest.k),
+                      fragments.slice(manifest.k), manifest.stripeSize,
+                      getManifestOptions(manifest, parityStreams || {}));
+    }
+    return startDecoding(
+        ostream, size, dataStreams, parityStreams, stripeSize, options, null);
+}
+
+
+/**
+ * Decode a byte range of a stream, see decode
+ *
+ * Only stripes covering the range are decoded, and only requested bytes
+ * are output. Fragments are read following planRead: whenever every data
+ * fragment holding bytes of the range is available, only those are read.
+ * Unused fragment streams are left untouched.
+ *
+ * By default input streams are whole fragments: chunks of previous stripes
+ * are read and dropped (streams can not be seeked), following ones are not
+ * read: once the last stripe of the range is filled, input streams are
+ * destroyed, or left paused with 'release' abort policy. To read nothing
+ * outside the range, use 'ranged' option: input streams must then hold
+ * exactly the fragment byte ranges of the read plan, computed
+ * with the same available fragments (fragments read over every stripe
+ * covering the range when spares or verification are needed).
+ *
+ * Options reading spares (checksum, failover, hedge) are honored as with
+ * decode: sources and spares are then read over every stripe covering the
+ * range, so that failed or corrupted parts can be replaced.
+ *
+ * @param {stream.Writeable} ostream - Decoded stream
+ * @param {Number} offset - First byte of the range
+ * @param {Number} length - Length of the range
+ * @param {Number} size - Length of the whole object
+ * @param {[stream.Writable]} dataStreams - data streams to decode
+ * @param {[stream.Writable]} parityStreams - parity streams to decode
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see decode
+ * @param {boolean} [options.ranged] - Input streams hold planned byte
+ *        ranges only (fragment headers can then not be used)
+ * @return {DencodeContext} decoding context
+ */
+function decodeRange(ostream, offset, length, size,
+                     dataStreams, parityStreams, stripeSize, options = {}) {
+    assert.strictEqual(typeof size, 'number');
+    assert.strictEqual(typeof stripeSize, 'number');
+    assert.ok(!(options.ranged && options.header));
+    return startDecoding(
+        ostream, size, dataStreams, parityStreams, stripeSize, options,
+        { offset, length });
+}
+
+
+/**
+ * Decode a stream, see decode
+ *
+ * @param {...*} args - decode arguments
+ * @return {Promise} resolved with decoding context once output finished
+ */
+function decodeAsync(...args) {
+    return decode(...args).promise();
+}
+
+
+/**
+ * Decode a byte range of a stream, see decodeRange
+ *
+ * @param {...*} args - decodeRange arguments
+ * @return {Promise} resolved with decoding context once output finished
+ */
+function decodeRangeAsync(...args) {
+    return decodeRange(...args).promise();
+}
+
+
 module.exports = {
+    bufferStripePart,
     decode,
+    decodeAsync,
     decodeBufferStep,
+    decodeRange,
+    decodeRangeAsync,
+    getChecksumSpares,
+    getSpares,
+    hookInputStream,
+    notEnoughParts,
 };
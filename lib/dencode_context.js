@@ -1,46 +1,25 @@
 'use strict'; // eslint-disable-line strict
 
 const assert = require('assert');
-const ReedSolomon = require('@ronomon/reed-solomon');
-
-/* Shared, cached, reusable Reed-Solomon context
- * Thread safe*/
-const _contextCache = new Map();
-
-
-/**
- * Get Reed Solomon context
- *
- * @param {Number} k - Number of data parts
- * @param {Number} m - Number of coding parts
- * @return {Object} a Reed-Solomon context
- * @comment Contexts are cached, never deleted
-*/
-function getECContext(k, m) {
-    assert(typeof k === 'number');
-    assert.ok(k > 0);
-    assert.ok(k <= ReedSolomon.MAX_K);
-    assert(typeof m === 'number');
-    assert.ok(m > 0);
-    assert.ok(m <= ReedSolomon.MAX_M);
-
-    const key = [k, m].join(',');
-    const context = _contextCache.get(key);
-    if (context !== undefined) {
-        return context;
-    }
-
-    // Create an encoding context (can be cached and re-used concurrently):
-    const newContext = ReedSolomon.create(k, m);
-    _contextCache.set(key, newContext);
-    return newContext;
-}
+const EventEmitter = require('events');
 
+const { AbortError, StreamError } = require('./errors');
+const { getBufferPool } = require('./buffer_pool');
+const { getCodec, getCodecContext, selectSources } = require('./codec');
+const { checkHeader, parseHeader, serializeHeader } = require('./header');
+const { CHECKSUM_SIZE, checksumBuffer } = require('./crc32c');
+const { getStripeRange } = require('./range');
+const {
+    bitIndexes,
+    getBitfields,
+    lowestBits,
+    popCount,
+} = require('./bitfield');
 
 /**
  * Not every stripe sizes are created equal...
  *
- * 1/ Stripe size must a multiple of 8:
+ * 1/ Stripe size must a multiple of codec alignment (8 by default):
  *    required by ReedSolomon lib & Galoid field computations
  * 2/ Below maximum stream.Readable buffer size
  *    Refer to actual implementation of computeNewHighWaterMark
@@ -48,22 +27,112 @@ function getECContext(k, m) {
  */
 const MAX_HWM = 0x800000;
 
+/**
+ * Attribute an error to the stream it comes from (first attribution wins)
+ *
+ * @param {Error} err - Error to attribute, left untouched
+ * @param {String} streamType - 'input' or 'output'
+ * @param {Number} streamIndex - Index of stream in context streams
+ * @return {Error} attributed error, wrapping err (see StreamError)
+ */
+function attributeError(err, streamType, streamIndex) {
+    if (!(err instanceof Error) || err instanceof StreamError ||
+        err instanceof AbortError) {
+        return err;
+    }
+    return new StreamError(err, streamType, streamIndex);
+}
+
+
 /**
  * Compute a safe stripe size
  *
  * @param {Number} k - Number of data parts
  * @param {Number} hint - StripeSize hint
+ * @param {Object} [codec] - Codec to use (default Reed-Solomon)
  * @return {Number} actual stripe size to use
  */
-function safeStripeSize(k, hint) {
-    const alignedHint = Math.ceil(hint / 8) * 8;
+function safeStripeSize(k, hint, codec = getCodec()) {
+    const alignment = codec.alignment;
+    const alignedHint = Math.ceil(hint / alignment) * alignment;
     const maximum = Math.floor(MAX_HWM / k);
-    const maximumAligned = Math.floor(maximum / 8) * 8;
+    const maximumAligned = Math.floor(maximum / alignment) * alignment;
     return Math.min(alignedHint, maximumAligned);
 }
 
 
-class DencodeContext {
+class Stripe {
+    /**
+     * Stripe being filled, encoded or dispatched (see DencodeContext)
+     *
+     * @constructor
+     * @param {Number} index - Stripe index
+     * @param {Number} waiting - Bitfield, parts still to fill
+     * @param {Number} corrupted - Bitfield, parts erased for this stripe
+     *        (corrupted or truncated)
+     * @param {Number} sources - Bitfield, parts to decode from
+     * @param {Number} targets - Bitfield, parts to compute
+     * @param {Buffer} dataBuffer - Data parts of the stripe
+     * @param {Buffer} parityBuffer - Parity parts of the stripe
+     */
+    constructor(index, waiting, corrupted, sources, targets,
+                dataBuffer, parityBuffer) {
+        this.index = index;
+        // Bitfield, track which parts of a stripe are ready
+        this.waiting = waiting;
+        this.corrupted = corrupted;
+        // Bitfields, actual roles for this stripe (see selectStripeRoles)
+        this.sources = sources;
+        this.targets = targets;
+        this.dataBuffer = dataBuffer;
+        this.parityBuffer = parityBuffer;
+        // Encoding outcome, waiting for dispatch (see encode)
+        this.encoded = false;
+        this.duration = 0;
+        this.error = null;
+        this.dispatcher = null;
+    }
+
+    /**
+     * Erase parts for this stripe
+     *
+     * @param {Number} parts - Bitfield, erased parts
+     * @return {undefined}
+     */
+    exclude(parts) {
+        this.corrupted |= parts;
+    }
+
+    /**
+     * Set actual roles of parts for this stripe
+     *
+     * @param {Number} sources - Bitfield, parts to decode from
+     * @param {Number} targets - Bitfield, parts to compute
+     * @return {undefined}
+     */
+    setRoles(sources, targets) {
+        this.sources = sources;
+        this.targets = targets;
+    }
+
+    /**
+     * Record encoding outcome, until the stripe is dispatched
+     *
+     * @param {Function} dispatcher - see DencodeContext.encode
+     * @param {null|Error} err - Encoding error
+     * @param {Number} duration - Encoding duration, in milliseconds
+     * @return {undefined}
+     */
+    setEncoded(dispatcher, err, duration) {
+        this.encoded = true;
+        this.dispatcher = dispatcher;
+        this.error = err || null;
+        this.duration = duration;
+    }
+}
+
+
+class DencodeContext extends EventEmitter {
     /**
      * Stateful part of the encoding/decoding/repair process
      *
@@ -71,6 +140,19 @@ class DencodeContext {
      * stream backpressure to avoid memory blowup whenever
      * encoding/decoding is slower than reading from the stream
      *
+     * Events:
+     * - 'stripe' { index, bytes, duration }: a stripe was processed and
+     *   streamed, with the object bytes it holds (within processed range)
+     *   and the duration of its Reed-Solomon call in milliseconds
+     * - 'progress' { processed, total }: object bytes processed so far,
+     *   out of total (null while unknown, see setSize)
+     * - 'stall' { index, elapsed }: no stripe was processed for
+     *   'stallTimeout' milliseconds, index being the next stripe expected,
+     *   emitted again after every such window
+     * - 'finish': every output stream finished
+     * - 'error' (Error): operation failed (see error and abort), only
+     *   emitted if listened to, exactly once
+     *
      * @constructor
      * @param {Number} k - Number of data parts
      * @param {Number} m - Number of parity parts
@@ -78,29 +160,91 @@ class DencodeContext {
      * @param {[stream.Writeable]} outputStreams - Streams to write in
      * @param {Number} size - Length of streams
      *                 (used to know number of stripes and end of last stripe)
-     * @param {Number} sources - Bitfields, which streams to use as input
-     * @param {Number} targets - Bitfields, which streams to output
+     *                 Infinity if unknown until end of input (see setSize)
+     * @param {Number|BigInt} sources - Bitfields, which streams to use as
+     *        input (see bitfield.js)
+     * @param {Number|BigInt} targets - Bitfields, which streams to output
      * @param {Number} stripeSizeHint - Stripe size hint to use
+     * @param {Object} [options] - Optional features
+     * @param {boolean} [options.header] - Fragments start with a header
+     *        (size and stripeSizeHint may then be null, see loadHeader)
+     * @param {boolean} [options.checksum] - Fragment chunks are followed
+     *        by a checksum (inferred from header if not specified)
+     * @param {boolean} [options.verify] - Check stripes consistency
+     *        using spare parts
+     * @param {Number} [options.concurrency] - Maximum number of stripes
+     *        being encoded or streamed at once (default 1), memory used
+     *        is bounded to concurrency + 1 stripes
+     * @param {boolean} [options.failover] - Replace failed input parts by
+     *        spare ones (default false, see inputFailed)
+     * @param {Number} [options.hedge] - Number of spare parts which may be
+     *        missing from a filled stripe (default 0, see readyForEncoding)
+     * @param {AbortSignal} [options.signal] - Aborts the operation
+     *        (see abort)
+     * @param {String} [options.abortPolicy] - What to do with streams once
+     *        aborted: 'destroy' (default) or 'release' (see abort)
+     * @param {Number} [options.stallTimeout] - Milliseconds without any
+     *        processed stripe before emitting 'stall' (default none)
+     * @param {boolean|BufferPool} [options.bufferPool] - Take stripe
+     *        buffers from a pool, true for the shared one (see
+     *        buffer_pool.js for requirements on output streams)
+     * @param {Object} [options.codec] - Coding backend (default
+     *        Reed-Solomon, see codec.js)
      */
     constructor(k, m, inputStreams, outputStreams, size,
-                sources, targets, stripeSizeHint) {
+                sources, targets, stripeSizeHint, options = {}) {
+        super();
         this.k = k;
         this.m = m;
-        this.rsContext = getECContext(k, m);
-        this.stripeSize = safeStripeSize(k, stripeSizeHint);
-        this.size = size;
+        // Coding backend, and its context for this code (see codec.js)
+        this.codec = getCodec(options.codec);
+        this.codecContext = getCodecContext(this.codec, k, m);
+        // Bitfield constants of this code (see bitfield.js)
+        this.bits = getBitfields(k + m);
 
-        // Specify data bufffer (no header and no footer)
-        this.data = {
-            offset: 0,
-            size: this.stripeSize * k,
-        };
+        // Fragment header: fields shared by all fragments of the object
+        // (set by encode, or by the first header read on decode/repair)
+        this.header = Boolean(options.header);
+        this.fragmentHeader = null;
+        // Outputs are fragments (encode, repair), not a decoded object
+        this.fragmentOutputs = outputStreams.length === k + m;
+        // Per output fragment, hash of written bytes, if any (see encode)
+        this.fragmentHashes = null;
 
-        // Specify parity bufffer (no header and no footer)
-        this.parity = {
-            offset: 0,
-            size: this.stripeSize * m,
-        };
+        // Per-stripe checksums: every fragment chunk is followed by
+        // its CRC32C, corrupted chunks are treated as erasures
+        this.checksum = Boolean(options.checksum);
+        this.checksumErrors = [];
+
+        // Verification: surplus parts are checked against the others,
+        // inconsistent stripes are reported (see consistency.js)
+        this.verify = Boolean(options.verify);
+        this.corruptions = [];
+
+        // Bitfield, input parts which reached end of stream
+        this.ended = this.bits.zero;
+        // Number of chunks still to drop, per input part, before the
+        // first stripe to process (see setRange), or belonging to stripes
+        // filled without it (see ref)
+        this.toSkip = inputStreams.map(() => 0);
+        // Bitfield, input parts erased from a stripe on,
+        // because they ended too early or failed
+        this.erasedParts = this.bits.zero;
+        // Input parts which ended too early, with report
+        this.truncated = [];
+
+        // Failover: failed input parts are replaced by spare ones,
+        // every failure is reported (see inputFailed)
+        this.failover = options.failover === true;
+        this.failovers = [];
+
+        // Hedged reads: a stripe is complete as soon as k of its parts
+        // are filled, slower parts are left out (see ref)
+        this.hedge = options.hedge || 0;
+        assert.ok(Number.isInteger(this.hedge) && this.hedge >= 0);
+        assert.ok(!(this.hedge && this.verify));
+        // Both rely on any k parts being enough
+        assert.ok(!((this.hedge || this.verify) && this.codec.selectSources));
 
         // We need to keep all input & output streams as
         // are accessed by offset in Array
@@ -111,107 +255,934 @@ class DencodeContext {
         this.ostreams = outputStreams;
         this.filteredOstreams = outputStreams.filter(s => s);
 
+        // Abort: no more stripe is filled, streams are destroyed or
+        // released once stripes in flight are back (see abort)
+        this.abortPolicy = options.abortPolicy || 'destroy';
+        assert.ok(['destroy', 'release'].indexOf(this.abortPolicy) !== -1);
+        this.aborted = null;
+        // Input listeners removed on abort (see onInput)
+        this._inputListeners = [];
+        this._signal = options.signal || null;
+        this._onAbort = null;
+        if (this._signal) {
+            this._onAbort = () => this.abort(this._signal.reason);
+            if (this._signal.aborted) {
+                // Let caller hook streams and listen to errors first
+                setImmediate(this._onAbort);
+            } else {
+                this._signal.addEventListener('abort', this._onAbort);
+            }
+        }
+
+        // Progress tracking (see 'stripe', 'progress' and 'stall' events)
+        this.processedBytes = 0;
+        this.stallTimeout = options.stallTimeout || 0;
+        this._lastProgress = Date.now();
+        this._stallTimer = null;
+        this._armStallTimer();
+
+        // Completion tracking (see promise)
+        this._completed = false;
+        this._completion = { settled: false };
+        this._completion.promise = new Promise((resolve, reject) => {
+            this._completion.resolve = resolve;
+            this._completion.reject = reject;
+        });
+        // Rejection is for callers of promise, never unhandled otherwise
+        this._completion.promise.catch(() => {});
+        this.finishedOutputs = 0;
+        this.filteredOstreams.forEach(s => s.once('finish', () => {
+            this.finishedOutputs++;
+            this._checkCompletion();
+        }));
+        // Input error as given to outputs (see error)
+        this._forwardedError = null;
+        this.ostreams.forEach((s, i) => {
+            if (s) {
+                s.on('error', err => this._settle(
+                    err === this._forwardedError ?
+                        this.inputError : attributeError(err, 'output', i)));
+            }
+        });
+
         // Bitfields what parts to use where
         this.sources = sources;
         this.targets = targets;
+        // Bitfield, parts used as sources, once failed ones are replaced
+        // (for failover reports only, see selectStripeRoles for actual use)
+        this._inUse = sources;
+        // Bitfield, parts that must be in stripe buffers once encoded
+        // (decode needs every data part, not only reconstructed ones)
+        this.outputs = targets;
+        // Bitfield, available parts read along sources, but used only
+        // to replace corrupted ones (see selectStripeRoles)
+        this.spares = this.bits.zero;
+        // Spares depending on checksums of fragment headers, if any
+        // (see addChecksumSpares)
+        this._checksumSpares = null;
+        // Bitfield, input fragments whose header is still to be read
+        // (decode and repair only)
+        this.headerWaiting = this.header ? sources : this.bits.zero;
 
-        // Used for backpressure: avoid too many in-flight
-        // encoding and streaming
-        this.inFlight = false;
+        // Used for backpressure: filled stripes being encoded or
+        // streamed, in stripe order (at most 'concurrency' of them)
+        this.concurrency = options.concurrency === undefined ?
+            1 : options.concurrency;
+        assert.ok(Number.isInteger(this.concurrency) &&
+                  this.concurrency > 0);
+        this.inFlight = [];
+        // Stripe buffers are given back once streamed (see unref)
+        this.bufferPool = getBufferPool(options.bufferPool);
+        // Index of next stripe to dispatch to output streams
+        this._nextDispatch = 0;
 
         this.processedStripe = 0;
-        this.nStripe = Math.ceil(size / (k * this.stripeSize));
+        // Stripe being filled, null once every stripe was filled
+        this._stripe = null;
 
-        this._stripe = {};
-        this._newStripe();
+        // Unknown geometry is only allowed when headers can provide it
+        const known = typeof size === 'number' &&
+                  typeof stripeSizeHint === 'number';
+        assert.ok(known || this.header);
+        // Cross-check values given by caller, if any, against headers
+        this._expected = {
+            k,
+            m,
+            size: typeof size === 'number' ? size : undefined,
+            stripeSize: typeof stripeSizeHint === 'number' ?
+                safeStripeSize(k, stripeSizeHint, this.codec) : undefined,
+            checksum: typeof options.checksum === 'boolean' ?
+                options.checksum : undefined,
+        };
+        if (known) {
+            this._setGeometry(size, this._expected.stripeSize);
+        }
     }
 
-    _newStripe() {
-        // Bitfield, track which parts of a stripe are ready
-        this._stripe.waiting = this.sources;
-        this._stripe.dataBuffer = Buffer.allocUnsafe(this.data.size);
-        this._stripe.parityBuffer = Buffer.allocUnsafe(this.parity.size);
+    /**
+     * Set object size and stripe size, allocate first stripe
+     *
+     * @param {Number} size - Length of streams
+     * @param {Number} stripeSize - Actual (safe) stripe size
+     * @return {undefined}
+     */
+    _setGeometry(size, stripeSize) {
+        this.stripeSize = stripeSize;
+        this.size = size;
+
+        // Specify data bufffer (no header and no footer)
+        this.data = {
+            offset: 0,
+            size: this.stripeSize * this.k,
+        };
+
+        // Specify parity bufffer (no header and no footer)
+        this.parity = {
+            offset: 0,
+            size: this.stripeSize * this.m,
+        };
+
+        this.nStripe = Math.ceil(size / (this.k * this.stripeSize));
+        // Processed stripes (end excluded) and object bytes
+        // to output, everything unless restricted by setRange
+        this.firstStripe = 0;
+        this.endStripe = this.nStripe;
+        this.range = { offset: 0, length: size };
+        this.ranged = false;
+        // Per input part, stripes to read (see setRange)
+        this._partStripes = null;
+        this._newStripe(0);
     }
 
-    getDataBuffer() {
-        return this._stripe.dataBuffer;
+    /**
+     * Restrict processing to the stripes covering a byte range
+     *
+     * @param {Number} offset - First byte of the range
+     * @param {Number} length - Length of the range
+     * @param {null|[Object]} fragments - Per input part, stripes to read
+     *        ({ firstStripe, endStripe }, see planRead), parts without
+     *        entry are read over every stripe covering the range
+     * @param {boolean} ranged - Input fragments start at their first stripe
+     *        to read, else they are expected from their beginning, and
+     *        chunks of previous stripes are dropped (see toSkip). What
+     *        follows the last stripe is then not read either: inputs are
+     *        released once it is filled (see _releaseRangeInputs).
+     * @return {undefined}
+     */
+    setRange(offset, length, fragments, ranged) {
+        assert.ok(this.hasGeometry());
+        assert.strictEqual(this.inFlight.length, 0);
+        assert.ok(offset >= 0 && length >= 0 && offset + length <= this.size);
+
+        const { first, end } = getStripeRange(
+            this.k, this.stripeSize, offset, length);
+        this.firstStripe = first;
+        this.endStripe = end;
+        this.range = { offset, length };
+        this.ranged = ranged;
+        this.processedStripe = first;
+        this._nextDispatch = first;
+
+        this._partStripes = fragments;
+        this.toSkip = this.istreams.map((s, i) => {
+            if (ranged) {
+                return 0;
+            }
+            return fragments && fragments[i] ?
+                fragments[i].firstStripe : first;
+        });
+
+        this._releaseStripe(this._stripe);
+        if (first === end) {
+            // Nothing to read
+            this._stripe = null;
+            this._releaseRangeInputs();
+            setImmediate(() => this._endOutputs());
+        } else {
+            this._newStripe(first);
+        }
     }
 
-    getParityBuffer() {
-        return this._stripe.parityBuffer;
+    /**
+     * Set actual object size, once end of input is reached
+     * (encoding of a stream of unknown length)
+     *
+     * Stripe being filled is the last one if it holds any byte,
+     * otherwise it is dropped.
+     *
+     * @param {Number} size - Length of input stream
+     * @return {undefined}
+     */
+    setSize(size) {
+        assert.ok(this._stripe);
+        const nStripe = Math.ceil(size / this.data.size);
+        assert.ok(nStripe === this._stripe.index ||
+                  nStripe === this._stripe.index + 1);
+
+        this.size = size;
+        this.nStripe = nStripe;
+        this.endStripe = nStripe;
+        this.range = { offset: 0, length: size };
+        if (this._stripe.index === nStripe) {
+            this._releaseStripe(this._stripe);
+            this._stripe = null;
+            if (this.processedStripe === this.endStripe) {
+                // Nothing in flight to end outputs (see unref)
+                setImmediate(() => this._endOutputs());
+            }
+        }
+    }
+
+    /**
+     * Is stripe geometry known yet?
+     *
+     * @return {boolean} true once size and stripe size are set
+     */
+    hasGeometry() {
+        return this.nStripe !== undefined;
+    }
+
+    /**
+     * Load header read from an input fragment
+     *
+     * First loaded header sets the geometry if it was not given,
+     * every header is cross-checked against expected values.
+     *
+     * @param {Number} index - Fragment index
+     * @param {Buffer} buffer - Serialized header
+     * @return {null|Error} error if header is invalid or mismatching
+     */
+    loadHeader(index, buffer) {
+        let header;
+        try {
+            header = parseHeader(buffer);
+        } catch (err) {
+            return new Error(`Fragment ${index}: ${err.message}`);
+        }
+
+        const expected = Object.assign(
+            { index }, this._expected, this.fragmentHeader);
+        const error = checkHeader(header, expected);
+        if (error) {
+            return error;
+        }
+
+        if (this.fragmentHeader === null) {
+            this.fragmentHeader = {
+                k: header.k,
+                m: header.m,
+                stripeSize: header.stripeSize,
+                size: header.size,
+                objectId: header.objectId,
+                checksum: header.checksum,
+            };
+            this.checksum = header.checksum;
+            if (!this.hasGeometry()) {
+                this._setGeometry(header.size, header.stripeSize);
+            }
+            this._loadChecksumSpares();
+        }
+
+        return null;
+    }
+
+    /**
+     * Get serialized header for an output fragment
+     *
+     * @param {Number} index - Fragment index
+     * @return {Buffer} header to write before fragment payload
+     */
+    getHeaderBuffer(index) {
+        assert.ok(this.fragmentHeader);
+        return serializeHeader(
+            Object.assign({ index }, this.fragmentHeader));
+    }
+
+    /**
+     * Add spare input parts, read along sources
+     *
+     * @param {Number} spares - Bitfield, parts to add
+     * @return {undefined}
+     */
+    addSpares(spares) {
+        assert.strictEqual(spares & this.sources, this.bits.zero);
+        this.spares |= spares;
+        if (this.header) {
+            this.headerWaiting |= spares;
+        }
+        if (this.hasGeometry()) {
+            this._stripe.waiting |= spares;
+        }
+    }
+
+    /**
+     * Add spare input parts only if fragment headers enable checksums
+     * (checksum option not specified), to replace corrupted parts
+     *
+     * @param {Number} spares - Bitfield, parts to add
+     * @param {Function} callback - Called once the first header is loaded,
+     *        with parts added as spares, to read, and parts left unused:
+     *        (Number, Number) -> ?
+     * @return {undefined}
+     */
+    addChecksumSpares(spares, callback) {
+        assert.ok(this.header && this.fragmentHeader === null);
+        this._checksumSpares = { spares, callback };
+    }
+
+    _loadChecksumSpares() {
+        if (!this._checksumSpares) {
+            return;
+        }
+        const { spares, callback } = this._checksumSpares;
+        this._checksumSpares = null;
+        if (this.checksum) {
+            this.addSpares(spares);
+            callback(spares, this.bits.zero);
+        } else {
+            callback(this.bits.zero, spares);
+        }
+    }
+
+    /**
+     * Size of a stripe part as stored in a fragment
+     *
+     * @return {Number} stripe size, plus checksum size if any
+     */
+    getChunkSize() {
+        return this.stripeSize + (this.checksum ? CHECKSUM_SIZE : 0);
+    }
+
+    _newStripe(index) {
+        this._stripe = new Stripe(
+            index, this._getStripeParts(index) & ~this.erasedParts,
+            this.erasedParts, this.sources, this.targets,
+            this._allocate(this.data.size), this._allocate(this.parity.size));
+    }
+
+    _allocate(size) {
+        return this.bufferPool ?
+            this.bufferPool.acquire(size) : Buffer.allocUnsafe(size);
+    }
+
+    _releaseStripe(stripe) {
+        if (this.bufferPool) {
+            this.bufferPool.release(stripe.dataBuffer);
+            this.bufferPool.release(stripe.parityBuffer);
+        }
+    }
+
+    /**
+     * Use a buffer as data buffer of current stripe
+     *
+     * Saves a copy whenever data parts were read in one piece. Such a
+     * buffer is never given to the buffer pool.
+     *
+     * @param {Buffer} buffer - Filled data buffer
+     * @return {undefined}
+     */
+    adoptDataBuffer(buffer) {
+        assert.strictEqual(buffer.length, this.data.size);
+        if (this.bufferPool) {
+            this.bufferPool.release(this._stripe.dataBuffer);
+        }
+        this._stripe.dataBuffer = buffer;
+    }
+
+    /**
+     * Input parts to read for a stripe
+     *
+     * @param {Number} index - Stripe index
+     * @return {Number} bitfield of parts
+     */
+    _getStripeParts(index) {
+        let parts = this.sources | this.spares;
+        if (this._partStripes) {
+            this._partStripes.forEach((part, i) => {
+                if (part &&
+                    (index < part.firstStripe || index >= part.endStripe)) {
+                    parts &= ~this.bits.bit(i);
+                }
+            });
+        }
+        return parts;
+    }
+
+    getDataBuffer(stripe = this._stripe) {
+        return stripe.dataBuffer;
+    }
+
+    getParityBuffer(stripe = this._stripe) {
+        return stripe.parityBuffer;
     }
 
     getStripeWaiting() {
         return this._stripe.waiting;
     }
 
+    getStripeIndex() {
+        return this._stripe.index;
+    }
+
+    /**
+     * Notify a part of current stripe failed checksum verification
+     *
+     * @param {Number} index - Part index
+     * @return {undefined}
+     */
+    markCorrupted(index) {
+        this.excludePart(index);
+        this.checksumErrors.push({ stripe: this._stripe.index, index });
+    }
+
+    /**
+     * Consider a part of a stripe as erased
+     *
+     * @param {Number} index - Part index
+     * @param {Object} [stripe] - Stripe, defaults to current one
+     * @return {undefined}
+     */
+    excludePart(index, stripe = this._stripe) {
+        stripe.exclude(this.bits.bit(index));
+    }
+
+    /**
+     * Notify an input part reached end of stream
+     *
+     * @param {Number} index - Part index
+     * @return {undefined}
+     */
+    inputEnded(index) {
+        this.ended |= this.bits.bit(index);
+    }
+
+    /**
+     * Notify an input part ended before filling current stripe
+     * It is erased for this stripe and all following ones.
+     *
+     * @param {Number} index - Part index
+     * @return {undefined}
+     */
+    markTruncated(index) {
+        this.truncated.push({ stripe: this._getFillingIndex(), index });
+        this._erasePart(index);
+        if (this.failover) {
+            this._reportFailover(
+                index, new Error(`Fragment ${index}: ended too early`));
+        }
+    }
+
+    /**
+     * Notify an input stream failed (typically it emitted 'error')
+     *
+     * With failover, failed part is erased from current stripe on, and
+     * replaced by a spare part (see selectStripeRoles). Operation only
+     * fails once parts left are not enough to decode (less than k).
+     *
+     * @param {Number} index - Part index
+     * @param {Error} err - Received error
+     * @return {undefined}
+     */
+    inputFailed(index, err) {
+        const bit = this.bits.bit(index);
+        if (this.inputError || this.aborted ||
+            (this.erasedParts & bit) !== this.bits.zero) {
+            return;
+        }
+
+        const left = (this.sources | this.spares) & ~(this.erasedParts | bit);
+        if (!this.failover || selectSources(
+            this.codec, this.k, this.m, left, this.outputs) === null) {
+            this.error(err, index);
+            return;
+        }
+
+        this._erasePart(index);
+        this._reportFailover(index, attributeError(err, 'input', index));
+        if (!this.wait()) {
+            // Current stripe may now be complete
+            this._wakeUp();
+        }
+    }
+
+    /**
+     * Erase an input part from current stripe on
+     *
+     * @param {Number} index - Part index
+     * @return {undefined}
+     */
+    _erasePart(index) {
+        const bit = this.bits.bit(index);
+        this.erasedParts |= bit;
+        this.headerWaiting &= ~bit;
+        this.toSkip[index] = 0;
+        if (this._stripe) {
+            this.excludePart(index);
+            this._stripe.waiting &= ~bit;
+        }
+    }
+
+    /**
+     * Report an erased input part, and the spare part replacing it
+     *
+     * @param {Number} index - Erased part index
+     * @param {Error} err - Reason of the replacement
+     * @return {undefined}
+     */
+    _reportFailover(index, err) {
+        const bit = this.bits.bit(index);
+        let replacement = null;
+        if ((this._inUse & bit) !== this.bits.zero) {
+            const replacementBit = lowestBits(
+                this.spares & ~this.erasedParts & ~this._inUse, 1);
+            this._inUse = (this._inUse & ~bit) | replacementBit;
+            replacement = replacementBit === this.bits.zero ?
+                null : bitIndexes(replacementBit)[0];
+        }
+
+        this.failovers.push({
+            stripe: this._getFillingIndex(),
+            index,
+            replacement,
+            error: err,
+        });
+    }
+
+    /**
+     * Index of the stripe being filled
+     *
+     * @return {Number} stripe index, end of stripes once every one
+     *                  was filled (0 while geometry is unknown)
+     */
+    _getFillingIndex() {
+        if (!this.hasGeometry()) {
+            return 0;
+        }
+        return this._stripe ? this._stripe.index : this.endStripe;
+    }
+
+    /**
+     * Parts of a stripe which were read and are not excluded
+     *
+     * @param {Object} [stripe] - Stripe, defaults to current one
+     * @return {Number} bitfield of usable parts
+     */
+    getStripeUsable(stripe = this._stripe) {
+        return (this.sources | this.spares) & ~stripe.corrupted;
+    }
+
+    /**
+     * Select sources and targets of a filled stripe
+     *
+     * Corrupted parts are considered erased for this stripe only,
+     * and replaced by spare parts, if any.
+     *
+     * @param {Object} stripe - Stripe, as returned by ref
+     * @return {null|Error} error if not enough valid parts are left
+     */
+    selectStripeRoles(stripe) {
+        const corrupted = stripe.corrupted;
+        if ((corrupted & this.sources) === this.bits.zero) {
+            return null;
+        }
+
+        const usable = this.getStripeUsable(stripe);
+        if (this.codec.selectSources) {
+            return this._selectCodecRoles(stripe, usable);
+        }
+        const sources = lowestBits(usable, this.k);
+        const available = popCount(sources);
+
+        if (available < this.k) {
+            return new Error(
+                `Not enough valid parts for stripe ${stripe.index}` +
+                    `: ${available} < ${this.k}`);
+        }
+
+        stripe.setRoles(sources, this.outputs & ~sources);
+        return null;
+    }
+
+    /**
+     * Select sources and targets of a filled stripe with the codec
+     * (see codec.js selectSources)
+     *
+     * @param {Object} stripe - Stripe, as returned by ref
+     * @param {Number} usable - Bitfield, valid parts of the stripe
+     * @return {null|Error} error if valid parts are not enough
+     */
+    _selectCodecRoles(stripe, usable) {
+        const sources = selectSources(
+            this.codec, this.k, this.m, usable, this.outputs & ~usable);
+        if (sources === null) {
+            return new Error(
+                `Not enough valid parts for stripe ${stripe.index}` +
+                    `: ${popCount(usable)} parts do not cover lost ones`);
+        }
+
+        const stripeSources = sources | (this.outputs & usable);
+        stripe.setRoles(stripeSources, this.outputs & ~stripeSources);
+        return null;
+    }
+
     /**
      * Notify context an error occured on input stream
      * (typically it emitted 'error' event)
      *
-     * @param {Error} err - Received error
+     * @param {Error} err - Received error, possibly attributed already by
+     *        another context (see StreamError)
+     * @param {Number} [istreamId] - Input stream which emitted it, if any
      * @return {undefined}
      *
-     * @comment This function sends event on output or input stream,
-     * you may want to avoid calling it directly from a stream API
-     * callback (see encode/decode writeCallback).
+     * @comment Error is recorded right away, but sent to output streams
+     * on next loop iteration: callers, including the ones of encode/decode
+     * which fail synchronously, get a chance to listen to it.
      */
-    error(err) {
-        if (!this.inputError) {
-            this.inputError = err;
-            this.filteredOstreams.forEach(s => s.emit('error', err));
+    error(err, istreamId) {
+        if (!this.inputError && !this.aborted) {
+            this.inputError = istreamId === undefined ?
+                err : attributeError(err, 'input', istreamId);
+            // Outputs get the original error, attribution is for promise
+            this._forwardedError = err instanceof StreamError ?
+                err.cause : err;
+            setImmediate(() => {
+                this.filteredOstreams.forEach(
+                    s => s.emit('error', this._forwardedError));
+                this._checkCompletion();
+            });
+        }
+    }
+
+    /**
+     * Completion of the whole operation
+     *
+     * Resolved with the context once every output stream has finished,
+     * rejected only once, with the first error, whether it was forwarded
+     * by the context or emitted by an output stream. Errors coming from
+     * a stream are wrapped in a StreamError, with 'streamType' ('input' or
+     * 'output') and 'streamIndex' properties, and the original error as
+     * 'cause' (output streams are given the original error). Output errors
+     * are caught from the context creation on.
+     *
+     * @return {Promise} completion promise
+     */
+    promise() {
+        this._checkCompletion();
+        return this._completion.promise;
+    }
+
+    _checkCompletion() {
+        if (this.inputError) {
+            this._complete(this.inputError);
+        } else if (this.finishedOutputs === this.filteredOstreams.length) {
+            this._complete(null);
+        }
+    }
+
+    _complete(err) {
+        if (!this._completed) {
+            this._completed = true;
+            this._unlistenSignal();
+            clearTimeout(this._stallTimer);
+            if (!err) {
+                this.emit('finish');
+            } else if (this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        }
+        this._settle(err);
+    }
+
+    _armStallTimer() {
+        clearTimeout(this._stallTimer);
+        if (this.stallTimeout === 0 || this._completed) {
+            return;
+        }
+        this._stallTimer = setTimeout(() => {
+            this.emit('stall', {
+                index: this.processedStripe,
+                elapsed: Date.now() - this._lastProgress,
+            });
+            this._armStallTimer();
+        }, this.stallTimeout);
+        // Never keep process alive for reporting
+        this._stallTimer.unref();
+    }
+
+    /**
+     * Report a processed stripe (see 'stripe' and 'progress' events)
+     *
+     * @param {Object} stripe - Processed stripe
+     * @return {undefined}
+     */
+    _reportStripe(stripe) {
+        const stripeBytes = this.data.size;
+        const { offset, length } = this.range;
+        const start = Math.max(stripe.index * stripeBytes, offset);
+        const end = Math.min((stripe.index + 1) * stripeBytes,
+                             offset + length);
+        const bytes = Math.max(0, end - start);
+
+        this.processedBytes += bytes;
+        this._lastProgress = Date.now();
+        this.emit('stripe', {
+            index: stripe.index,
+            bytes,
+            duration: stripe.duration,
+        });
+        this.emit('progress', {
+            processed: this.processedBytes,
+            total: length === Infinity ? null : length,
+        });
+        this._armStallTimer();
+    }
+
+    _unlistenSignal() {
+        if (this._onAbort) {
+            this._signal.removeEventListener('abort', this._onAbort);
+            this._onAbort = null;
+        }
+    }
+
+    /**
+     * Listen to an input stream event, until abort
+     *
+     * @param {Number} index - Input stream index
+     * @param {String} event - Event name
+     * @param {Function} handler - Event handler
+     * @return {undefined}
+     */
+    onInput(index, event, handler) {
+        this.istreams[index].on(event, handler);
+        this._inputListeners.push({ index, event, handler });
+    }
+
+    /**
+     * Remove input listeners added with onInput
+     *
+     * @return {[stream.Readable]} streams listened to
+     */
+    _unlistenInputs() {
+        const streams = [];
+        this._inputListeners.forEach(({ index, event, handler }) => {
+            const s = this.istreams[index];
+            s.removeListener(event, handler);
+            if (streams.indexOf(s) === -1) {
+                streams.push(s);
+            }
+        });
+        this._inputListeners = [];
+        return streams;
+    }
+
+    /**
+     * Release input streams once the last stripe of a range of whole
+     * fragments is filled (see setRange)
+     *
+     * What follows is not needed: input streams read so far are destroyed,
+     * or left paused for the caller with 'release' abort policy.
+     *
+     * @return {undefined}
+     */
+    _releaseRangeInputs() {
+        if (this.ranged || this.endStripe === this.nStripe) {
+            return;
+        }
+        const streams = this._unlistenInputs();
+        if (this.abortPolicy === 'destroy') {
+            streams.forEach(s => s.destroy());
         }
     }
 
     /**
-     * Notify a new stripe is being encoded (back pressure part 1)
+     * Abort the operation
+     *
+     * No more stripe is filled, and stripes in flight are not dispatched.
+     * Once they are back from encoding or from output streams, input
+     * listeners are removed, and streams are handled following abort policy:
+     * - 'destroy': input streams are destroyed, output streams are
+     *    destroyed with the AbortError,
+     * - 'release': streams are left as is (inputs paused, outputs neither
+     *    ended nor errored), for the caller to reuse or close them.
+     * The AbortError is then recorded as the context error (see promise).
+     * Aborting a failed, aborted or completed operation does nothing.
+     *
+     * @param {*} [reason] - Abort reason, see AbortError
      * @return {undefined}
      */
+    abort(reason) {
+        if (this.inputError || this.aborted ||
+            this.processedStripe === this.endStripe) {
+            return;
+        }
+        this.aborted = new AbortError(reason);
+        if (this._stripe) {
+            this._releaseStripe(this._stripe);
+            this._stripe = null;
+        }
+        this._unlistenInputs();
+        this._checkAborted();
+    }
+
+    _checkAborted() {
+        if (this.inFlight.length > 0) {
+            return;
+        }
+
+        const err = this.aborted;
+        this.inputError = err;
+        if (this.abortPolicy === 'destroy') {
+            this.filteredIstreams.forEach(s => s.destroy());
+            this.filteredOstreams.forEach(s => s.destroy(err));
+        }
+        this._checkCompletion();
+    }
+
+    _settle(err) {
+        if (this._completion.settled) {
+            return;
+        }
+        this._completion.settled = true;
+        if (err) {
+            this._completion.reject(err);
+        } else {
+            this._completion.resolve(this);
+        }
+    }
+
+    /**
+     * Notify current stripe is filled, and is being encoded
+     * (back pressure part 1)
+     *
+     * Next stripe, if any, becomes the current one, and can be filled
+     * while previous ones are encoded (see wait).
+     *
+     * @return {Object} filled stripe, to hand over to next steps
+     */
     ref() {
+        const stripe = this._stripe;
         // Check stripe really is ready
-        assert.strictEqual(this._stripe.waiting, 0);
-        this.inFlight = true;
+        assert.ok(this.readyForEncoding());
+        // Hedged reads: parts still waiting are erased for this stripe,
+        // their chunk will be dropped once read (see toSkip)
+        for (let i = 0; i < this.k + this.m; ++i) {
+            if ((stripe.waiting & this.bits.bit(i)) !== this.bits.zero) {
+                this.excludePart(i);
+                this.toSkip[i]++;
+            }
+        }
+        stripe.waiting = this.bits.zero;
+        this.inFlight.push(stripe);
+
+        if (stripe.index + 1 < this.endStripe) {
+            this._newStripe(stripe.index + 1);
+            if (!this.wait()) {
+                // Current handler is still filling previous stripe
+                setImmediate(() => this._wakeUp());
+            }
+        } else {
+            this._stripe = null;
+            this._releaseRangeInputs();
+        }
+        return stripe;
     }
 
     /**
-     * Notify a new stripe has been encoded (back pressure part 2)
+     * Notify a stripe has been encoded and streamed
+     * (back pressure part 2)
+     *
+     * @param {Object} stripe - Stripe, as returned by ref
      * @return {undefined}
      *
      * @comment This function sends event on output or input stream,
      * you may want to avoid calling it directly from a stream API
      * callback (see encode/decode writeCallback).
      */
-    unref() {
-        this.inFlight = false;
+    unref(stripe) {
+        const position = this.inFlight.indexOf(stripe);
+        assert.notStrictEqual(position, -1);
+        this.inFlight.splice(position, 1);
+        // Every write callback fired, buffers may be reused
+        this._releaseStripe(stripe);
+        if (this.aborted) {
+            this._checkAborted();
+            return;
+        }
+        if (!this.inputError) {
+            this._reportStripe(stripe);
+        }
         this.processedStripe++;
         /* Forward end to all downstreams iff
          * everything was sent */
-        if (this.processedStripe === this.nStripe) {
-            this.filteredOstreams.forEach(s => s.end());
-        } else { // prepare new chunk
-            this._newStripe();
-            // Wakeup input streams
-            // Required whenever we can read more data
-            // than k * stripeSize. First step of encoder
-            // will consume only part of the entry.
-            // Stream will stay dormant until we try to read.
-            this.filteredIstreams.forEach(s => s.emit('readable'));
+        if (this.processedStripe === this.endStripe) {
+            this._endOutputs();
+        } else if (!this.wait()) {
+            this._wakeUp();
         }
     }
 
+    _wakeUp() {
+        // Wakeup input streams
+        // Required whenever we can read more data
+        // than k * stripeSize. First step of encoder
+        // will consume only part of the entry.
+        // Stream will stay dormant until we try to read.
+        this.filteredIstreams.forEach(s => s.emit('readable'));
+    }
+
     /**
-     * Should we send to encoding? (back pressure part 3)
+     * Should we stop filling stripes? (back pressure part 3)
      *
-     * Underlying library is asynchronous, and thus we must
-     * either prevent multiple concurrent encodings of same
-     * stream or reorder afterwards. For simplicity we chose
-     * to linearize dispatches to encoding library
-     * (no self concurrency).
+     * Underlying library is asynchronous, stripes are encoded
+     * concurrently in its task pool, and reordered before being
+     * dispatched (see encode). Filling stops whenever
+     * 'concurrency' stripes are in flight, or every stripe was filled.
      *
      * @return {bool} should wait
      */
     wait() {
-        return this.inFlight;
+        return this._stripe === null ||
+            this.inFlight.length >= this.concurrency;
     }
 
     addedToStripe(sources) {
@@ -221,41 +1192,180 @@ class DencodeContext {
     /**
      * Should we start encoding current stripe?
      *
-     * @param {DencodeContext} decodeContext - Context of the stream decoding
+     * Every part must be filled, unless hedging: k valid parts are then
+     * enough, as long as at most 'hedge' parts are still waiting.
+     *
      * @return {boolean} true if stripe can be dispatched
      */
     readyForEncoding() {
-        return this._stripe.waiting === 0;
+        const waiting = this._stripe.waiting;
+        if (waiting === this.bits.zero) {
+            return true;
+        }
+        const filled = this.getStripeUsable() & ~waiting;
+        return popCount(waiting) <= this.hedge &&
+            popCount(filled) >= this.k;
     }
 
     /**
-     * Encode current loaded stripe
+     * Encode a filled stripe
      *
      * @param {Funcion} dispatcher - Called whenever a stripe has
-     *        finish encoding: (DencodeContext, Buffer, Buffer, Error|null) -> ?
+     *        finish encoding, in stripe order:
+     *        (DencodeContext, Error|null, Object) -> ?
+     * @param {Object} stripe - Stripe, as returned by ref
      * @return {null|Object} anything returned by underlying EC lib
      */
-    encode(dispatcher) {
-        assert.ok(this.inFlight);
+    encode(dispatcher, stripe) {
+        assert.notStrictEqual(this.inFlight.indexOf(stripe), -1);
+        const start = process.hrtime();
+        const encoded = err => {
+            const [seconds, nanoseconds] = process.hrtime(start);
+            stripe.setEncoded(
+                dispatcher, err, (seconds * 1e3) + (nanoseconds / 1e6));
+            this._encoded(stripe);
+        };
         // We don't need to encode/decode anything, bypass task pool
-        if (this.targets === 0) {
-            setImmediate(() => dispatcher(this, null));
+        if (stripe.targets === this.bits.zero || this.aborted) {
+            setImmediate(() => encoded(null));
             return null;
         }
 
-        return ReedSolomon.encode(
-            this.rsContext,
-            this.sources,
-            this.targets,
-            this._stripe.dataBuffer,
-            this.data.offset,
-            this.data.size,
-            this._stripe.parityBuffer,
-            this.parity.offset,
-            this.parity.size,
-            err => dispatcher(this, err)
+        return this.encodeBuffers(
+            stripe.sources,
+            stripe.targets,
+            stripe.dataBuffer,
+            stripe.parityBuffer,
+            encoded
+        );
+    }
+
+    /**
+     * Dispatch encoded stripes, in stripe order
+     * Stripes encoded before previous ones wait for them.
+     *
+     * @param {Object} stripe - Stripe which finished encoding
+     * @return {undefined}
+     */
+    _encoded(stripe) {
+        // Aborted: stripes are not dispatched anymore
+        if (this.aborted) {
+            this.unref(stripe);
+            return;
+        }
+
+        const next = () => this.inFlight.find(
+            s => s.index === this._nextDispatch && s.encoded);
+        for (let s = next(); s; s = next()) {
+            this._nextDispatch++;
+            s.dispatcher(this, s.error, s);
+        }
+    }
+
+    /**
+     * Encode arbitrary stripe buffers with this context geometry
+     *
+     * @param {Number} sources - Bitfield, parts to use as input
+     * @param {Number} targets - Bitfield, parts to compute
+     * @param {Buffer} dataBuffer - Data parts of the stripe
+     * @param {Buffer} parityBuffer - Parity parts of the stripe
+     * @param {Function} callback - Called once encoded: (Error|null) -> ?
+     * @return {null|Object} anything returned by underlying EC lib
+     */
+    encodeBuffers(sources, targets, dataBuffer, parityBuffer, callback) {
+        return this.codec.encode(
+            this.codecContext,
+            sources,
+            targets,
+            dataBuffer.slice(this.data.offset,
+                             this.data.offset + this.data.size),
+            parityBuffer.slice(this.parity.offset,
+                               this.parity.offset + this.parity.size),
+            callback
         );
     }
+
+    /**
+     * Write a part of a stripe to its output fragment stream
+     *
+     * The fragment header precedes the first stripe: it is written along
+     * with its chunk, for backpressure to account for it. With checksums,
+     * every chunk is followed by its CRC32C.
+     *
+     * @param {Number} index - Part index
+     * @param {Object} stripe - Stripe being dispatched
+     * @param {Function} callback - Called once the chunk is written
+     * @return {boolean} false if the output asks to wait for 'drain'
+     */
+    writeChunk(index, stripe, callback) {
+        const chunk = this.getPart(
+            stripe.dataBuffer, stripe.parityBuffer, index);
+        let toWrite = this.header && stripe.index === 0 ?
+            Buffer.concat([this.getHeaderBuffer(index), chunk]) : chunk;
+        if (this.checksum) {
+            this._writeOutput(index, toWrite);
+            toWrite = checksumBuffer(chunk);
+        }
+        return this._writeOutput(index, toWrite, callback);
+    }
+
+    _writeOutput(index, buffer, callback) {
+        // Everything written is hashed, for the manifest
+        if (this.fragmentHashes) {
+            this.fragmentHashes[index].update(buffer);
+        }
+        return this.ostreams[index].write(
+            buffer, null /* binary encoding */, callback);
+    }
+
+    /**
+     * End outputs of an empty object, once input headers are read
+     * (decode and repair)
+     *
+     * @return {undefined}
+     */
+    endEmpty() {
+        assert.strictEqual(this.nStripe, 0);
+        if (this._stripe) {
+            this._releaseStripe(this._stripe);
+            this._stripe = null;
+            this._endOutputs();
+        }
+    }
+
+    /**
+     * End output streams, once every stripe was written
+     *
+     * Fragments of an empty object still get their header.
+     *
+     * @return {undefined}
+     */
+    _endOutputs() {
+        this.ostreams.forEach((s, i) => {
+            if (!s) {
+                return;
+            }
+            if (this.fragmentOutputs && this.header && this.nStripe === 0) {
+                this._writeOutput(i, this.getHeaderBuffer(i));
+            }
+            s.end();
+        });
+    }
+
+    /**
+     * Get a part of stripe buffers
+     *
+     * @param {Buffer} dataBuffer - Data parts of the stripe
+     * @param {Buffer} parityBuffer - Parity parts of the stripe
+     * @param {Number} index - Part index
+     * @return {Buffer} slice of stripeSize bytes
+     */
+    getPart(dataBuffer, parityBuffer, index) {
+        const buffer = index < this.k ? dataBuffer : parityBuffer;
+        const offset = (index < this.k ? index : index - this.k) *
+                  this.stripeSize;
+        return buffer.slice(offset, offset + this.stripeSize);
+    }
 }
 
 
@@ -40,48 +40,50 @@
  * of whole input stream.
  */
 
+const assert = require('assert');
+const crypto = require('crypto');
+
 const { DencodeContext } = require('./dencode_context');
+const { getBitfields } = require('./bitfield');
+const { toNodeStream } = require('./web');
+const { newObjectId } = require('./header');
+const { createManifest } = require('./manifest');
 
 /**
  * Dispatch encoded stripe into output streams - Step 3
  *
  * @param {DencodeContext} encodeContext - Context of the stream encoding
  * @param {null|Error} error - Encoding error
+ * @param {Object} stripe - Encoded stripe
  * @return {undefined}
  */
-function encodeDispatchStep(encodeContext, error) {
+function encodeDispatchStep(encodeContext, error, stripe) {
     if (error) {
         encodeContext.error(error);
-        encodeContext.unref();
+        encodeContext.unref(stripe);
         return;
     }
 
     // Forward everything to output streams
-    let nPending = encodeContext.ostreams.length;
-    const stripeSize = encodeContext.stripeSize;
+    let nPending = encodeContext.filteredOstreams.length;
     const writeCallback = () => {
         nPending--;
         if (nPending === 0) {
-            setImmediate(() => encodeContext.unref());
+            setImmediate(() => encodeContext.unref(stripe));
         }
     };
 
     encodeContext.ostreams.forEach((s, i) => {
-        const buffer = i < encodeContext.k ?
-                  encodeContext.getDataBuffer() :
-                  encodeContext.getParityBuffer();
-        const stripeId = i < encodeContext.k ? i : i - encodeContext.k;
-        const start = stripeId * stripeSize;
-        const end = (stripeId + 1) * stripeSize;
+        // Parity left for later (see generateParity)
+        if (!s) {
+            return;
+        }
 
         /* Bumped here to handle write callback
          * and potentially waiting for 'drain' event
          */
         nPending++;
-        const writeOk = s.write(
-            buffer.slice(start, end),
-            null, /* binary encoding */
-            writeCallback);
+        const writeOk = encodeContext.writeChunk(i, stripe, writeCallback);
         if (!writeOk) {
             s.once('drain', writeCallback);
         } else {
@@ -91,6 +93,24 @@ function encodeDispatchStep(encodeContext, error) {
 }
 
 
+/**
+ * Handle end of input stream
+ *
+ * @param {DencodeContext} encodeContext - Context of the stream encoding
+ * @param {Number} size - Number of bytes read from input stream
+ * @return {undefined}
+ */
+function endOfInput(encodeContext, size) {
+    if (encodeContext.size !== Infinity && encodeContext.size !== size) {
+        const error = new Error(
+            `Input stream ended too early: ${size} < ${encodeContext.size}`);
+        encodeContext.error(error, 0);
+        return;
+    }
+    encodeContext.setSize(size);
+}
+
+
 /**
  * Bufferize stream stripes - Step 1
  *
@@ -100,22 +120,33 @@ function encodeDispatchStep(encodeContext, error) {
  */
 function encodeBufferStep(encodeContext, istreamId) {
     // Backpressure - avoids memory blow-up
-    if (encodeContext.wait()) {
+    if (encodeContext.wait() || encodeContext.inputError) {
         return;
     }
 
-    const lastStripe =
-              encodeContext.processedStripe + 1 === encodeContext.nStripe;
+    const stripeIndex = encodeContext.getStripeIndex();
+    const stripeStart = stripeIndex * encodeContext.data.size;
+    const lastStripe = stripeIndex + 1 === encodeContext.nStripe;
     const toRead = lastStripe ?
-              (encodeContext.size -
-               encodeContext.processedStripe * encodeContext.data.size) :
+              (encodeContext.size - stripeStart) :
               encodeContext.data.size;
     const dataBytes = encodeContext.istreams[istreamId].read(toRead);
     // Not enough data to fill data buffer (except for end - see below)
     if (dataBytes === null) {
+        // Input ended right after previous stripe
+        if ((encodeContext.ended & encodeContext.bits.bit(istreamId)) !==
+            encodeContext.bits.zero) {
+            endOfInput(encodeContext, stripeStart);
+        }
         return;
     }
 
+    // Input of unknown length ended within this stripe
+    if (encodeContext.size === Infinity &&
+        dataBytes.length < encodeContext.data.size) {
+        endOfInput(encodeContext, stripeStart + dataBytes.length);
+    }
+
     /* Handle end of stream
      * Read returns less data than asked iff 'end' event
      * was received. In this case, needs to create an
@@ -124,52 +155,133 @@ function encodeBufferStep(encodeContext, istreamId) {
         dataBytes.copy(encodeContext.getDataBuffer());
         encodeContext.getDataBuffer().fill(0, dataBytes.length);
     } else {
-        encodeContext._stripe.dataBuffer = dataBytes; // steal
+        encodeContext.adoptDataBuffer(dataBytes); // steal
     }
 
     encodeContext.addedToStripe(encodeContext.sources);
-    encodeContext.ref();
-    encodeContext.encode(encodeDispatchStep);
+    const stripe = encodeContext.ref();
+    encodeContext.encode(encodeDispatchStep, stripe);
 }
 
 
 /**
  * Encode a stream using Reed-Solomon (k, m), systematic code
  *
- * @param {stream.Readable} instream - Stream to encode
- * @param {Number} size - Length of instream
+ * @param {stream.Readable} input - Stream to encode
+ * @param {null|Number} size - Length of input, null if unknown: end of
+ *        input is then detected, and actual length is set in context
+ *        'size' once input ended (to be given to decode). Fragment
+ *        headers require a known length.
  * @param {[stream.Writable]} dataOutStreams - Encoded data streams
- * @param {[stream.Writable]} parityOutStreams - Encoded parity streams
+ * @param {[stream.Writable]} parityOutStreams - Encoded parity streams,
+ *        null for parity fragments not to compute now (see generateParity)
  * @param {Number} stripeSize - Stripe size to use
-* @return {DencodeContext} encoding context
+ * @param {Object} [options] - Optional features
+ * @param {boolean} [options.header] - Start every fragment with a
+ *                                     self-describing header (see header.js)
+ * @param {boolean} [options.checksum] - Follow every stripe sized chunk of
+ *                                       every fragment with its CRC32C
+ * @param {Number} [options.concurrency] - Maximum number of stripes
+ *        encoded at once (default 1), see DencodeContext
+ * @param {AbortSignal} [options.signal] - Aborts encoding, see
+ *        DencodeContext.abort (context 'abort' method may also be used)
+ * @param {String} [options.abortPolicy] - 'destroy' (default) or 'release'
+ *        streams once aborted, see DencodeContext.abort
+ * @param {Number} [options.stallTimeout] - Milliseconds without progress
+ *        before context emits 'stall' (see DencodeContext events)
+ * @param {boolean|BufferPool} [options.bufferPool] - Reuse stripe buffers
+ *        from a pool, true for the shared one, outputs must not keep
+ *        written chunks past their write callback (see buffer_pool.js)
+ * @param {Object} [options.codec] - Coding backend (default
+ *        Reed-Solomon, see codec.js)
+ * @param {String} [options.digest] - Hash algorithm (e.g. 'sha256') of
+ *        fragment digests recorded in the manifest (default none), every
+ *        parity output is then needed
+ * @return {DencodeContext} encoding context, with 'manifest' set once
+ *         every fragment output stream finished (see manifest.js)
  *
  * Code parameters (k, m) are inferred from respectively
  * dataOutStreams and parityOutStreams length.
+ * Any stream may also be a WHATWG Web Stream (see web.js).
  */
-function encode(instream, size, dataOutStreams, parityOutStreams, stripeSize) {
+function encode(input, size, dataOutStreams, parityOutStreams, stripeSize,
+                options = {}) {
     const k = dataOutStreams.length;
     const m = parityOutStreams.length;
-    // Bitfields specifying encode all 'coding' from all 'data' sources
-    const sources = (1 << k) - 1;
-    const targets = ((1 << m) - 1) << k;
-    const ostreams = [...dataOutStreams, ...parityOutStreams];
+    // Bitfields specifying encode requested 'coding' from all 'data' sources
+    const bitfields = getBitfields(k + m);
+    const sources = bitfields.mask(k);
+    const targets = parityOutStreams.reduce(
+        (bits, s, i) => (s ? bits | bitfields.bit(k + i) : bits),
+        bitfields.zero);
+    const ostreams = [...dataOutStreams, ...parityOutStreams].map(
+        toNodeStream);
+    const instream = toNodeStream(input);
+    assert.ok(dataOutStreams.every(s => s));
+    assert.ok(typeof size === 'number' || !options.header,
+              'Fragment headers need a known input size');
+    assert.ok(!options.digest || parityOutStreams.every(s => s),
+              'Fragment digests need every parity output');
     const encodeContext = new DencodeContext(
-        k, m, [instream], ostreams, size, sources, targets, stripeSize);
+        k, m, [instream], ostreams, size === null ? Infinity : size,
+        sources, targets, stripeSize, options);
+
+    if (encodeContext.header) {
+        encodeContext.fragmentHeader = {
+            k,
+            m,
+            stripeSize: encodeContext.stripeSize,
+            size,
+            objectId: newObjectId(),
+            checksum: encodeContext.checksum,
+        };
+    }
+
+    // Manifest is built once everything was written
+    const digest = options.digest || null;
+    encodeContext.fragmentHashes = digest ?
+        ostreams.map(() => crypto.createHash(digest)) : null;
+    encodeContext.manifest = null;
+    encodeContext.once('finish', () => {
+        const digests = encodeContext.fragmentHashes ?
+                  encodeContext.fragmentHashes.map(h => h.digest('hex')) :
+                  ostreams.map(() => null);
+        encodeContext.manifest = createManifest(
+            encodeContext, digest, digests);
+    });
 
     // Input stream MUST be paused, and never pipe'd nor resumed
     instream.pause();
 
     // Read handler
-    instream.on('readable', () => encodeBufferStep(encodeContext, 0));
-    instream.on('end', () => encodeBufferStep(encodeContext, 0));
+    encodeContext.onInput(0, 'readable', () => encodeBufferStep(
+        encodeContext, 0));
+    encodeContext.onInput(0, 'end', () => {
+        encodeContext.inputEnded(0);
+        encodeBufferStep(encodeContext, 0);
+    });
 
     // Forward errors to context
-    instream.once('error', err => setImmediate(() => encodeContext.error(err)));
+    instream.once('error',
+                  err => setImmediate(() => encodeContext.error(err, 0)));
 
     return encodeContext;
 }
 
 
+/**
+ * Encode a stream, see encode
+ *
+ * @param {...*} args - encode arguments
+ * @return {Promise} resolved with encoding context once every fragment
+ *                   output stream finished
+ */
+function encodeAsync(...args) {
+    return encode(...args).promise();
+}
+
+
 module.exports = {
     encode,
+    encodeAsync,
 };
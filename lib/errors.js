@@ -0,0 +1,47 @@
+'use strict'; // eslint-disable-line strict
+
+
+class AbortError extends Error {
+    /**
+     * Operation was aborted (see DencodeContext.abort)
+     *
+     * Same name and code as the errors of aborted Node operations.
+     *
+     * @constructor
+     * @param {*} [reason] - Abort reason, kept as 'cause'
+     */
+    constructor(reason) {
+        super('The operation was aborted');
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+        this.cause = reason;
+    }
+}
+
+
+class StreamError extends Error {
+    /**
+     * Error emitted by an input or output stream of an operation
+     *
+     * Same message and code as the stream error, which is kept as 'cause'.
+     *
+     * @constructor
+     * @param {Error} cause - Error emitted by the stream
+     * @param {String} streamType - 'input' or 'output'
+     * @param {Number} streamIndex - Index of stream in context streams
+     */
+    constructor(cause, streamType, streamIndex) {
+        super(cause.message);
+        this.name = 'StreamError';
+        this.code = cause.code;
+        this.cause = cause;
+        this.streamType = streamType;
+        this.streamIndex = streamIndex;
+    }
+}
+
+
+module.exports = {
+    AbortError,
+    StreamError,
+};
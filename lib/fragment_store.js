@@ -0,0 +1,487 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Fragment store on a local file system
+ *
+ * Every object is a directory of the store, holding one file per fragment
+ * and the object manifest (see manifest.js), written last: objects without
+ * manifest are incomplete, and ignored. Objects are encoded, decoded and
+ * repaired with encode, decode and repair, through file streams.
+ *
+ * Layout:
+ *   <directory>/<name>/manifest.json
+ *   <directory>/<name>/fragment-<index>
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const { encode } = require('./encode');
+const { decode } = require('./decode');
+const { repair } = require('./repair');
+const { verify } = require('./verify');
+const { selectSources } = require('./codec');
+const { getBitfields } = require('./bitfield');
+const {
+    getManifestCodec,
+    getManifestOptions,
+    loadManifest,
+} = require('./manifest');
+
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const rmdir = promisify(fs.rmdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const writeFile = promisify(fs.writeFile);
+
+const MANIFEST_FILE = 'manifest.json';
+/* Default hash algorithm of fragment digests */
+const DIGEST = 'sha256';
+
+
+/**
+ * Open a file for writing
+ *
+ * @param {String} file - File path
+ * @return {fs.WriteStream} stream, with 'whenClosed' promise, resolved once
+ *                          file is closed
+ */
+function createWriter(file) {
+    const s = fs.createWriteStream(file);
+    s.whenClosed = new Promise(resolve => s.once('close', resolve));
+    return s;
+}
+
+
+/**
+ * Remove a file, if it exists
+ *
+ * @param {String} file - File path
+ * @return {Promise} resolved once file is removed
+ */
+function removeFile(file) {
+    return unlink(file).catch(err => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    });
+}
+
+
+/**
+ * Close the writers of a failed operation, and remove their files
+ *
+ * @param {[fs.WriteStream]} writers - Writers (see createWriter), null
+ *                                     entries are ignored
+ * @return {Promise} resolved once every file is closed and removed
+ */
+function discardWriters(writers) {
+    return Promise.all(writers.filter(s => s).map(s => {
+        s.destroy();
+        return s.whenClosed.then(() => removeFile(s.path));
+    }));
+}
+
+
+/**
+ * Close readers of an operation, not always read to their end
+ *
+ * Readers may still be opening their file: later errors, such as the
+ * file being removed meanwhile, are ignored.
+ *
+ * @param {[stream.Readable]} readers - Readers, null entries are ignored
+ * @return {undefined}
+ */
+function closeReaders(readers) {
+    readers.forEach(s => {
+        if (s) {
+            s.on('error', () => {});
+            s.destroy();
+        }
+    });
+}
+
+
+/**
+ * Run a cleanup once an operation failed, then fail with its error
+ *
+ * @param {Error} err - Error of the operation
+ * @param {Function} cleanup - Cleanup: () -> Promise
+ * @return {Promise} rejected with err, whether cleanup succeeded or not
+ */
+function failAfter(err, cleanup) {
+    const fail = () => {
+        throw err;
+    };
+    return Promise.resolve().then(cleanup).then(fail, fail);
+}
+
+
+/**
+ * Start an operation, reporting its progress
+ *
+ * @param {Function} operation - Starts the operation with given options:
+ *                               Object -> DencodeContext
+ * @param {Object} options - Store method options, with 'progress',
+ *        called with every context 'progress' event (see DencodeContext),
+ *        and other store specific options, which are not forwarded
+ * @return {DencodeContext} started context
+ */
+function start(operation, options) {
+    const forwarded = Object.assign({}, options);
+    delete forwarded.progress;
+    delete forwarded.fragments;
+    const context = operation(forwarded);
+    if (options.progress) {
+        context.on('progress', options.progress);
+    }
+    return context;
+}
+
+
+/**
+ * Hash a file
+ *
+ * @param {String} file - File path
+ * @param {String} algorithm - Hash algorithm
+ * @return {Promise} resolved with hexadecimal digest
+ */
+function hashFile(file, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+
+/**
+ * Status of a fragment file
+ *
+ * @param {String} file - Fragment path
+ * @param {Object} fragment - Fragment entry of the manifest
+ * @param {null|String} algorithm - Hash algorithm of digests, if any
+ * @param {boolean} deep - Compare digests, not only lengths
+ * @return {Promise} resolved with 'ok', 'missing' or 'corrupted'
+ */
+function getFragmentStatus(file, fragment, algorithm, deep) {
+    return stat(file).then(stats => {
+        if (stats.size !== fragment.length) {
+            return 'corrupted';
+        }
+        if (!deep || algorithm === null) {
+            return 'ok';
+        }
+        return hashFile(file, algorithm).then(
+            digest => (digest === fragment.digest ? 'ok' : 'corrupted'));
+    }, err => {
+        if (err.code === 'ENOENT') {
+            return 'missing';
+        }
+        throw err;
+    });
+}
+
+
+class FragmentStore {
+    /**
+     * Store objects as fragment files
+     *
+     * @constructor
+     * @param {String} directory - Existing root directory of the store
+     */
+    constructor(directory) {
+        assert.strictEqual(typeof directory, 'string');
+        this.directory = directory;
+    }
+
+    /**
+     * Directory of an object
+     *
+     * @param {String} name - Object name, a single path component
+     * @return {String} object directory
+     */
+    getObjectPath(name) {
+        assert.ok(typeof name === 'string' && name !== '' &&
+                  name !== '.' && name !== '..' && !/[/\\]/.test(name),
+                  `Bad object name: ${name}`);
+        return path.join(this.directory, name);
+    }
+
+    /**
+     * Path of a fragment file
+     *
+     * @param {String} name - Object name
+     * @param {Number} index - Fragment index
+     * @return {String} fragment file path
+     */
+    getFragmentPath(name, index) {
+        return path.join(this.getObjectPath(name), `fragment-${index}`);
+    }
+
+    /**
+     * Read the manifest of an object
+     *
+     * @param {String} name - Object name
+     * @return {Promise} resolved with validated manifest
+     */
+    getManifest(name) {
+        return readFile(path.join(this.getObjectPath(name), MANIFEST_FILE),
+                        'utf8')
+            .then(loadManifest);
+    }
+
+    /**
+     * Encode an object into a new object directory
+     *
+     * Fragment digests are recorded in manifest, unless 'digest' option
+     * is false. Manifest is written once every fragment file is closed,
+     * through a temporary file renamed in place. Should encoding fail,
+     * the object directory is removed.
+     *
+     * @param {String} name - Object name, must not exist yet
+     * @param {stream.Readable} input - Stream to encode
+     * @param {null|Number} size - Length of input, null if unknown
+     * @param {Number} k - Number of data parts
+     * @param {Number} m - Number of parity parts
+     * @param {Number} stripeSize - Stripe size to use
+     * @param {Object} [options] - Encoding options, see encode
+     * @param {Function} [options.progress] - Called with progress events
+     *        (see DencodeContext), same for other methods
+     * @return {Promise} resolved with the manifest
+     */
+    put(name, input, size, k, m, stripeSize, options = {}) {
+        const objectPath = this.getObjectPath(name);
+        const encodeOptions = Object.assign({}, options, {
+            digest: options.digest === false ?
+                undefined : (options.digest || DIGEST),
+        });
+        return mkdir(objectPath).then(() => {
+            const ostreams = [...Array(k + m).keys()].map(
+                index => createWriter(this.getFragmentPath(name, index)));
+            const file = path.join(objectPath, MANIFEST_FILE);
+            let manifest = null;
+            return Promise.resolve()
+                .then(() => start(
+                    opts => encode(input, size, ostreams.slice(0, k),
+                                   ostreams.slice(k), stripeSize, opts),
+                    encodeOptions).promise())
+                .then(context => {
+                    manifest = context.manifest;
+                    return Promise.all(ostreams.map(s => s.whenClosed));
+                })
+                .then(() => writeFile(`${file}.tmp`, JSON.stringify(manifest)))
+                .then(() => rename(`${file}.tmp`, file))
+                .then(() => manifest, err => failAfter(
+                    err, () => discardWriters(ostreams)
+                        .then(() => removeFile(`${file}.tmp`))
+                        .then(() => rmdir(objectPath))));
+        });
+    }
+
+    /**
+     * Decode an object from its available fragment files
+     *
+     * Missing fragments, and fragments of unexpected length, are not read.
+     * Only the fragments needed for decoding are opened, unless spares
+     * are read (checksums, failover, verify or hedge options).
+     *
+     * @param {String} name - Object name
+     * @param {stream.Writable} output - Decoded stream
+     * @param {Object} [options] - Decoding options, see decode
+     * @return {Promise} resolved with decoding context once output finished
+     */
+    get(name, output, options = {}) {
+        return this.getManifest(name).then(manifest => Promise.all(
+            manifest.fragments.map(fragment => getFragmentStatus(
+                this.getFragmentPath(name, fragment.index), fragment,
+                null, false)))
+            .then(statuses => {
+                const { k, m } = manifest;
+                const bitfields = getBitfields(k + m);
+                const valid = statuses.reduce(
+                    (bits, s, i) => (s === 'ok' ?
+                                     bits | bitfields.bit(i) : bits),
+                    bitfields.zero);
+                const needSpares = manifest.checksum ||
+                          options.failover === true ||
+                          options.verify === true || options.hedge > 0;
+                const read = (!needSpares && selectSources(
+                    getManifestCodec(manifest), k, m, valid,
+                    bitfields.mask(k))) || valid;
+                const fragments = manifest.fragments.map((fragment, i) => (
+                    bitfields.has(read, i) ?
+                        fs.createReadStream(
+                            this.getFragmentPath(name, fragment.index)) :
+                        null));
+                return Promise.resolve()
+                    .then(() => start(
+                        opts => decode(output, manifest, fragments, opts),
+                        options).promise())
+                    .catch(err => {
+                        closeReaders(fragments);
+                        throw err;
+                    });
+            }));
+    }
+
+    /**
+     * Check fragment files of an object
+     *
+     * Fragments are corrupted if their length, or digest if any,
+     * does not match the manifest.
+     *
+     * @param {String} name - Object name
+     * @return {Promise} resolved with object health:
+     *         - name (String): object name
+     *         - size (Number): object size
+     *         - healthy (boolean): every fragment is valid
+     *         - missing ([Number]): missing fragment indexes
+     *         - corrupted ([Number]): corrupted fragment indexes
+     *         - recoverable (boolean): valid fragments are enough to decode
+     */
+    check(name) {
+        return this.getManifest(name).then(manifest => Promise.all(
+            manifest.fragments.map(fragment => getFragmentStatus(
+                this.getFragmentPath(name, fragment.index), fragment,
+                manifest.digest, true)))
+            .then(statuses => {
+                const { k, m } = manifest;
+                const bitfields = getBitfields(k + m);
+                const indexes = status => statuses
+                          .map((s, i) => (s === status ? i : -1))
+                          .filter(i => i !== -1);
+                const valid = indexes('ok').reduce(
+                    (bits, i) => bits | bitfields.bit(i), bitfields.zero);
+                const missing = indexes('missing');
+                const corrupted = indexes('corrupted');
+                return {
+                    name,
+                    size: manifest.size,
+                    healthy: missing.length === 0 && corrupted.length === 0,
+                    missing,
+                    corrupted,
+                    recoverable: selectSources(
+                        getManifestCodec(manifest), k, m, valid,
+                        bitfields.mask(k)) !== null,
+                };
+            }));
+    }
+
+    /**
+     * Rebuild missing and corrupted fragment files of an object
+     *
+     * Fragments are repaired into temporary files, renamed in place
+     * once every one is complete, removed should repair fail.
+     *
+     * @param {String} name - Object name
+     * @param {Object} [options] - Repair options, see repair
+     * @param {[Number]} [options.fragments] - Indexes of fragments to
+     *        rebuild anyway, known to be lost
+     * @return {Promise} resolved with object health before repair
+     *                   (see check)
+     */
+    repair(name, options = {}) {
+        return Promise.all([this.getManifest(name), this.check(name)])
+            .then(([manifest, health]) => {
+                const damaged = [...health.missing, ...health.corrupted];
+                (options.fragments || []).forEach(i => {
+                    assert.ok(Number.isInteger(i) && i >= 0 &&
+                              i < manifest.k + manifest.m,
+                              `Bad fragment index: ${i}`);
+                    if (damaged.indexOf(i) === -1) {
+                        damaged.push(i);
+                    }
+                });
+                if (damaged.length === 0) {
+                    return health;
+                }
+                const files = manifest.fragments.map(
+                    fragment => this.getFragmentPath(name, fragment.index));
+                const inputs = files.map((file, i) => (
+                    damaged.indexOf(i) === -1 ?
+                        fs.createReadStream(file) : null));
+                const outputs = files.map((file, i) => (
+                    damaged.indexOf(i) === -1 ?
+                        null : createWriter(`${file}.tmp`)));
+                // Inputs are not all read to their end (see repair)
+                const closeInputs = () => closeReaders(inputs);
+                return Promise.resolve()
+                    .then(() => start(
+                        opts => repair(manifest, inputs, outputs, opts),
+                        options).promise())
+                    .then(() => Promise.all(
+                        outputs.filter(s => s).map(s => s.whenClosed)))
+                    .then(() => Promise.all(damaged.map(
+                        i => rename(`${files[i]}.tmp`, files[i]))))
+                    .then(() => {
+                        closeInputs();
+                        return health;
+                    }, err => {
+                        closeInputs();
+                        return failAfter(err, () => discardWriters(outputs));
+                    });
+            });
+    }
+
+    /**
+     * Check consistency of every stripe of an object
+     *
+     * Every existing fragment file is read (see verify).
+     *
+     * @param {String} name - Object name
+     * @param {Object} [options] - Verification options, see verify
+     * @return {Promise} resolved with verification report
+     */
+    verify(name, options = {}) {
+        return Promise.all([this.getManifest(name), this.check(name)])
+            .then(([manifest, health]) => {
+                const inputs = manifest.fragments.map(fragment => (
+                    health.missing.indexOf(fragment.index) === -1 ?
+                        fs.createReadStream(
+                            this.getFragmentPath(name, fragment.index)) :
+                        null));
+                return new Promise((resolve, reject) => start(
+                    opts => verify(
+                        manifest.k, manifest.m, inputs, manifest.size,
+                        manifest.stripeSize,
+                        getManifestOptions(manifest, opts),
+                        (err, report) => (err ? reject(err) : resolve(report))),
+                    options))
+                    .catch(err => {
+                        closeReaders(inputs);
+                        throw err;
+                    });
+            });
+    }
+
+    /**
+     * Check every complete object of the store
+     *
+     * @return {Promise} resolved with health of every object, by name
+     *                   (see check)
+     */
+    list() {
+        return readdir(this.directory)
+            .then(names => Promise.all(names.sort().map(
+                name => stat(path.join(this.getObjectPath(name),
+                                       MANIFEST_FILE))
+                    .then(() => name, () => null))))
+            .then(names => Promise.all(
+                names.filter(name => name !== null)
+                    .map(name => this.check(name))));
+    }
+}
+
+
+module.exports = {
+    FragmentStore,
+};
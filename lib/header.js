@@ -0,0 +1,147 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Self-describing fragment header
+ *
+ * Optional, fixed size header written by 'encode' at the beginning of every
+ * fragment, so that 'decode' and 'repair' can infer code parameters and
+ * reject fragments which do not belong together.
+ *
+ * Layout (HEADER_SIZE bytes, big endian):
+ *  0 | magic 'ECSF'                 (4 bytes)
+ *  4 | format version               (1 byte)
+ *  5 | k - number of data parts     (1 byte)
+ *  6 | m - number of parity parts   (1 byte)
+ *  7 | fragment index in [0, k+m[  (1 byte)
+ *  8 | stripe size                  (4 bytes)
+ * 12 | object size                  (8 bytes, high then low 32 bits)
+ * 20 | object identifier            (8 bytes, random, shared by fragments)
+ * 28 | flags                        (1 byte)
+ *    |   bit 0: per-stripe checksums follow every chunk (see crc32c.js)
+ * 29 | reserved, 0                  (3 bytes)
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+const HEADER_MAGIC = Buffer.from('ECSF', 'ascii');
+const HEADER_VERSION = 1;
+const HEADER_SIZE = 32;
+const OBJECT_ID_SIZE = 8;
+const FLAG_CHECKSUM = 0x1;
+const UINT32_RANGE = 0x100000000;
+
+
+/**
+ * Generate a new object identifier
+ *
+ * @return {Buffer} random identifier, shared by all fragments of an object
+ */
+function newObjectId() {
+    return crypto.randomBytes(OBJECT_ID_SIZE);
+}
+
+
+/**
+ * Serialize a fragment header
+ *
+ * @param {Object} header - Header fields
+ * @param {Number} header.k - Number of data parts
+ * @param {Number} header.m - Number of parity parts
+ * @param {Number} header.index - Fragment index
+ * @param {Number} header.stripeSize - Stripe size
+ * @param {Number} header.size - Object size
+ * @param {Buffer} header.objectId - Object identifier
+ * @param {boolean} [header.checksum] - Chunks are followed by checksums
+ * @return {Buffer} serialized header of HEADER_SIZE bytes
+ */
+function serializeHeader(header) {
+    assert.ok(header.index >= 0 && header.index < header.k + header.m);
+    assert.ok(Number.isSafeInteger(header.size) && header.size >= 0);
+    assert.strictEqual(header.objectId.length, OBJECT_ID_SIZE);
+
+    const buffer = Buffer.alloc(HEADER_SIZE, 0);
+    HEADER_MAGIC.copy(buffer, 0);
+    buffer.writeUInt8(HEADER_VERSION, 4);
+    buffer.writeUInt8(header.k, 5);
+    buffer.writeUInt8(header.m, 6);
+    buffer.writeUInt8(header.index, 7);
+    buffer.writeUInt32BE(header.stripeSize, 8);
+    buffer.writeUInt32BE(Math.floor(header.size / UINT32_RANGE), 12);
+    buffer.writeUInt32BE(header.size % UINT32_RANGE, 16);
+    header.objectId.copy(buffer, 20);
+    buffer.writeUInt8(header.checksum ? FLAG_CHECKSUM : 0, 28);
+    return buffer;
+}
+
+
+/**
+ * Parse a fragment header
+ *
+ * @param {Buffer} buffer - Serialized header
+ * @return {Object} header fields (see serializeHeader)
+ * @throws {Error} if buffer is not a valid header
+ */
+function parseHeader(buffer) {
+    if (buffer.length < HEADER_SIZE) {
+        throw new Error(
+            `Truncated fragment header: ${buffer.length} < ${HEADER_SIZE}`);
+    }
+    if (!buffer.slice(0, HEADER_MAGIC.length).equals(HEADER_MAGIC)) {
+        throw new Error('Bad fragment header magic');
+    }
+    const version = buffer.readUInt8(4);
+    if (version !== HEADER_VERSION) {
+        throw new Error(`Unsupported fragment header version: ${version}`);
+    }
+
+    return {
+        version,
+        k: buffer.readUInt8(5),
+        m: buffer.readUInt8(6),
+        index: buffer.readUInt8(7),
+        stripeSize: buffer.readUInt32BE(8),
+        size: buffer.readUInt32BE(12) * UINT32_RANGE +
+            buffer.readUInt32BE(16),
+        objectId: Buffer.from(buffer.slice(20, 20 + OBJECT_ID_SIZE)),
+        checksum: (buffer.readUInt8(28) & FLAG_CHECKSUM) !== 0,
+    };
+}
+
+
+/**
+ * Cross-check a parsed header against expected values
+ *
+ * @param {Object} header - Parsed header
+ * @param {Object} expected - Expected fields, undefined ones are not checked
+ * @return {null|Error} mismatch found, if any
+ */
+function checkHeader(header, expected) {
+    const fields = ['k', 'm', 'index', 'stripeSize', 'size', 'checksum'];
+    const mismatch = fields.find(
+        field => expected[field] !== undefined &&
+            expected[field] !== header[field]);
+    if (mismatch !== undefined) {
+        return new Error(
+            `Fragment ${expected.index} header mismatch on ${mismatch}: ` +
+                `expected ${expected[mismatch]}, got ${header[mismatch]}`);
+    }
+
+    if (expected.objectId !== undefined &&
+        !expected.objectId.equals(header.objectId)) {
+        return new Error(
+            `Fragment ${expected.index} header mismatch on objectId: ` +
+                'fragment belongs to another object');
+    }
+
+    return null;
+}
+
+
+module.exports = {
+    HEADER_SIZE,
+    checkHeader,
+    newObjectId,
+    parseHeader,
+    serializeHeader,
+};
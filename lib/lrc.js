@@ -0,0 +1,277 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Local Reconstruction Codes
+ *
+ * LRC(k, l, r) splits the k data parts into l local groups of consecutive
+ * parts, each with a local parity part (XOR of the group), and adds r
+ * global parity parts. Parity parts are local ones first, then global ones
+ * (m = l + r), so that a single lost part is rebuilt from its local group
+ * only: about k / l parts are read instead of k.
+ *
+ * Global parity parts are the parity parts 1 to r of the Reed-Solomon
+ * (k, r + 1) code of the default codec. Its parity part 0, the XOR of every
+ * data part, is the XOR of local parity parts: whenever those are at hand,
+ * any r + 1 lost data parts can be rebuilt.
+ */
+
+const assert = require('assert');
+
+const { getCodecContext, reedSolomonCodec } = require('./codec');
+const { xorInto } = require('./reed_solomon');
+const { popCount } = require('./bitfield');
+
+
+/* LRC codecs, per number of local groups */
+const _codecs = new Map();
+
+
+/**
+ * Create a coding context
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} l - Number of local groups
+ * @param {Number} r - Number of global parity parts
+ * @return {Object} context, shareable between concurrent operations
+ */
+function create(k, l, r) {
+    assert.ok(l >= 1 && l <= k);
+    assert.ok(r >= 0 && r + 1 <= reedSolomonCodec.maxM);
+    assert.ok(k + l + r <= 30);
+
+    // Bitfields, parts of each group (data and local parity parts)
+    const groups = [];
+    const base = Math.floor(k / l);
+    let first = 0;
+    for (let g = 0; g < l; ++g) {
+        const size = base + (g < k % l ? 1 : 0);
+        const data = ((1 << size) - 1) << first;
+        groups.push(data | (1 << (k + g)));
+        first += size;
+    }
+
+    return {
+        k,
+        l,
+        r,
+        groups,
+        data: (1 << k) - 1,
+        locals: ((1 << l) - 1) << k,
+        globals: ((1 << r) - 1) << (k + l),
+        rsContext: getCodecContext(reedSolomonCodec, k, r + 1),
+    };
+}
+
+
+/**
+ * Parts known once every possible part is computed
+ *
+ * Single missing parts of local groups are computed from their group,
+ * then missing data parts from global parity parts, if enough of them.
+ * Every part is known once data parts are.
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number} known - Bitfield, parts at hand
+ * @return {Number} bitfield of parts which can be known
+ */
+function getClosure(context, known) {
+    let closure = known;
+    for (let changed = true; changed;) {
+        changed = false;
+        for (let g = 0; g < context.l; ++g) {
+            const group = context.groups[g];
+            if (popCount(group & ~closure) === 1) {
+                closure |= group;
+                changed = true;
+            }
+        }
+    }
+    const { k, l, data, locals, globals } = context;
+    if ((closure & data) !== data) {
+        const equations = popCount(closure & data) +
+                  popCount(closure & globals) +
+                  ((closure & locals) === locals ? 1 : 0);
+        if (equations < k) {
+            return closure;
+        }
+    }
+    return (1 << (k + l + context.r)) - 1;
+}
+
+
+/**
+ * Select parts to read, see codec.js
+ *
+ * Every available part is read, then parts are dropped as long as needed
+ * ones can still be computed, parity parts first: a single lost part ends
+ * up read from its local group.
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number} available - Bitfield, parts which can be read
+ * @param {Number} needed - Bitfield, parts to get, read or computed
+ * @return {null|Number} bitfield of parts to read
+ */
+function selectSources(context, available, needed) {
+    const covers = parts => (getClosure(context, parts) & needed) === needed;
+    if (!covers(available)) {
+        return null;
+    }
+    let sources = available;
+    for (let i = context.k + context.l + context.r - 1; i >= 0; --i) {
+        const bit = 1 << i;
+        if ((sources & bit) !== 0 && (needed & bit) === 0 &&
+            covers(sources & ~bit)) {
+            sources &= ~bit;
+        }
+    }
+    return sources;
+}
+
+
+/**
+ * Compute target parts of a stripe from source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number} sources - Bitfield, parts to use as input
+ * @param {Number} targets - Bitfield, parts to compute
+ * @param {Buffer} dataBuffer - k data parts
+ * @param {Buffer} parityBuffer - l local then r global parity parts
+ * @param {Function} callback - Called once encoded: (Error|null) -> ?
+ * @return {undefined}
+ */
+function encode(context, sources, targets, dataBuffer, parityBuffer,
+                callback) {
+    const { k, l, r, data, locals, globals } = context;
+    const shardSize = dataBuffer.length / k;
+    assert.strictEqual(parityBuffer.length, (l + r) * shardSize);
+    assert.strictEqual(sources & targets, 0);
+    const part = i => {
+        const offset = (i < k ? i : i - k) * shardSize;
+        return (i < k ? dataBuffer : parityBuffer).subarray(
+            offset, offset + shardSize);
+    };
+    // Reed-Solomon (k, r + 1) parity parts, XOR of local ones first
+    const rsParity = Buffer.allocUnsafe((r + 1) * shardSize);
+    const rsPart = j => rsParity.subarray(
+        j * shardSize, (j + 1) * shardSize);
+    const xorParts = (parts, target) => {
+        target.fill(0);
+        for (let i = 0; i < k + l; ++i) {
+            if ((parts & (1 << i)) !== 0) {
+                xorInto(part(i), target);
+            }
+        }
+    };
+    let known = sources;
+
+    const computeParity = () => {
+        context.groups.forEach((group, g) => {
+            if ((targets & ~known & (1 << (k + g))) !== 0) {
+                xorParts(group & data, part(k + g));
+            }
+        });
+        const missingGlobals = targets & ~known & globals;
+        if (missingGlobals === 0) {
+            callback(null);
+            return;
+        }
+        reedSolomonCodec.encode(
+            context.rsContext, data, missingGlobals >> (l - 1),
+            dataBuffer, rsParity, err => {
+                if (!err) {
+                    for (let j = 0; j < r; ++j) {
+                        if ((missingGlobals & (1 << (k + l + j))) !== 0) {
+                            part(k + l + j).set(rsPart(j + 1));
+                        }
+                    }
+                }
+                callback(err);
+            });
+    };
+
+    const computeData = () => {
+        const missingData = data & ~known;
+        if (missingData === 0) {
+            computeParity();
+            return;
+        }
+        let rsSources = (known & data) | ((known & globals) >> (l - 1));
+        if ((known & locals) === locals) {
+            xorParts(locals, rsPart(0));
+            rsSources |= 1 << k;
+        }
+        if (popCount(rsSources) < k) {
+            callback(new Error('Not enough parts for LRC decoding'));
+            return;
+        }
+        for (let j = 0; j < r; ++j) {
+            if ((known & (1 << (k + l + j))) !== 0) {
+                rsPart(j + 1).set(part(k + l + j));
+            }
+        }
+        reedSolomonCodec.encode(
+            context.rsContext, rsSources, missingData,
+            dataBuffer, rsParity, err => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                known |= data;
+                computeParity();
+            });
+    };
+
+    // Asynchronous, as native coding
+    setImmediate(() => {
+        // Local repairs first, they may be enough
+        for (let changed = true; changed;) {
+            changed = false;
+            for (let g = 0; g < l; ++g) {
+                const group = context.groups[g];
+                const missing = group & ~known;
+                if (popCount(missing) === 1) {
+                    xorParts(group & known, part(Math.log2(missing)));
+                    known |= missing;
+                    changed = true;
+                }
+            }
+        }
+        if ((targets & ~known) === 0) {
+            callback(null);
+            return;
+        }
+        computeData();
+    });
+}
+
+
+/**
+ * Get LRC codec with a given number of local groups
+ *
+ * Code is then given by (k, m): LRC(k, l, m - l).
+ *
+ * @param {Number} l - Number of local groups
+ * @return {Object} codec (see codec.js)
+ */
+function getLRCCodec(l) {
+    assert.ok(Number.isInteger(l) && l > 0);
+    let codec = _codecs.get(l);
+    if (codec === undefined) {
+        codec = {
+            name: `lrc-${l}`,
+            maxK: reedSolomonCodec.maxK,
+            maxM: l + reedSolomonCodec.maxM - 1,
+            alignment: reedSolomonCodec.alignment,
+            create: (k, m) => create(k, l, m - l),
+            encode,
+            selectSources,
+        };
+        _codecs.set(l, codec);
+    }
+    return codec;
+}
+
+
+module.exports = {
+    getLRCCodec,
+};
@@ -0,0 +1,251 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Object manifest
+ *
+ * Everything needed to decode or repair an encoded object, produced by
+ * encode once finished (context 'manifest'), as a plain object which can
+ * be stored as JSON:
+ * - version (Number): manifest format version (MANIFEST_VERSION)
+ * - codec (String): name of the codec used (see codec.js)
+ * - k, m (Number): numbers of data and parity parts
+ * - stripeSize (Number): actual stripe size
+ * - size (Number): object size
+ * - padding (Number): zero bytes ending the last stripe
+ * - header, checksum (boolean): fragments have a header, chunks are
+ *   followed by checksums (see header.js, crc32c.js)
+ * - digest (null|String): hash algorithm of fragment digests, if any
+ * - fragments ([Object]): per fragment, { index, length, digest }, digest
+ *   being the hexadecimal hash of the whole fragment (null without digest)
+ *
+ * decode and repair take a manifest in place of code parameters.
+ */
+
+const { reedSolomonCodec, wideReedSolomonCodec } = require('./codec');
+const { getLRCCodec } = require('./lrc');
+const { HEADER_SIZE } = require('./header');
+const { CHECKSUM_SIZE } = require('./crc32c');
+
+const MANIFEST_VERSION = 1;
+const FIELDS = ['version', 'codec', 'k', 'm', 'stripeSize', 'size',
+                'padding', 'header', 'checksum', 'digest', 'fragments'];
+const FRAGMENT_FIELDS = ['index', 'length', 'digest'];
+
+
+/**
+ * Length of every fragment of an object
+ *
+ * @param {Object} manifest - Object manifest, or the same fields
+ * @return {Number} fragment length, in bytes
+ */
+function getFragmentLength(manifest) {
+    const nStripe = Math.ceil(
+        manifest.size / (manifest.k * manifest.stripeSize));
+    const chunkSize = manifest.stripeSize +
+              (manifest.checksum ? CHECKSUM_SIZE : 0);
+    const headerSize = manifest.header ? HEADER_SIZE : 0;
+    return headerSize + (nStripe * chunkSize);
+}
+
+
+/**
+ * Build the manifest of an encoded object
+ *
+ * @param {DencodeContext} context - Finished encoding context
+ * @param {null|String} digest - Hash algorithm of digests, if any
+ * @param {[String]} digests - Per fragment, hexadecimal digest or null
+ * @return {Object} manifest
+ */
+function createManifest(context, digest, digests) {
+    const manifest = {
+        version: MANIFEST_VERSION,
+        codec: context.codec.name,
+        k: context.k,
+        m: context.m,
+        stripeSize: context.stripeSize,
+        size: context.size,
+        padding: (context.nStripe * context.data.size) - context.size,
+        header: context.header,
+        checksum: context.checksum,
+        digest,
+        fragments: null,
+    };
+    const length = getFragmentLength(manifest);
+    manifest.fragments = digests.map(
+        (fragmentDigest, index) => ({ index, length, digest: fragmentDigest }));
+    return manifest;
+}
+
+
+/**
+ * Check fields of an object are exactly the expected ones
+ *
+ * @param {Object} object - Object to check
+ * @param {[String]} fields - Expected fields
+ * @param {String} what - Object description, for errors
+ * @return {undefined}
+ * @throws {Error} on missing or unknown field
+ */
+function checkFields(object, fields, what) {
+    if (object === null || typeof object !== 'object' ||
+        Array.isArray(object)) {
+        throw new Error(`Invalid manifest: ${what} is not an object`);
+    }
+    const missing = fields.find(field => !(field in object));
+    if (missing !== undefined) {
+        throw new Error(`Invalid manifest: ${what} lacks '${missing}'`);
+    }
+    const unknown = Object.keys(object).find(
+        field => fields.indexOf(field) === -1);
+    if (unknown !== undefined) {
+        throw new Error(
+            `Invalid manifest: ${what} has unknown '${unknown}'`);
+    }
+}
+
+
+/**
+ * Check a manifest field is an integer in a range
+ *
+ * @param {Object} object - Object holding the field
+ * @param {String} field - Field name
+ * @param {Number} min - Minimum value
+ * @return {undefined}
+ * @throws {Error} if field is not an integer, or below minimum
+ */
+function checkInteger(object, field, min) {
+    const value = object[field];
+    if (!Number.isSafeInteger(value) || value < min) {
+        throw new Error(`Invalid manifest: bad ${field} ${value}`);
+    }
+}
+
+
+/**
+ * Validate a manifest
+ *
+ * Every field is checked, as well as its consistency with others:
+ * unknown fields or versions, and inconsistent geometry are rejected.
+ * Codec is checked once used (see getManifestCodec).
+ *
+ * @param {Object|String} manifest - Manifest, or its JSON serialization
+ * @return {Object} validated manifest (a copy)
+ * @throws {Error} if manifest is not valid
+ */
+function loadManifest(manifest) {
+    const loaded = typeof manifest === 'string' ?
+              JSON.parse(manifest) : JSON.parse(JSON.stringify(manifest));
+    checkFields(loaded, FIELDS, 'manifest');
+    if (loaded.version !== MANIFEST_VERSION) {
+        throw new Error(
+            `Unsupported manifest version: ${loaded.version}`);
+    }
+    if (typeof loaded.codec !== 'string' || loaded.codec === '') {
+        throw new Error('Invalid manifest: bad codec');
+    }
+    checkInteger(loaded, 'k', 1);
+    checkInteger(loaded, 'm', 1);
+    checkInteger(loaded, 'stripeSize', 1);
+    checkInteger(loaded, 'size', 0);
+    checkInteger(loaded, 'padding', 0);
+    ['header', 'checksum'].forEach(field => {
+        if (typeof loaded[field] !== 'boolean') {
+            throw new Error(`Invalid manifest: bad ${field}`);
+        }
+    });
+    if (loaded.digest !== null && typeof loaded.digest !== 'string') {
+        throw new Error('Invalid manifest: bad digest');
+    }
+
+    const { k, m, stripeSize, size } = loaded;
+    const nStripe = Math.ceil(size / (k * stripeSize));
+    if (loaded.padding !== (nStripe * k * stripeSize) - size) {
+        throw new Error(
+            `Invalid manifest: padding ${loaded.padding} does not match ` +
+                'size and geometry');
+    }
+
+    if (!Array.isArray(loaded.fragments) ||
+        loaded.fragments.length !== k + m) {
+        throw new Error(
+            `Invalid manifest: expected ${k + m} fragments`);
+    }
+    const length = getFragmentLength(loaded);
+    loaded.fragments.forEach((fragment, i) => {
+        checkFields(fragment, FRAGMENT_FIELDS, `fragment ${i}`);
+        if (fragment.index !== i) {
+            throw new Error(
+                `Invalid manifest: fragment ${i} has index ${fragment.index}`);
+        }
+        if (fragment.length !== length) {
+            throw new Error(
+                `Invalid manifest: fragment ${i} length ` +
+                    `${fragment.length} !== ${length}`);
+        }
+        const hasDigest = typeof fragment.digest === 'string' &&
+                  /^([0-9a-f]{2})+$/.test(fragment.digest);
+        if (hasDigest !== (loaded.digest !== null) ||
+            (!hasDigest && fragment.digest !== null)) {
+            throw new Error(`Invalid manifest: fragment ${i} bad digest`);
+        }
+    });
+    return loaded;
+}
+
+
+/**
+ * Get the codec of a manifest
+ *
+ * @param {Object} manifest - Object manifest
+ * @param {Object} [codec] - Codec given by caller, for custom codecs
+ * @return {Object} codec (see codec.js)
+ * @throws {Error} if codec is unknown, or does not match manifest
+ */
+function getManifestCodec(manifest, codec) {
+    const name = manifest.codec;
+    if (codec !== undefined && codec !== null) {
+        if (codec.name !== name) {
+            throw new Error(
+                `Manifest codec mismatch: expected ${name}, ` +
+                    `got ${codec.name}`);
+        }
+        return codec;
+    }
+    if (name === reedSolomonCodec.name) {
+        return reedSolomonCodec;
+    }
+    if (name === wideReedSolomonCodec.name) {
+        return wideReedSolomonCodec;
+    }
+    const lrc = /^lrc-([1-9][0-9]*)$/.exec(name);
+    if (lrc !== null) {
+        return getLRCCodec(Number(lrc[1]));
+    }
+    throw new Error(`Unknown manifest codec: ${name}`);
+}
+
+
+/**
+ * Options to decode or repair an object following its manifest
+ *
+ * @param {Object} manifest - Validated manifest (see loadManifest)
+ * @param {Object} options - Options given by caller
+ * @return {Object} options, with manifest ones
+ */
+function getManifestOptions(manifest, options) {
+    return Object.assign({}, options, {
+        header: manifest.header,
+        checksum: manifest.checksum,
+        codec: getManifestCodec(manifest, options.codec),
+    });
+}
+
+
+module.exports = {
+    MANIFEST_VERSION,
+    createManifest,
+    getFragmentLength,
+    getManifestCodec,
+    getManifestOptions,
+    loadManifest,
+};
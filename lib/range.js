@@ -0,0 +1,146 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Map byte ranges of an object onto its stripes
+ *
+ * Striping layout is the one of encode: stripe s holds object bytes
+ * [s * k * S, (s + 1) * k * S[, data part i of a stripe holding its
+ * [i * S, (i + 1) * S[ bytes. Data fragment i is thus made of the i-th
+ * parts of every stripe, one after the other.
+ */
+
+const assert = require('assert');
+
+const { HEADER_SIZE } = require('./header');
+const { CHECKSUM_SIZE } = require('./crc32c');
+
+
+/**
+ * Stripes covering a byte range of an object
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} stripeSize - Size S of a stripe part
+ * @param {Number} offset - First byte of the range
+ * @param {Number} length - Length of the range
+ * @return {Object} { first, end } stripe indexes (end excluded,
+ *                  first === end for an empty range)
+ */
+function getStripeRange(k, stripeSize, offset, length) {
+    const stripeBytes = k * stripeSize;
+    const first = Math.floor(offset / stripeBytes);
+    const end = length === 0 ?
+              first : Math.ceil((offset + length) / stripeBytes);
+    return { first, end };
+}
+
+
+/**
+ * Stripes whose data part 'index' holds bytes of a byte range
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} stripeSize - Size S of a stripe part
+ * @param {Number} offset - First byte of the range
+ * @param {Number} length - Length of the range
+ * @param {Number} index - Data part index
+ * @return {Object} { first, end } stripe indexes (end excluded,
+ *                  first === end if the part holds nothing of the range)
+ */
+function getPartStripeRange(k, stripeSize, offset, length, index) {
+    const stripeBytes = k * stripeSize;
+    const first = Math.max(0, Math.floor(
+        (offset - ((index + 1) * stripeSize)) / stripeBytes) + 1);
+    const end = length === 0 ? first : Math.max(first, Math.ceil(
+        (offset + length - (index * stripeSize)) / stripeBytes));
+    return { first, end };
+}
+
+
+/**
+ * Plan fragment reads needed to decode a byte range of an object
+ *
+ * Whenever every data fragment holding bytes of the range is available,
+ * only those are read, and no reconstruction is needed. Otherwise the
+ * k first available fragments are read over every stripe covering the
+ * range. Last stripe is zero padded in every fragment, so fragment
+ * ranges are always made of whole chunks.
+ *
+ * @param {Object} layout - Layout of the encoded object
+ * @param {Number} layout.k - Number of data parts
+ * @param {Number} layout.m - Number of parity parts
+ * @param {Number} layout.stripeSize - Actual stripe size of the object
+ *                                     (see safeStripeSize)
+ * @param {Number} layout.size - Length of the object
+ * @param {boolean} [layout.header] - Fragments start with a header
+ * @param {boolean} [layout.checksum] - Chunks are followed by a checksum
+ * @param {Number} offset - First byte of the range
+ * @param {Number} length - Length of the range
+ * @param {[Number]} [availableFragments] - Indexes of fragments which can
+ *                                          be read (default every one)
+ * @return {null|Object} read plan, null if not enough fragments are
+ *                       available
+ *
+ * Read plan:
+ * @return {Number} firstStripe - First stripe covering the range
+ * @return {Number} endStripe - End of stripes covering the range (excluded)
+ * @return {[Number]} sources - Indexes of fragments to read
+ * @return {boolean} reconstruct - Missing data parts must be decoded
+ * @return {[Object]} fragments - Per fragment index, null if it is not
+ *         read, else { firstStripe, endStripe, start, end }, stripes to read
+ *         and matching fragment byte range (end excluded)
+ * @return {Object} trim - { start, end } range bytes in the decoded
+ *         stripes, firstStripe to endStripe (end excluded)
+ */
+function planRead(layout, offset, length, availableFragments) {
+    const { k, m, stripeSize, size } = layout;
+    assert.ok(offset >= 0 && length >= 0 && offset + length <= size);
+    const available = availableFragments || [...Array(k + m).keys()];
+    const chunkSize = stripeSize + (layout.checksum ? CHECKSUM_SIZE : 0);
+    const headerSize = layout.header ? HEADER_SIZE : 0;
+
+    const { first, end } = getStripeRange(k, stripeSize, offset, length);
+    const fragments = Array(k + m).fill(null);
+    const readStripes = (index, firstStripe, endStripe) => {
+        fragments[index] = {
+            firstStripe,
+            endStripe,
+            start: headerSize + (firstStripe * chunkSize),
+            end: headerSize + (endStripe * chunkSize),
+        };
+    };
+
+    let sources = [];
+    for (let i = 0; i < k; ++i) {
+        const part = getPartStripeRange(k, stripeSize, offset, length, i);
+        if (part.first !== part.end) {
+            sources.push(i);
+            readStripes(i, part.first, part.end);
+        }
+    }
+
+    const reconstruct = sources.some(i => available.indexOf(i) === -1);
+    if (reconstruct) {
+        sources = available.slice().sort((a, b) => a - b).slice(0, k);
+        if (sources.length < k) {
+            return null;
+        }
+        fragments.fill(null);
+        sources.forEach(i => readStripes(i, first, end));
+    }
+
+    const trimStart = offset - (first * k * stripeSize);
+    return {
+        firstStripe: first,
+        endStripe: end,
+        sources,
+        reconstruct,
+        fragments,
+        trim: { start: trimStart, end: trimStart + length },
+    };
+}
+
+
+module.exports = {
+    getPartStripeRange,
+    getStripeRange,
+    planRead,
+};
@@ -0,0 +1,752 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Pure JavaScript Reed-Solomon codec
+ *
+ * Port of the @ronomon/reed-solomon native addon: a Cauchy Reed-Solomon
+ * code over GF(2^w), w being 2, 4 or 8 depending on k and m, turned into a
+ * binary matrix so that coding is only made of packet XORs. Every choice
+ * of the addon (field, matrix, packet size, shortcuts) is replicated, so
+ * that both produce the same fragments and can be used interchangeably.
+ *
+ * Coding runs on the main thread: this is a fallback for platforms where
+ * the native addon cannot be built (see codec.js).
+ */
+
+const assert = require('assert');
+
+const { popCount } = require('./bitfield');
+
+
+const MAX_K = 24;
+const MAX_M = 6;
+
+/* Code parameters found by the addon search, per (k, m):
+ * PARAMETERS[k - 1][m - 1] = [w, p, x, y, b]
+ * - w: Galois field exponent
+ * - p: primitive polynomial generating the field
+ * - x, y: column and row offsets of the Cauchy matrix (-1 when m <= 2)
+ * - b: number of ones in the binary matrix
+ */
+const PARAMETERS = [
+    [
+        [2, 7, -1, -1, 2],
+        [2, 7, -1, -1, 4],
+        [2, 7, 0, 1, 6],
+        [4, 19, 0, 1, 16],
+        [4, 19, 0, 1, 20],
+        [4, 19, 0, 1, 24],
+    ],
+    [
+        [2, 7, -1, -1, 4],
+        [2, 7, -1, -1, 9],
+        [4, 19, 0, 4, 28],
+        [4, 19, 0, 5, 40],
+        [4, 19, 2, 9, 51],
+        [4, 19, 4, 10, 62],
+    ],
+    [
+        [2, 7, -1, -1, 6],
+        [4, 19, -1, -1, 26],
+        [4, 19, 0, 9, 44],
+        [4, 19, 1, 8, 63],
+        [4, 19, 1, 9, 82],
+        [4, 19, 0, 9, 101],
+    ],
+    [
+        [4, 19, -1, -1, 16],
+        [4, 19, -1, -1, 36],
+        [4, 19, 0, 9, 63],
+        [4, 19, 3, 11, 89],
+        [4, 19, 3, 11, 116],
+        [4, 19, 11, 4, 145],
+    ],
+    [
+        [4, 19, -1, -1, 20],
+        [4, 19, -1, -1, 47],
+        [4, 19, 4, 13, 82],
+        [4, 19, 3, 12, 118],
+        [4, 19, 0, 9, 152],
+        [4, 19, 0, 9, 185],
+    ],
+    [
+        [4, 19, -1, -1, 24],
+        [4, 19, -1, -1, 58],
+        [4, 19, 2, 12, 102],
+        [4, 19, 2, 12, 144],
+        [4, 19, 0, 9, 186],
+        [4, 19, 0, 9, 231],
+    ],
+    [
+        [4, 19, -1, -1, 28],
+        [4, 19, -1, -1, 71],
+        [4, 19, 1, 13, 123],
+        [4, 19, 2, 12, 174],
+        [4, 19, 0, 9, 226],
+        [4, 19, 7, 0, 277],
+    ],
+    [
+        [4, 19, -1, -1, 32],
+        [4, 19, -1, -1, 84],
+        [4, 19, 2, 13, 142],
+        [4, 19, 2, 12, 205],
+        [4, 19, 0, 9, 265],
+        [4, 19, 0, 8, 328],
+    ],
+    [
+        [4, 19, -1, -1, 36],
+        [4, 19, -1, -1, 97],
+        [4, 19, 1, 13, 162],
+        [4, 19, 2, 12, 237],
+        [4, 19, 0, 9, 308],
+        [4, 19, 1, 10, 376],
+    ],
+    [
+        [4, 19, -1, -1, 40],
+        [4, 19, -1, -1, 111],
+        [4, 19, 1, 13, 186],
+        [4, 19, 0, 12, 268],
+        [4, 19, 0, 11, 347],
+        [4, 19, 0, 10, 426],
+    ],
+    [
+        [4, 19, -1, -1, 44],
+        [4, 19, -1, -1, 125],
+        [4, 19, 0, 13, 211],
+        [4, 19, 0, 12, 300],
+        [4, 19, 0, 11, 390],
+        [8, 135, 58, 188, 1401],
+    ],
+    [
+        [4, 19, -1, -1, 48],
+        [4, 19, -1, -1, 139],
+        [4, 19, 3, 0, 234],
+        [4, 19, 0, 12, 334],
+        [8, 113, 24, 208, 1269],
+        [8, 135, 57, 188, 1577],
+    ],
+    [
+        [4, 19, -1, -1, 52],
+        [4, 19, -1, -1, 155],
+        [4, 19, 0, 13, 261],
+        [8, 135, 59, 189, 1037],
+        [8, 113, 27, 236, 1393],
+        [8, 113, 27, 236, 1733],
+    ],
+    [
+        [4, 19, -1, -1, 56],
+        [4, 19, -1, -1, 171],
+        [8, 169, 4, 252, 777],
+        [8, 135, 58, 189, 1121],
+        [8, 135, 58, 189, 1508],
+        [8, 135, 58, 188, 1880],
+    ],
+    [
+        [4, 19, -1, -1, 60],
+        [8, 135, -1, -1, 353],
+        [8, 113, 24, 209, 836],
+        [8, 135, 58, 189, 1225],
+        [8, 101, 28, 232, 1644],
+        [8, 113, 120, 241, 2037],
+    ],
+    [
+        [8, 29, -1, -1, 128],
+        [8, 135, -1, -1, 380],
+        [8, 113, 22, 213, 901],
+        [8, 113, 22, 212, 1324],
+        [8, 101, 28, 232, 1765],
+        [8, 101, 28, 232, 2195],
+    ],
+    [
+        [8, 29, -1, -1, 136],
+        [8, 135, -1, -1, 407],
+        [8, 113, 22, 213, 960],
+        [8, 135, 58, 189, 1423],
+        [8, 101, 27, 232, 1880],
+        [8, 101, 27, 232, 2343],
+    ],
+    [
+        [8, 29, -1, -1, 144],
+        [8, 135, -1, -1, 434],
+        [8, 113, 24, 213, 1027],
+        [8, 113, 22, 212, 1513],
+        [8, 195, 8, 32, 2019],
+        [8, 113, 205, 126, 2500],
+    ],
+    [
+        [8, 29, -1, -1, 152],
+        [8, 135, -1, -1, 462],
+        [8, 113, 22, 213, 1086],
+        [8, 113, 23, 212, 1604],
+        [8, 195, 7, 32, 2131],
+        [8, 195, 3, 60, 2654],
+    ],
+    [
+        [8, 29, -1, -1, 160],
+        [8, 135, -1, -1, 490],
+        [8, 113, 22, 213, 1147],
+        [8, 113, 22, 212, 1695],
+        [8, 195, 4, 238, 2270],
+        [8, 113, 21, 233, 2816],
+    ],
+    [
+        [8, 29, -1, -1, 168],
+        [8, 135, -1, -1, 518],
+        [8, 113, 21, 213, 1225],
+        [8, 113, 21, 212, 1801],
+        [8, 195, 3, 60, 2395],
+        [8, 195, 3, 60, 2980],
+    ],
+    [
+        [8, 29, -1, -1, 176],
+        [8, 135, -1, -1, 546],
+        [8, 113, 20, 213, 1292],
+        [8, 113, 21, 212, 1906],
+        [8, 195, 35, 28, 2512],
+        [8, 195, 3, 60, 3135],
+    ],
+    [
+        [8, 29, -1, -1, 184],
+        [8, 135, -1, -1, 574],
+        [8, 113, 19, 213, 1366],
+        [8, 113, 19, 212, 2008],
+        [8, 195, 3, 238, 2652],
+        [8, 113, 205, 126, 3291],
+    ],
+    [
+        [8, 29, -1, -1, 192],
+        [8, 135, -1, -1, 603],
+        [8, 113, 18, 213, 1437],
+        [8, 195, 125, 91, 2110],
+        [8, 195, 3, 238, 2787],
+        [8, 195, 42, 225, 3466],
+    ],
+];
+
+
+/**
+ * Multiply field numbers
+ *
+ * @param {Object} tables - Field tables (see createTables)
+ * @param {Number} a - Field number
+ * @param {Number} b - Field number
+ * @return {Number} a * b
+ */
+function gMultiply(tables, a, b) {
+    if (a === 0 || b === 0) {
+        return 0;
+    }
+    const y = (1 << tables.w) - 1;
+    return tables.exp[(tables.log[a] + tables.log[b]) % y];
+}
+
+
+/**
+ * Divide field numbers
+ *
+ * @param {Object} tables - Field tables (see createTables)
+ * @param {Number} a - Field number
+ * @param {Number} b - Field number, not 0
+ * @return {Number} a / b
+ */
+function gDivide(tables, a, b) {
+    if (a === 0) {
+        return 0;
+    }
+    const y = (1 << tables.w) - 1;
+    return tables.exp[(tables.log[a] + y - tables.log[b]) % y];
+}
+
+
+/**
+ * Generate field tables
+ *
+ * @param {Number} w - Galois field exponent
+ * @param {Number} p - Primitive polynomial
+ * @return {Object} tables: log and exp, bit (number of ones of the binary
+ *                  matrix of each field number) and min (field numbers
+ *                  sorted by increasing number of ones)
+ */
+function createTables(w, p) {
+    const y = (1 << w) - 1;
+    const z = 1 << w;
+    const log = new Int32Array(z).fill(y);
+    const exp = new Int32Array(z);
+    const bit = new Int32Array(z);
+    const min = new Int32Array(z);
+    const tables = { w, log, exp, bit, min };
+
+    let b = 1;
+    for (let a = 0; a < y; ++a) {
+        log[b] = a;
+        exp[a] = b;
+        b <<= 1;
+        if ((b & z) !== 0) {
+            b = (b ^ p) & y;
+        }
+    }
+
+    for (let n = 0; n < z; ++n) {
+        let x = n;
+        for (let r = 0; r < w; ++r) {
+            bit[n] += popCount(x & y);
+            x = gMultiply(tables, x, 2);
+        }
+    }
+
+    for (let a = 1; a < z; ++a) {
+        const c = min[a - 1];
+        let d = -1;
+        for (let n = 1; n < z; ++n) {
+            if (bit[n] > bit[c] || (bit[n] === bit[c] && n > c)) {
+                if (d === -1 || bit[n] < bit[d]) {
+                    d = n;
+                }
+            }
+        }
+        min[a] = d;
+    }
+    return tables;
+}
+
+
+/**
+ * Generate coding matrix, over the field
+ *
+ * First row is made of ones, so that parity part 0 is the XOR of data
+ * parts. With m = 2, second row uses the field numbers with the least
+ * ones in their binary matrix, otherwise a Cauchy matrix is used,
+ * normalized to reduce ones.
+ *
+ * @param {Object} tables - Field tables (see createTables)
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} x - Column offset of Cauchy matrix
+ * @param {Number} y - Row offset of Cauchy matrix
+ * @return {Uint8Array} m x k matrix, row by row
+ */
+function createMatrix(tables, k, m, x, y) {
+    const { bit, min } = tables;
+    const matrix = new Uint8Array(k * m);
+    matrix.fill(1, 0, k);
+    if (m === 2) {
+        for (let c = 0; c < k; ++c) {
+            matrix[k + c] = min[c + 1];
+        }
+    } else if (m > 2) {
+        for (let r = 0; r < m; ++r) {
+            for (let c = 0; c < k; ++c) {
+                matrix[r * k + c] = gDivide(tables, 1, (y + r) ^ (x + c));
+            }
+        }
+        // Divide rows by row 0, then row 0 by itself
+        for (let r = 1; r < m; ++r) {
+            for (let c = 0; c < k; ++c) {
+                matrix[r * k + c] = gDivide(
+                    tables, matrix[r * k + c], matrix[c]);
+            }
+        }
+        matrix.fill(1, 0, k);
+        // Divide rows by the element minimizing the resulting ones, if any
+        for (let r = 1; r < m; ++r) {
+            const row = matrix.subarray(r * k, (r + 1) * k);
+            let result = 0;
+            let column = -1;
+            row.forEach(n => {
+                result += bit[n];
+            });
+            row.forEach(divisor => {
+                let bits = 0;
+                row.forEach(n => {
+                    bits += bit[gDivide(tables, n, divisor)];
+                });
+                if (bits < result) {
+                    result = bits;
+                    column = divisor;
+                }
+            });
+            if (column >= 0) {
+                row.forEach((n, c) => {
+                    row[c] = gDivide(tables, n, column);
+                });
+            }
+        }
+    }
+    return matrix;
+}
+
+
+/**
+ * Turn coding matrix into a binary matrix
+ *
+ * Every field number becomes a w x w binary matrix: parts are split into
+ * w packets, and each packet of a coded part is the XOR of some packets
+ * of source parts.
+ *
+ * @param {Object} tables - Field tables (see createTables)
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Uint8Array} matrix - Coding matrix (see createMatrix)
+ * @return {Uint8Array} m * w rows of k * w bits, row by row
+ */
+function createBitmatrix(tables, k, m, matrix) {
+    const w = tables.w;
+    const bitmatrix = new Uint8Array(k * w * m * w);
+    for (let r = 0; r < m; ++r) {
+        for (let c = 0; c < k; ++c) {
+            let x = matrix[k * r + c];
+            for (let a = 0; a < w; ++a) {
+                for (let b = 0; b < w; ++b) {
+                    bitmatrix[r * w * k * w + w * c + a + k * w * b] =
+                        (x >> b) & 1;
+                }
+                x = gMultiply(tables, x, 2);
+            }
+        }
+    }
+    return bitmatrix;
+}
+
+
+/**
+ * Invert a binary matrix (Gauss-Jordan elimination)
+ *
+ * @param {Uint8Array} source - Square matrix to invert, modified
+ * @param {Number} rows - Number of rows
+ * @return {Uint8Array} inverted matrix
+ */
+function invertBitmatrix(source, rows) {
+    const cols = rows;
+    const target = new Uint8Array(rows * cols);
+    const swapRows = (matrix, a, b) => {
+        const row = matrix.slice(a * cols, (a + 1) * cols);
+        matrix.copyWithin(a * cols, b * cols, (b + 1) * cols);
+        matrix.set(row, b * cols);
+    };
+    /* eslint-disable no-param-reassign */
+    const xorRow = (matrix, from, to) => {
+        for (let i = 0; i < cols; ++i) {
+            matrix[to * cols + i] ^= matrix[from * cols + i];
+        }
+    };
+    /* eslint-enable no-param-reassign */
+
+    for (let r = 0; r < rows; ++r) {
+        target[r * cols + r] = 1;
+    }
+    for (let c = 0; c < cols; ++c) {
+        if (source[c * cols + c] === 0) {
+            let r = c + 1;
+            while (r < rows && source[r * cols + c] === 0) {
+                ++r;
+            }
+            assert.notStrictEqual(r, rows, 'Matrix is not invertible');
+            swapRows(source, c, r);
+            swapRows(target, c, r);
+        }
+        for (let r = c + 1; r < rows; ++r) {
+            if (source[r * cols + c] !== 0) {
+                xorRow(source, c, r);
+                xorRow(target, c, r);
+            }
+        }
+    }
+    for (let r = rows - 1; r >= 0; --r) {
+        for (let c = 0; c < r; ++c) {
+            if (source[c * cols + r] !== 0) {
+                xorRow(source, r, c);
+                xorRow(target, r, c);
+            }
+        }
+    }
+    return target;
+}
+
+
+/**
+ * Binary matrix computing data parts from k source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {[Number]} sourceIndex - Indexes of the k source parts
+ * @return {Uint8Array} k * w rows of k * w bits, row by row
+ */
+function createDecodingBitmatrix(context, sourceIndex) {
+    const { w, k, bitmatrix } = context;
+    const kww = k * w * w;
+    const matrix = new Uint8Array(kww * k);
+    sourceIndex.forEach((index, a) => {
+        if (index < k) {
+            for (let b = 0; b < w; ++b) {
+                matrix[kww * a + index * w + b * (k * w + 1)] = 1;
+            }
+        } else {
+            matrix.set(bitmatrix.subarray(kww * (index - k),
+                                          kww * (index - k + 1)), kww * a);
+        }
+    });
+    return invertBitmatrix(matrix, k * w);
+}
+
+
+/**
+ * Packet size used to code parts
+ *
+ * Packets are reduced to keep packets of a coding step within CPU cache.
+ * Fragments depend on it.
+ *
+ * @param {Number} w - Galois field exponent
+ * @param {Number} k - Number of data parts
+ * @param {Number} shardSize - Size of stripe parts
+ * @return {Number} packet size
+ */
+function getPacketSize(w, k, shardSize) {
+    let packetSize = shardSize / w;
+    while (packetSize > 64 && packetSize % 2 === 0 &&
+           (1 + k * w) * packetSize > 1048576) {
+        packetSize /= 2;
+    }
+    return packetSize;
+}
+
+
+/**
+ * XOR source bytes into target bytes
+ *
+ * @param {Uint8Array} source - Bytes to XOR
+ * @param {Uint8Array} target - Bytes XORed in place, same length
+ * @return {undefined}
+ */
+function xorInto(source, target) {
+    const length = source.length;
+    let i = 0;
+    // 32-bit words whenever both are aligned
+    if (source.byteOffset % 4 === 0 && target.byteOffset % 4 === 0) {
+        const words = length >> 2;
+        const source32 = new Int32Array(
+            source.buffer, source.byteOffset, words);
+        const target32 = new Int32Array(
+            target.buffer, target.byteOffset, words);
+        for (let j = 0; j < words; ++j) {
+            target32[j] ^= source32[j];
+        }
+        i = words << 2;
+    }
+    /* eslint-disable no-param-reassign */
+    for (; i < length; ++i) {
+        target[i] ^= source[i];
+    }
+    /* eslint-enable no-param-reassign */
+}
+
+
+/**
+ * Compute a part, packet by packet, from k source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {[Uint8Array]} shards - Every part of the stripe
+ * @param {Uint8Array} rows - w rows of k * w bits, one per packet
+ * @param {[Number]} sourceIndex - Indexes of the k source parts
+ * @param {Number} targetIndex - Index of computed part
+ * @return {undefined}
+ */
+function dot(context, shards, rows, sourceIndex, targetIndex) {
+    const { w, k } = context;
+    const shardSize = shards[0].length;
+    const packetSize = getPacketSize(w, k, shardSize);
+    const packet = (shard, offset) => shard.subarray(
+        offset, offset + packetSize);
+
+    for (let offset = 0; offset < shardSize; offset += w * packetSize) {
+        let column = 0;
+        for (let a = 0; a < w; ++a) {
+            let copied = false;
+            const target = packet(shards[targetIndex],
+                                  offset + a * packetSize);
+            for (let b = 0; b < k; ++b) {
+                const source = shards[sourceIndex[b]];
+                for (let c = 0; c < w; ++c) {
+                    if (rows[column] !== 0) {
+                        const from = packet(source, offset + c * packetSize);
+                        if (copied) {
+                            xorInto(from, target);
+                        } else {
+                            target.set(from);
+                            copied = true;
+                        }
+                    }
+                    column++;
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * XOR whole parts into a target part
+ *
+ * @param {[Uint8Array]} shards - Every part of the stripe
+ * @param {Number} parts - Bitfield, parts to XOR
+ * @param {Number} targetIndex - Index of computed part
+ * @return {undefined}
+ */
+function xorParts(shards, parts, targetIndex) {
+    let copied = false;
+    shards.forEach((shard, i) => {
+        if ((parts & (1 << i)) === 0) {
+            return;
+        }
+        if (copied) {
+            xorInto(shard, shards[targetIndex]);
+        } else {
+            shards[targetIndex].set(shard);
+            copied = true;
+        }
+    });
+}
+
+
+/**
+ * Compute missing parts of a stripe
+ *
+ * Every part missing from sources is computed, targets being some of
+ * them (same as the native addon).
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number} sources - Bitfield, parts to use as input
+ * @param {Number} targets - Bitfield, parts to compute
+ * @param {[Uint8Array]} shards - Every part of the stripe
+ * @return {undefined}
+ */
+function encodeShards(context, sources, targets, shards) {
+    const { w, k, m, bitmatrix } = context;
+    const kww = k * w * w;
+    const first = parts => Math.log2(parts & -parts);
+
+    // Pure replication
+    if (k === 1) {
+        for (let i = 0; i < k + m; ++i) {
+            if ((targets & (1 << i)) !== 0) {
+                shards[i].set(shards[first(sources)]);
+            }
+        }
+        return;
+    }
+
+    // Single erasure among data parts and parity part 0: plain XOR
+    const xorable = (1 << (k + 1)) - 1;
+    if (popCount(targets) === 1 && popCount(sources & xorable) === k &&
+        (targets & xorable) !== 0) {
+        xorParts(shards, sources & xorable, first(targets));
+        return;
+    }
+
+    let max = k;
+    let kerasures = 0;
+    for (let i = 0; i < k; ++i) {
+        if ((sources & (1 << i)) === 0) {
+            max = i;
+            kerasures++;
+        }
+    }
+    const xorParity = (sources & (1 << k)) !== 0;
+    if (!xorParity) {
+        max = k;
+    }
+    // Missing data parts, but the last one if parity part 0 can rebuild it
+    if (kerasures > 1 || (kerasures === 1 && !xorParity)) {
+        const sourceIndex = [];
+        for (let i = 0; sourceIndex.length < k; ++i) {
+            if ((sources & (1 << i)) !== 0) {
+                sourceIndex.push(i);
+            }
+        }
+        const decoding = createDecodingBitmatrix(context, sourceIndex);
+        for (let i = 0; kerasures > 0 && i < max; ++i) {
+            if ((sources & (1 << i)) === 0) {
+                dot(context, shards, decoding.subarray(kww * i),
+                    sourceIndex, i);
+                kerasures--;
+            }
+        }
+    }
+    if (kerasures > 0) {
+        const sourceIndex = [...Array(k).keys()].map(
+            i => (i < max ? i : i + 1));
+        dot(context, shards, bitmatrix, sourceIndex, max);
+    }
+    // Missing parity parts, from data parts
+    const dataIndex = [...Array(k).keys()];
+    for (let i = 0; i < m; ++i) {
+        if ((sources & (1 << (k + i))) === 0) {
+            dot(context, shards, bitmatrix.subarray(kww * i),
+                dataIndex, k + i);
+        }
+    }
+}
+
+
+/**
+ * Create a coding context
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @return {Object} context, shareable between concurrent operations
+ */
+function create(k, m) {
+    assert.ok(Number.isInteger(k) && k >= 1 && k <= MAX_K);
+    assert.ok(Number.isInteger(m) && m >= 1 && m <= MAX_M);
+    const [w, p, x, y, b] = PARAMETERS[k - 1][m - 1];
+    const tables = createTables(w, p);
+    const matrix = createMatrix(tables, k, m, x, y);
+    const bitmatrix = createBitmatrix(tables, k, m, matrix);
+    assert.strictEqual(bitmatrix.reduce((ones, bit) => ones + bit, 0), b);
+    return { w, k, m, bitmatrix };
+}
+
+
+/**
+ * Compute target parts of a stripe from source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number} sources - Bitfield, parts to use as input
+ * @param {Number} targets - Bitfield, parts to compute
+ * @param {Buffer} dataBuffer - k data parts
+ * @param {Buffer} parityBuffer - m parity parts
+ * @param {Function} callback - Called once encoded: (Error|null) -> ?
+ * @return {undefined}
+ */
+function encode(context, sources, targets, dataBuffer, parityBuffer,
+                callback) {
+    const { w, k, m } = context;
+    const n = k + m;
+    assert.ok(sources > 0 && sources < (1 << n));
+    assert.ok(targets > 0 && targets < (1 << n));
+    assert.ok(popCount(sources) >= k);
+    assert.ok(popCount(targets) <= m);
+    assert.strictEqual(sources & targets, 0);
+    assert.strictEqual(dataBuffer.length % k, 0);
+    const shardSize = dataBuffer.length / k;
+    assert.ok(shardSize > 0 && shardSize % 8 === 0 && shardSize % w === 0);
+    assert.strictEqual(parityBuffer.length, shardSize * m);
+
+    const shards = [...Array(n).keys()].map(i => {
+        const buffer = i < k ? dataBuffer : parityBuffer;
+        const offset = (i < k ? i : i - k) * shardSize;
+        return buffer.subarray(offset, offset + shardSize);
+    });
+    // Asynchronous, as native coding
+    setImmediate(() => {
+        encodeShards(context, sources, targets, shards);
+        callback(null);
+    });
+}
+
+
+module.exports = {
+    MAX_K,
+    MAX_M,
+    create,
+    encode,
+    xorInto,
+};
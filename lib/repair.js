@@ -2,51 +2,53 @@
 
 const assert = require('assert');
 const { DencodeContext } = require('./dencode_context');
-const { decodeBufferStep } = require('./decode');
+const {
+    decodeBufferStep,
+    getChecksumSpares,
+    getSpares,
+    hookInputStream,
+    notEnoughParts,
+} = require('./decode');
+const { getCodec, selectSources } = require('./codec');
+const { getBitfields, popCount } = require('./bitfield');
+const { toNodeStream } = require('./web');
+const { getManifestOptions, loadManifest } = require('./manifest');
 
 /**
  * Dispatch repaired stripe part into output streams - Step 3
  *
  * @param {DencodeContext} repairContext - Context of the repair
  * @param {null|Error} error - Encoding error
+ * @param {Object} stripe - Repaired stripe
  * @return {undefined}
  */
-function repairDispatchStep(repairContext, error) {
+function repairDispatchStep(repairContext, error, stripe) {
     if (error) {
         repairContext.error(error);
-        repairContext.unref();
+        repairContext.unref(stripe);
         return;
     }
 
     // Forward everything to output streams
     let nPending = 1; // 1 is the main loop, wait for all to started
-    const stripeSize = repairContext.stripeSize;
     const writeCallback = () => {
         nPending--;
         if (nPending === 0) {
-            setImmediate(() => repairContext.unref());
+            setImmediate(() => repairContext.unref(stripe));
         }
     };
 
     repairContext.ostreams.forEach((s, i) => {
-        if ((repairContext.targets & (1 << i)) === 0) {
+        if ((repairContext.targets & repairContext.bits.bit(i)) ===
+            repairContext.bits.zero) {
             return;
         }
-        const buffer = i < repairContext.k ?
-                  repairContext.getDataBuffer() :
-                  repairContext.getParityBuffer();
-        const stripeId = i < repairContext.k ? i : i - repairContext.k;
-        const start = stripeId * stripeSize;
-        const end = (stripeId + 1) * stripeSize;
 
         /* Bumped twice here to handle write callback
          * and potentially waiting for 'drain' event
          */
         nPending += 2;
-        const writeOk = s.write(
-            buffer.slice(start, end),
-            null, /* binary encoding */
-            writeCallback);
+        const writeOk = repairContext.writeChunk(i, stripe, writeCallback);
         if (!writeOk) {
             s.once('drain', writeCallback);
         } else {
@@ -62,10 +64,11 @@ function repairDispatchStep(repairContext, error) {
  * Repair passed buffer - Step 2
  *
  * @param {DencodeContext} repairCtx - Context of the repair
+ * @param {Object} stripe - Filled stripe
  * @return {null|Object} anything returned by underlying EC lib
  */
-function repairStep(repairCtx) {
-    return repairCtx.encode(repairDispatchStep);
+function repairStep(repairCtx, stripe) {
+    return repairCtx.encode(repairDispatchStep, stripe);
 }
 
 
@@ -76,90 +79,199 @@ function repairStep(repairCtx) {
  * @param {Number} m - Number of parity parts
  * @param {[stream.Readable]} istreams - source streams
  * @param {[stream.Writable]} ostreams - repaired streams
+ * @param {Object} codec - Codec to use (see codec.js)
  * @return {Object} selected roles
  * @return {Number} sources (bitfield) - what to use as input
  * @return {Number} targets (bitfield) - what to reconstruct
  *                                       (0 if all data available)
- * @return {Number} available - Number of valid input sources (must be === k)
+ * @return {Number} available - Number of valid input sources
+ * @return {boolean} covered - Whether sources are enough to reconstruct
+ *                             targets
  */
-function getPartRoles(k, m, istreams, ostreams) {
-    let sources = 0;
-    let targets = 0;
-    let available = 0;
+function getPartRoles(k, m, istreams, ostreams, codec) {
+    const bitfields = getBitfields(k + m);
+    let availableParts = bitfields.zero;
+    let targets = bitfields.zero;
 
     for (let i = 0; i < k + m; ++i) {
         if (istreams[i]) { // Available
-            if (available === k) {
-                break; // We have enough sources
-            }
-            sources |= (1 << i);
-            ++available;
+            availableParts |= bitfields.bit(i);
         }
-    }
-
-    for (let i = 0; i < k + m; ++i) {
         if (ostreams[i]) { // Reconstruct
-            targets |= (1 << i);
+            targets |= bitfields.bit(i);
         }
     }
 
-    return { sources, targets, available };
+    const selected = selectSources(codec, k, m, availableParts, targets);
+    return {
+        sources: selected === null ? availableParts : selected,
+        targets,
+        available: popCount(availableParts),
+        covered: selected !== null,
+    };
 }
 
 
 /**
- * Repair Reed-Solomon (k, m) encoded object
+ * Repair erasure coded (k, m) object
  *
  * @param {Number} k - Number of data parts
  * @param {Number} m - Number of parity parts
- * @param {[stream.Readable]} istreams - source streams
- * @param {[stream.Writable]} ostreams - repaired streams
+ * @param {[stream.Readable]} inputs - source streams
+ * @param {[stream.Writable]} outputs - repaired streams
  * @param {Number} size - Length of output stream (shortcut partial last stripe)
  * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features
+ * @param {boolean} [options.header] - Fragments start with a header,
+ *        size and stripeSize may be null to infer them from headers.
+ *        Repaired fragments get their own header.
+ * @param {boolean} [options.checksum] - Verify per-stripe checksums and
+ *        write them on repaired fragments (see decode for spares)
+ * @param {boolean} [options.verify] - Check consistency of every available
+ *        part (see decode)
+ * @param {Number} [options.concurrency] - Maximum number of stripes
+ *        repaired at once (default 1), see DencodeContext
+ * @param {boolean} [options.failover] - Read available parts not needed
+ *        as spares, to replace failed sources (default false, see decode)
+ * @param {Number} [options.hedge] - Repair every stripe from the first k
+ *        parts to be read, out of k + hedge (default 0, see decode)
+ * @param {AbortSignal} [options.signal] - Aborts repair, see
+ *        DencodeContext.abort (context 'abort' method may also be used)
+ * @param {String} [options.abortPolicy] - 'destroy' (default) or 'release'
+ *        streams once aborted, see DencodeContext.abort
+ * @param {Number} [options.stallTimeout] - Milliseconds without progress
+ *        before context emits 'stall' (see DencodeContext events)
+ * @param {boolean|BufferPool} [options.bufferPool] - Reuse stripe buffers
+ *        from a pool, true for the shared one, outputs must not keep
+ *        written chunks past their write callback (see buffer_pool.js)
+ * @param {Object} [options.codec] - Coding backend, the one used to encode
+ *        (default Reed-Solomon, see codec.js). With LRC, a single lost part
+ *        is repaired from its local group (see lrc.js): other input streams
+ *        are left untouched, unless read as spares
  * @return {DecodeContext} repair context
  *
  * Code parameters (k, m) are inferred from respectively
  * dataStreams and parityStreams length.
+ * Any stream may also be a WHATWG Web Stream (see web.js).
+ *
+ * Following a manifest (see manifest.js), arguments are
+ * (manifest, inputs, outputs, [options]): code parameters, size, stripe
+ * size, header, checksum and codec options come from the manifest.
  */
-function repair(k, m, istreams, ostreams, size, stripeSize) {
-    assert.strictEqual(k + m, istreams.length);
-    assert.strictEqual(k + m, ostreams.length);
+function repair(k, m, inputs, outputs, size, stripeSize, options = {}) {
+    if (k !== null && typeof k === 'object') {
+        const manifest = loadManifest(k);
+        return repair(manifest.k, manifest.m, m, inputs, manifest.size,
+                      manifest.stripeSize,
+                      getManifestOptions(manifest, outputs || {}));
+    }
+    assert.strictEqual(k + m, inputs.length);
+    assert.strictEqual(k + m, outputs.length);
+    const istreams = inputs.map(toNodeStream);
+    const ostreams = outputs.map(toNodeStream);
 
-    const { sources, targets, available } =
-              getPartRoles(k, m, istreams, ostreams);
+    const codec = getCodec(options.codec);
+    const { sources, targets, available, covered } = getPartRoles(
+        k, m, istreams, ostreams, codec);
 
     const repairContext = new DencodeContext(
-        k, m, istreams, ostreams, size, sources, targets, stripeSize);
+        k, m, istreams, ostreams, size, sources, targets, stripeSize,
+        options);
 
-    if (available < k) {
-        const error = new Error(
-            `Not enough parts for decoding: ${available} < ${k}`);
-        repairContext.error(error);
+    if (!covered) {
+        repairContext.error(notEnoughParts(k, available));
         return repairContext;
     }
 
-    istreams.forEach((s, i) => {
-        // Don't filter before, we need the real, overall index here
-        if ((sources & (1 << i)) === 0) {
-            if (s) {
-                s.resume(); // Force consumption of streams we are not using
-            }
-            return;
-        }
+    const spares = getSpares(istreams, sources, options);
+    repairContext.addSpares(spares);
 
-        // Input streams MUST be paused, and never pipe'd nor resumed
-        s.pause();
-        // Forward errors to context
-        s.once('error', err => setImmediate(() => repairContext.error(err)));
-        // Read handler
-        s.on('readable', () => decodeBufferStep(
-            repairContext, i, repairStep));
+    // Don't filter streams, we need the real, overall index here
+    const bits = repairContext.bits;
+    const listen = (used, unused) => istreams.forEach((s, i) => {
+        if (bits.has(used, i)) {
+            hookInputStream(repairContext, i, () => decodeBufferStep(
+                repairContext, i, repairStep));
+        } else if (s && !codec.selectSources && bits.has(unused, i)) {
+            // Codecs selecting their sources read as few parts as possible
+            s.resume(); // Force consumption of streams we are not using
+        }
     });
+    const checksumSpares = getChecksumSpares(
+        istreams, sources, spares, options);
+    if (checksumSpares !== bits.zero) {
+        repairContext.addChecksumSpares(checksumSpares, listen);
+    }
+    listen(sources | spares, ~(sources | spares | checksumSpares));
 
     return repairContext;
 }
 
 
+/**
+ * Compute parity fragments of an object from its data fragments alone
+ *
+ * Completes an encoding which left some parity outputs null (see encode),
+ * or adds parity to data fragments encoded with another m (see transcode).
+ *
+ * @param {[stream.Readable]} dataStreams - Every data fragment stream
+ * @param {[stream.Writable]} parityOutputs - Parity fragment streams to
+ *        compute (null for the ones to skip)
+ * @param {Number} size - Length of the object
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see repair
+ * @return {DencodeContext} repair context
+ *
+ * Code parameters (k, m) are inferred from respectively
+ * dataStreams and parityOutputs length.
+ *
+ * Following a manifest (see manifest.js), arguments are
+ * (manifest, dataStreams, parityOutputs, [options]).
+ */
+function generateParity(dataStreams, parityOutputs, size, stripeSize,
+                        options = {}) {
+    if (!Array.isArray(dataStreams)) {
+        const manifest = loadManifest(dataStreams);
+        assert.strictEqual(parityOutputs.length, manifest.k);
+        assert.strictEqual(size.length, manifest.m);
+        return generateParity(parityOutputs, size, manifest.size,
+                              manifest.stripeSize,
+                              getManifestOptions(manifest, stripeSize || {}));
+    }
+    return repair(dataStreams.length, parityOutputs.length,
+                  [...dataStreams, ...parityOutputs.map(() => null)],
+                  [...dataStreams.map(() => null), ...parityOutputs],
+                  size, stripeSize, options);
+}
+
+
+/**
+ * Repair an object, see repair
+ *
+ * @param {...*} args - repair arguments
+ * @return {Promise} resolved with repair context once every repaired
+ *                   fragment output stream finished
+ */
+function repairAsync(...args) {
+    return repair(...args).promise();
+}
+
+
+/**
+ * Compute parity fragments, see generateParity
+ *
+ * @param {...*} args - generateParity arguments
+ * @return {Promise} resolved with repair context once every parity
+ *                   fragment output stream finished
+ */
+function generateParityAsync(...args) {
+    return generateParity(...args).promise();
+}
+
+
 module.exports = {
+    generateParity,
+    generateParityAsync,
     repair,
+    repairAsync,
 };
@@ -0,0 +1,234 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Stream classes wrapping encode and decode
+ *
+ * encode and decode read from paused streams, which must never be piped
+ * nor resumed. These classes are regular Node streams instead: they can be
+ * piped, used with stream.pipeline, and destroyed. Striping and coding is
+ * still done by encode/decode, through an internal pass-through stream.
+ *
+ * Web variants of encode, decode and repair return WHATWG ReadableStreams
+ * instead of writing to given output streams (see web.js), they need
+ * Node.js 16.5 or later.
+ *
+ * Pass-through streams keep written chunks until they are read: none of
+ * these accept a buffer pool (see buffer_pool.js).
+ */
+
+const assert = require('assert');
+const stream = require('stream');
+
+const { encode } = require('./encode');
+const { decode, decodeRange } = require('./decode');
+const { repair } = require('./repair');
+const { getReadableStream, toNodeStream, toWebReadable } = require('./web');
+
+
+/**
+ * Check options of an operation writing to pass-through streams
+ *
+ * @param {Object} options - Operation options
+ * @return {undefined}
+ */
+function checkPassThroughOptions(options) {
+    assert.ok(!options.bufferPool,
+              'Buffer pools can not be used with stream classes and ' +
+              'Web variants');
+}
+
+
+class EncodeStream extends stream.Writable {
+    /**
+     * Writable stream encoded into k + m fragment streams
+     *
+     * Fragments are available as readable streams in 'fragments', data
+     * ones first, coding context is in 'context'. Every fragment stream
+     * must be read: encoding follows the slowest one (fragment streams only
+     * buffer up to their highWaterMark), so 'finish' is only emitted once
+     * every fragment was produced, and mostly consumed.
+     *
+     * @constructor
+     * @param {Number} k - Number of data parts
+     * @param {Number} m - Number of parity parts
+     * @param {null|Number} size - Length of written object, null if
+     *                             unknown (see encode)
+     * @param {Number} stripeSize - Stripe size to use
+     * @param {Object} [options] - Optional features, see encode
+     * @param {Number} [options.highWaterMark] - Buffer level of this stream
+     *        and of every fragment stream
+     */
+    constructor(k, m, size, stripeSize, options = {}) {
+        checkPassThroughOptions(options);
+        const streamOptions = {};
+        if (options.highWaterMark !== undefined) {
+            streamOptions.highWaterMark = options.highWaterMark;
+        }
+        super(streamOptions);
+
+        this._input = new stream.PassThrough(streamOptions);
+        this.fragments = [...Array(k + m).keys()].map(
+            () => new stream.PassThrough(streamOptions));
+        this.context = encode(
+            this._input, size, this.fragments.slice(0, k),
+            this.fragments.slice(k), stripeSize, options);
+        this._completion = this.context.promise();
+        this._completion.catch(err => this.destroy(err));
+    }
+
+    _write(chunk, encoding, callback) {
+        this._input.write(chunk, encoding, callback);
+    }
+
+    _final(callback) {
+        this._input.end();
+        this._completion.then(() => callback(), callback);
+    }
+
+    _destroy(err, callback) {
+        // Fragment readers already got coding errors, if any
+        this._input.destroy();
+        this.fragments.forEach(s => s.destroy());
+        callback(err);
+    }
+}
+
+
+class DecodeStream extends stream.Readable {
+    /**
+     * Readable stream decoded from k + m fragment streams
+     *
+     * Fragment streams are handed over to the decoder: they must not be
+     * read by anyone else, and are destroyed along this stream.
+     * Decoding context is in 'context'.
+     *
+     * @constructor
+     * @param {Number} size - Length of the object
+     * @param {[stream.Readable]} dataStreams - Data fragments (null if
+     *                                          missing)
+     * @param {[stream.Readable]} parityStreams - Parity fragments (null if
+     *                                            missing)
+     * @param {Number} stripeSize - Stripe size to use
+     * @param {Object} [options] - Optional features, see decode
+     * @param {Object} [options.range] - { offset, length } byte range to
+     *        decode, instead of the whole object (see decodeRange)
+     * @param {Number} [options.highWaterMark] - Buffer level of this stream
+     */
+    constructor(size, dataStreams, parityStreams, stripeSize, options = {}) {
+        checkPassThroughOptions(options);
+        const streamOptions = {};
+        if (options.highWaterMark !== undefined) {
+            streamOptions.highWaterMark = options.highWaterMark;
+        }
+        super(streamOptions);
+
+        const k = dataStreams.length;
+        this._sources = [...dataStreams, ...parityStreams].map(toNodeStream);
+        this._output = new stream.PassThrough(streamOptions);
+        this._output.on('data', chunk => {
+            if (!this.push(chunk)) {
+                this._output.pause();
+            }
+        });
+        this._output.once('end', () => this.push(null));
+        this._output.pause();
+
+        const dataSources = this._sources.slice(0, k);
+        const paritySources = this._sources.slice(k);
+        const { range } = options;
+        this.context = range ?
+            decodeRange(this._output, range.offset, range.length, size,
+                        dataSources, paritySources, stripeSize, options) :
+            decode(this._output, size, dataSources, paritySources,
+                   stripeSize, options);
+        this.context.promise().catch(err => this.destroy(err));
+    }
+
+    _read() {
+        this._output.resume();
+    }
+
+    _destroy(err, callback) {
+        this._output.destroy();
+        this._sources.forEach(s => s && s.destroy());
+        callback(err);
+    }
+}
+
+
+/**
+ * Encode a stream into ReadableStream fragments, see encode
+ *
+ * @param {stream.Readable|ReadableStream} input - Stream to encode
+ * @param {null|Number} size - Length of input, null if unknown
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see encode
+ * @return {Object} { context, fragments }, fragments being k + m
+ *                  ReadableStreams, data ones first. Encoding is paced by
+ *                  the slowest fragment reader, every fragment must be read.
+ */
+function encodeWeb(input, size, k, m, stripeSize, options = {}) {
+    checkPassThroughOptions(options);
+    getReadableStream(); // Fail before reading anything
+    const outputs = [...Array(k + m).keys()].map(
+        () => new stream.PassThrough());
+    const context = encode(input, size, outputs.slice(0, k),
+                           outputs.slice(k), stripeSize, options);
+    return { context, fragments: outputs.map(toWebReadable) };
+}
+
+
+/**
+ * Decode fragments into a ReadableStream, see DecodeStream
+ *
+ * @param {Number} size - Length of the object
+ * @param {[stream.Readable]} dataStreams - Data fragments (or
+ *                                          ReadableStreams)
+ * @param {[stream.Readable]} parityStreams - Parity fragments (or
+ *                                            ReadableStreams)
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see DecodeStream
+ * @return {ReadableStream} decoded object
+ */
+function decodeWeb(size, dataStreams, parityStreams, stripeSize,
+                   options = {}) {
+    getReadableStream(); // Fail before reading anything
+    return toWebReadable(new DecodeStream(
+        size, dataStreams, parityStreams, stripeSize, options));
+}
+
+
+/**
+ * Repair missing fragments into ReadableStreams, see repair
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {[stream.Readable]} inputs - Fragments (or ReadableStreams),
+ *                                     null for missing ones
+ * @param {Number} size - Length of the object
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see repair
+ * @return {Object} { context, fragments }, fragments being a
+ *         ReadableStream for every missing input, null for others
+ */
+function repairWeb(k, m, inputs, size, stripeSize, options = {}) {
+    checkPassThroughOptions(options);
+    getReadableStream(); // Fail before reading anything
+    const outputs = inputs.map(s => (s ? null : new stream.PassThrough()));
+    const context = repair(k, m, inputs, outputs, size, stripeSize, options);
+    return {
+        context,
+        fragments: outputs.map(s => (s ? toWebReadable(s) : null)),
+    };
+}
+
+
+module.exports = {
+    DecodeStream,
+    EncodeStream,
+    decodeWeb,
+    encodeWeb,
+    repairWeb,
+};
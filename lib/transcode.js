@@ -0,0 +1,176 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Transcode an object from one erasure code geometry to another
+ *
+ * Source fragments are decoded stripe by stripe into the encoding of the
+ * destination fragments: decoded data goes through a buffer of a single
+ * destination stripe, nothing else is kept.
+ *
+ * When only parity changes (same k, stripe size and checksums, no
+ * headers, which hold m), data fragments are identical in both geometries:
+ * they are reused untouched, only read to compute destination parity.
+ * Missing source data fragments are then decoded, the destination lacking
+ * them until repaired.
+ */
+
+const assert = require('assert');
+const stream = require('stream');
+
+const { encode } = require('./encode');
+const { decode } = require('./decode');
+const { generateParity } = require('./repair');
+const { getCodec } = require('./codec');
+const { safeStripeSize } = require('./dencode_context');
+const { getManifestCodec } = require('./manifest');
+const { toNodeStream } = require('./web');
+
+
+/**
+ * Normalize a code geometry
+ *
+ * @param {Object} geometry - Geometry, or object manifest
+ * @param {Number} geometry.k - Number of data parts
+ * @param {Number} geometry.m - Number of parity parts
+ * @param {Number} geometry.stripeSize - Stripe size (hint)
+ * @param {boolean} [geometry.header] - Fragments start with a header
+ * @param {boolean} [geometry.checksum] - Chunks are followed by checksums
+ * @param {Object|String} [geometry.codec] - Codec (default Reed-Solomon),
+ *        or its name as in manifests
+ * @return {Object} geometry, with codec and actual stripe size
+ */
+function getGeometry(geometry) {
+    const { k, m } = geometry;
+    assert.ok(Number.isInteger(k) && k > 0);
+    assert.ok(Number.isInteger(m) && m > 0);
+    const codec = typeof geometry.codec === 'string' ?
+              getManifestCodec(geometry) : getCodec(geometry.codec);
+    return {
+        k,
+        m,
+        stripeSize: safeStripeSize(k, geometry.stripeSize, codec),
+        header: Boolean(geometry.header),
+        checksum: Boolean(geometry.checksum),
+        codec,
+    };
+}
+
+
+/**
+ * Output stream dropping what is written
+ *
+ * @return {stream.Writable} stream
+ */
+function sink() {
+    return new stream.Writable({
+        write(chunk, encoding, callback) {
+            callback();
+        },
+    });
+}
+
+
+/**
+ * Transcode an erasure coded object to another geometry
+ *
+ * @param {Object} srcGeometry - Geometry of source fragments (see
+ *        getGeometry), a manifest may be given
+ * @param {[stream.Readable]} srcStreams - Source fragment streams, data
+ *        then parity (null if missing)
+ * @param {Object} dstGeometry - Geometry of destination fragments
+ * @param {[stream.Writable]} dstStreams - Destination fragment streams,
+ *        data then parity. Data ones may all be null to reuse source data
+ *        fragments, when only parity changes (see above): destination
+ *        parity is computed from source data fragments if they are all
+ *        available, else from the decoded object. Parity ones may be null,
+ *        to be computed later (see generateParity).
+ * @param {Number} size - Length of the object
+ * @param {Object} [options] - Optional features, given to both decode
+ *        and encode (or generateParity, when data fragments are reused),
+ *        e.g. 'concurrency', 'failover', 'signal', 'digest'
+ * @return {DencodeContext} context producing destination fragments (see
+ *         encode), with 'source' set to the decoding context (null when
+ *         data fragments are reused and read as is, 'manifest' being then
+ *         null too)
+ *
+ * Both contexts fail together: source errors are forwarded to destination
+ * outputs, and a failing destination aborts decoding.
+ * Any stream may also be a WHATWG Web Stream (see web.js).
+ */
+function transcode(srcGeometry, srcStreams, dstGeometry, dstStreams, size,
+                   options = {}) {
+    const src = getGeometry(srcGeometry);
+    const dst = getGeometry(dstGeometry);
+    assert.strictEqual(srcStreams.length, src.k + src.m);
+    assert.strictEqual(dstStreams.length, dst.k + dst.m);
+    assert.ok(Number.isSafeInteger(size) && size >= 0);
+    const geometryOptions = geometry => Object.assign({}, options, {
+        header: geometry.header,
+        checksum: geometry.checksum,
+        codec: geometry.codec,
+    });
+
+    const dstData = dstStreams.slice(0, dst.k);
+    const reuseData = dstData.every(s => !s);
+    if (reuseData) {
+        assert.ok(src.k === dst.k && src.stripeSize === dst.stripeSize &&
+                  src.checksum === dst.checksum &&
+                  !src.header && !dst.header,
+                  'Data fragments can only be reused with same k, ' +
+                  'stripe size and checksums, without headers');
+    }
+    if (reuseData && srcStreams.slice(0, src.k).every(s => s)) {
+        // Source parity is useless, consume it as repair would
+        srcStreams.slice(src.k).forEach(s => {
+            if (s) {
+                toNodeStream(s).resume();
+            }
+        });
+        const context = generateParity(
+            srcStreams.slice(0, src.k), dstStreams.slice(dst.k), size,
+            dst.stripeSize, geometryOptions(dst));
+        context.source = null;
+        context.manifest = null;
+        return context;
+    }
+
+    // Decoded data, buffered up to a destination stripe
+    const data = new stream.PassThrough({
+        highWaterMark: dst.k * dst.stripeSize,
+    });
+    const source = decode(
+        data, size, srcStreams.slice(0, src.k), srcStreams.slice(src.k),
+        src.stripeSize, geometryOptions(src));
+    // Reused data fragments are encoded again, as is, and dropped
+    const context = encode(
+        data, size, reuseData ? dstData.map(sink) : dstData,
+        dstStreams.slice(dst.k), dst.stripeSize, geometryOptions(dst));
+    // Source errors reach encode through its input, as emitted by the
+    // failing source stream: keep their source attribution
+    data.once('error', () => {
+        if (source.inputError) {
+            context.error(source.inputError);
+        }
+    });
+    context.source = source;
+    context.promise().catch(err => source.abort(err));
+    return context;
+}
+
+
+/**
+ * Transcode an object, see transcode
+ *
+ * @param {...*} args - transcode arguments
+ * @return {Promise} resolved with destination context once every
+ *                   destination fragment stream finished
+ */
+function transcodeAsync(...args) {
+    return transcode(...args).promise();
+}
+
+
+module.exports = {
+    transcode,
+    transcodeAsync,
+};
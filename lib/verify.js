@@ -0,0 +1,212 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Verify a Reed-Solomon (k, m) encoded object, without producing any output
+ *
+ * Every available fragment is read, stripe by stripe. Whenever more than k
+ * parts of a stripe are valid, surplus parts are recomputed from k others and
+ * compared (see consistency.js).
+ *
+ * Anomalies are gathered in a report:
+ * - missing fragments (null input streams)
+ * - truncated fragments, and the stripe at which they ended
+ * - checksum errors (with 'checksum' option, see encode)
+ * - inconsistent stripes, with mismatching parts, and corrupted part
+ *   whenever it could be located
+ * - unrecoverable stripes, with less than k valid parts
+ */
+
+const assert = require('assert');
+const stream = require('stream');
+
+const { DencodeContext } = require('./dencode_context');
+const { bufferStripePart, hookInputStream } = require('./decode');
+const { checkParts, locateCorruption } = require('./consistency');
+const {
+    bitIndexes,
+    getBitfields,
+    lowestBits,
+    popCount,
+} = require('./bitfield');
+const { toNodeStream } = require('./web');
+
+
+/**
+ * Check a filled stripe, record anomalies in report - Step 2
+ *
+ * @param {DencodeContext} verifyContext - Context of the verification
+ * @param {Object} stripe - Filled stripe
+ * @param {Object} report - Verification report
+ * @return {undefined}
+ */
+function verifyStripeStep(verifyContext, stripe, report) {
+    const usable = verifyContext.getStripeUsable(stripe);
+    const dataBuffer = verifyContext.getDataBuffer(stripe);
+    const parityBuffer = verifyContext.getParityBuffer(stripe);
+    const next = err => {
+        if (err) {
+            verifyContext.error(err);
+        }
+        verifyContext.unref(stripe);
+    };
+
+    if (popCount(usable) < verifyContext.k) {
+        report.unrecoverable.push(stripe.index);
+        setImmediate(next);
+        return;
+    }
+    if (popCount(usable) > verifyContext.k) {
+        report.checkedStripes++;
+    }
+
+    checkParts(verifyContext, usable, dataBuffer, parityBuffer,
+               (err, mismatches) => {
+                   if (err || mismatches === verifyContext.bits.zero) {
+                       next(err);
+                       return;
+                   }
+
+                   locateCorruption(
+                       verifyContext, usable, dataBuffer, parityBuffer,
+                       (locateErr, index) => {
+                           report.mismatches.push({
+                               stripe: stripe.index,
+                               parts: bitIndexes(mismatches),
+                               corrupted: index,
+                           });
+                           next(locateErr);
+                       });
+               });
+}
+
+
+/**
+ * Verify a Reed-Solomon (k, m) encoded object
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {[stream.Readable]} inputs - fragment streams (null if missing)
+ * @param {Number} size - Length of encoded object
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Optional features, see decode
+ *        ('header', 'checksum', 'concurrency', 'stallTimeout', 'bufferPool',
+ *        'codec' and 'signal', streams are destroyed on abort)
+ * @param {Function} callback - Called once every stripe was checked:
+ *                              (Error|null, Object) -> ?
+ * @return {DencodeContext} verification context
+ *
+ * Report given to callback:
+ * @return {boolean} healthy - true if no anomaly was found
+ * @return {Number} nStripe - Number of stripes
+ * @return {Number} checkedStripes - Stripes with surplus parts to compare
+ * @return {[Number]} missing - Missing fragments indexes
+ * @return {[Object]} truncated - { stripe, index } truncated fragments
+ * @return {[Object]} checksumErrors - { stripe, index } corrupted chunks
+ * @return {[Object]} mismatches - { stripe, parts, corrupted } inconsistent
+ *         stripes, with mismatching parts indexes and corrupted part index
+ *         (null if it could not be located)
+ * @return {[Number]} unrecoverable - Stripes with less than k valid parts
+ *
+ * Any stream may also be a WHATWG Web Stream (see web.js).
+ */
+function verify(k, m, inputs, size, stripeSize, options, callback) {
+    if (typeof options === 'function') {
+        return verify(k, m, inputs, size, stripeSize, {}, options);
+    }
+    assert.strictEqual(k + m, inputs.length);
+    const istreams = inputs.map(toNodeStream);
+    assert.strictEqual(typeof callback, 'function');
+
+    const bitfields = getBitfields(k + m);
+    const available = istreams.reduce(
+        (bits, s, i) => (s ? bits | bitfields.bit(i) : bits), bitfields.zero);
+    const sources = lowestBits(available, k);
+
+    const report = {
+        healthy: false,
+        nStripe: 0,
+        checkedStripes: 0,
+        missing: bitIndexes(bitfields.mask(k + m) & ~available),
+        truncated: [],
+        checksumErrors: [],
+        mismatches: [],
+        unrecoverable: [],
+    };
+
+    // Nothing is output, this sink only gets end and errors forwarded
+    // by the context, like any other output stream would
+    const sink = new stream.Writable({ write: (chunk, enc, cb) => cb() });
+    const verifyContext = new DencodeContext(
+        k, m, istreams, [sink], size, sources, bitfields.zero, stripeSize,
+        {
+            header: options.header,
+            checksum: options.checksum,
+            concurrency: options.concurrency,
+            failover: false,
+            signal: options.signal,
+            stallTimeout: options.stallTimeout,
+            bufferPool: options.bufferPool,
+            codec: options.codec,
+        });
+
+    let called = false;
+    const finalize = err => {
+        if (called) {
+            return;
+        }
+        called = true;
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        report.nStripe = verifyContext.nStripe;
+        report.truncated = verifyContext.truncated;
+        report.checksumErrors = verifyContext.checksumErrors;
+        report.healthy = ['missing', 'truncated', 'checksumErrors',
+                          'mismatches', 'unrecoverable'].every(
+                              field => report[field].length === 0);
+        callback(null, report);
+    };
+    sink.once('error', finalize);
+    sink.once('finish', () => finalize(null));
+
+    if (popCount(available) < k) {
+        verifyContext.error(new Error(
+            `Not enough parts for verifying: ${popCount(available)} < ${k}`));
+        return verifyContext;
+    }
+
+    verifyContext.addSpares(available & ~sources);
+
+    istreams.forEach((s, i) => {
+        if (s) {
+            hookInputStream(verifyContext, i, () => {
+                const stripe = bufferStripePart(verifyContext, i);
+                if (stripe) {
+                    verifyStripeStep(verifyContext, stripe, report);
+                }
+            });
+        }
+    });
+
+    return verifyContext;
+}
+
+
+/**
+ * Verify an object, see verify
+ *
+ * @param {...*} args - verify arguments, without callback
+ * @return {Promise} resolved with verification report
+ */
+function verifyAsync(...args) {
+    return new Promise((resolve, reject) => verify(
+        ...args, (err, report) => (err ? reject(err) : resolve(report))));
+}
+
+
+module.exports = {
+    verify,
+    verifyAsync,
+};
@@ -0,0 +1,198 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * WHATWG Web Streams adapters
+ *
+ * Coding steps rely on Node stream events ('readable', 'drain', 'end'),
+ * Web Streams given as inputs or outputs are wrapped into Node streams:
+ * - a ReadableStream is read one chunk at a time, whenever the wrapping
+ *   Readable needs more data,
+ * - a WritableStream is written once its writer is ready, the wrapping
+ *   Writable callback being called once the chunk was accepted. Nothing
+ *   is buffered in between, 'drain' follows writer readiness.
+ * Node streams can be exposed as ReadableStream the other way round
+ * (see toWebReadable).
+ *
+ * Web Streams are only detected by duck typing, so that this module can
+ * be loaded by Node versions without them.
+ */
+
+const assert = require('assert');
+const stream = require('stream');
+
+
+/**
+ * Is this a WHATWG ReadableStream?
+ *
+ * @param {*} s - Stream, or anything else
+ * @return {boolean} true for a ReadableStream
+ */
+function isWebReadable(s) {
+    return Boolean(s) && typeof s.getReader === 'function' &&
+        typeof s.pipe !== 'function';
+}
+
+
+/**
+ * Is this a WHATWG WritableStream?
+ *
+ * @param {*} s - Stream, or anything else
+ * @return {boolean} true for a WritableStream
+ */
+function isWebWritable(s) {
+    return Boolean(s) && typeof s.getWriter === 'function' &&
+        typeof s.write !== 'function';
+}
+
+
+/**
+ * Get a Buffer view of a Web Stream chunk
+ *
+ * @param {Uint8Array|ArrayBufferView|String} chunk - Chunk read
+ * @return {Buffer} chunk bytes, not copied whenever possible
+ */
+function toBuffer(chunk) {
+    if (ArrayBuffer.isView(chunk)) {
+        return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+    return Buffer.from(chunk);
+}
+
+
+/**
+ * Wrap a ReadableStream into a Node Readable
+ *
+ * @param {ReadableStream} webReadable - Stream to wrap (gets locked)
+ * @return {stream.Readable} wrapping stream, destroying it cancels
+ *                           the ReadableStream
+ */
+function fromWebReadable(webReadable) {
+    const reader = webReadable.getReader();
+    return new stream.Readable({
+        read() {
+            reader.read().then(({ done, value }) => {
+                this.push(done ? null : toBuffer(value));
+            }, err => this.destroy(err));
+        },
+
+        destroy(err, callback) {
+            reader.cancel(err || undefined).then(
+                () => callback(err), () => callback(err));
+        },
+    });
+}
+
+
+/**
+ * Wrap a WritableStream into a Node Writable
+ *
+ * Errors emitted on the Writable (typically forwarded by a coding context)
+ * abort the WritableStream.
+ *
+ * @param {WritableStream} webWritable - Stream to wrap (gets locked)
+ * @return {stream.Writable} wrapping stream
+ */
+function fromWebWritable(webWritable) {
+    const writer = webWritable.getWriter();
+    const writable = new stream.Writable({
+        highWaterMark: 0,
+
+        write(chunk, encoding, callback) {
+            writer.ready
+                .then(() => writer.write(chunk))
+                .then(() => callback(), callback);
+        },
+
+        final(callback) {
+            writer.close().then(() => callback(), callback);
+        },
+    });
+    writable.once('error', err => writer.abort(err).catch(() => {}));
+    return writable;
+}
+
+
+/**
+ * Get a Node stream for any stream position of the API
+ *
+ * @param {null|stream.Readable|stream.Writable|ReadableStream|
+ *         WritableStream} s - Stream given by caller
+ * @return {null|stream.Readable|stream.Writable} Node stream
+ */
+function toNodeStream(s) {
+    if (isWebReadable(s)) {
+        return fromWebReadable(s);
+    }
+    if (isWebWritable(s)) {
+        return fromWebWritable(s);
+    }
+    return s;
+}
+
+
+/**
+ * Get the ReadableStream class
+ *
+ * @return {Function} ReadableStream
+ * @throws {AssertionError} before Node.js 16.5, which lacks 'stream/web'
+ */
+function getReadableStream() {
+    let ReadableStream = null;
+    try {
+        /* eslint-disable global-require */
+        ReadableStream = require('stream/web').ReadableStream;
+        /* eslint-enable global-require */
+    } catch (err) {
+        // Checked below
+    }
+    assert.ok(ReadableStream,
+              'Web Streams need Node.js 16.5 or later (stream/web)');
+    return ReadableStream;
+}
+
+
+/**
+ * Expose a Node Readable as a ReadableStream
+ *
+ * Requires a Node version providing Web Streams ('stream/web', Node.js 16.5
+ * or later).
+ *
+ * @param {stream.Readable} readable - Stream to expose
+ * @return {ReadableStream} stream of Uint8Array chunks (actually Buffers),
+ *                          cancelling it destroys the Readable
+ */
+function toWebReadable(readable) {
+    const ReadableStream = getReadableStream();
+    readable.pause();
+    return new ReadableStream({
+        start(controller) {
+            readable.on('data', chunk => {
+                controller.enqueue(chunk);
+                if (controller.desiredSize <= 0) {
+                    readable.pause();
+                }
+            });
+            readable.once('end', () => controller.close());
+            readable.once('error', err => controller.error(err));
+        },
+
+        pull() {
+            readable.resume();
+        },
+
+        cancel() {
+            readable.destroy();
+        },
+    });
+}
+
+
+module.exports = {
+    fromWebReadable,
+    fromWebWritable,
+    getReadableStream,
+    isWebReadable,
+    isWebWritable,
+    toNodeStream,
+    toWebReadable,
+};
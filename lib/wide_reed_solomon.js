@@ -0,0 +1,267 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Wide Reed-Solomon codec
+ *
+ * Systematic Cauchy Reed-Solomon code over GF(2^8), computed byte by byte:
+ * slower than the default codec, but up to 256 parts (k + m), for wide
+ * stripes such as 48 + 8 or 64 + 12. Parity part j is the sum of data
+ * parts i weighted by 1 / (x_j + y_i), with y_i = i and x_j = k + j: any
+ * k rows of the generator matrix are independent, any k parts decode.
+ *
+ * Fragments are not compatible with the ones of the default codec.
+ */
+
+const assert = require('assert');
+
+const { bitIndexes } = require('./bitfield');
+const { xorInto } = require('./reed_solomon');
+
+const MAX_K = 192;
+const MAX_M = 64;
+/* Primitive polynomial x^8 + x^4 + x^3 + x^2 + 1 */
+const POLYNOMIAL = 0x11d;
+/* Decoding rows kept per context, for recurrent erasure patterns */
+const MAX_CACHED_ROWS = 64;
+
+
+/**
+ * Generate GF(2^8) tables
+ *
+ * @return {Object} tables: log, exp (doubled, to skip modulo) and
+ *                  mul (256 x 256 products)
+ */
+function createTables() {
+    const log = new Uint8Array(256);
+    const exp = new Uint8Array(510);
+    let x = 1;
+    for (let i = 0; i < 255; ++i) {
+        exp[i] = x;
+        exp[i + 255] = x;
+        log[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= POLYNOMIAL;
+        }
+    }
+
+    const mul = new Uint8Array(256 * 256);
+    for (let a = 1; a < 256; ++a) {
+        for (let b = 1; b < 256; ++b) {
+            mul[(a << 8) | b] = exp[log[a] + log[b]];
+        }
+    }
+    return { log, exp, mul };
+}
+
+
+const tables = createTables();
+
+
+/**
+ * Multiply field numbers
+ *
+ * @param {Number} a - Field number
+ * @param {Number} b - Field number
+ * @return {Number} a * b
+ */
+function gMultiply(a, b) {
+    return tables.mul[(a << 8) | b];
+}
+
+
+/**
+ * Invert a field number
+ *
+ * @param {Number} a - Field number, not 0
+ * @return {Number} 1 / a
+ */
+function gInverse(a) {
+    return tables.exp[255 - tables.log[a]];
+}
+
+
+/**
+ * Invert a matrix
+ *
+ * @param {[Uint8Array]} matrix - n rows of n field numbers, invertible
+ * @return {[Uint8Array]} inverse matrix
+ */
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => Uint8Array.from(row));
+    const inverse = a.map((row, i) => {
+        const unit = new Uint8Array(n);
+        unit[i] = 1;
+        return unit;
+    });
+    for (let col = 0; col < n; ++col) {
+        let pivot = col;
+        while (a[pivot][col] === 0) {
+            ++pivot;
+            assert.ok(pivot < n, 'Singular matrix');
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [inverse[col], inverse[pivot]] = [inverse[pivot], inverse[col]];
+
+        const factor = gInverse(a[col][col]);
+        for (let j = 0; j < n; ++j) {
+            a[col][j] = gMultiply(a[col][j], factor);
+            inverse[col][j] = gMultiply(inverse[col][j], factor);
+        }
+        for (let row = 0; row < n; ++row) {
+            const c = a[row][col];
+            if (row !== col && c !== 0) {
+                for (let j = 0; j < n; ++j) {
+                    a[row][j] ^= gMultiply(c, a[col][j]);
+                    inverse[row][j] ^= gMultiply(c, inverse[col][j]);
+                }
+            }
+        }
+    }
+    return inverse;
+}
+
+
+/**
+ * Create a coding context
+ *
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @return {Object} context, shareable between concurrent operations
+ */
+function create(k, m) {
+    assert.ok(k >= 1 && k <= MAX_K);
+    assert.ok(m >= 1 && m <= MAX_M);
+    // Generator matrix: identity, then Cauchy rows
+    const generator = [];
+    for (let i = 0; i < k; ++i) {
+        const row = new Uint8Array(k);
+        row[i] = 1;
+        generator.push(row);
+    }
+    for (let j = 0; j < m; ++j) {
+        const row = new Uint8Array(k);
+        for (let i = 0; i < k; ++i) {
+            row[i] = gInverse((k + j) ^ i);
+        }
+        generator.push(row);
+    }
+    return { k, m, generator, rows: new Map() };
+}
+
+
+/**
+ * Coefficients giving target parts from source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {[Number]} sourceIndex - Indexes of the k source parts
+ * @param {[Number]} targetIndex - Indexes of the target parts
+ * @return {[Uint8Array]} per target, k coefficients of source parts
+ */
+function getRows(context, sourceIndex, targetIndex) {
+    const key = `${sourceIndex}/${targetIndex}`;
+    const cached = context.rows.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    // Data parts from sources, then targets from data parts
+    const decoding = invertMatrix(
+        sourceIndex.map(i => context.generator[i]));
+    const rows = targetIndex.map(t => {
+        const row = new Uint8Array(context.k);
+        const coefficients = context.generator[t];
+        for (let i = 0; i < context.k; ++i) {
+            const c = coefficients[i];
+            if (c !== 0) {
+                for (let r = 0; r < context.k; ++r) {
+                    row[r] ^= gMultiply(c, decoding[i][r]);
+                }
+            }
+        }
+        return row;
+    });
+
+    if (context.rows.size >= MAX_CACHED_ROWS) {
+        context.rows.clear();
+    }
+    context.rows.set(key, rows);
+    return rows;
+}
+
+
+/**
+ * Add a multiple of source bytes to target bytes
+ *
+ * @param {Uint8Array} source - Bytes to multiply
+ * @param {Number} c - Field number to multiply with, not 0
+ * @param {Uint8Array} target - Bytes updated in place, same length
+ * @return {undefined}
+ */
+function multiplyInto(source, c, target) {
+    if (c === 1) {
+        xorInto(source, target);
+        return;
+    }
+    const mul = tables.mul.subarray(c << 8, (c + 1) << 8);
+    /* eslint-disable no-param-reassign */
+    for (let b = 0; b < source.length; ++b) {
+        target[b] ^= mul[source[b]];
+    }
+    /* eslint-enable no-param-reassign */
+}
+
+
+/**
+ * Compute target parts of a stripe from source parts
+ *
+ * @param {Object} context - Coding context (see create)
+ * @param {Number|BigInt} sources - Bitfield, parts to use as input, at
+ *                                  least k (lowest k ones are used)
+ * @param {Number|BigInt} targets - Bitfield, parts to compute
+ * @param {Buffer} dataBuffer - k data parts
+ * @param {Buffer} parityBuffer - m parity parts
+ * @param {Function} callback - Called once encoded: (Error|null) -> ?
+ * @return {undefined}
+ */
+function encode(context, sources, targets, dataBuffer, parityBuffer,
+                callback) {
+    const { k, m } = context;
+    const shardSize = dataBuffer.length / k;
+    assert.ok(Number.isInteger(shardSize));
+    assert.strictEqual(parityBuffer.length, m * shardSize);
+    assert.strictEqual(sources & targets, sources ^ sources);
+    const sourceIndex = bitIndexes(sources).slice(0, k);
+    const targetIndex = bitIndexes(targets);
+    assert.strictEqual(sourceIndex.length, k);
+    assert.ok(targetIndex.every(i => i < k + m));
+    const part = i => {
+        const offset = (i < k ? i : i - k) * shardSize;
+        return (i < k ? dataBuffer : parityBuffer).subarray(
+            offset, offset + shardSize);
+    };
+
+    // Asynchronous, as native coding
+    setImmediate(() => {
+        const rows = getRows(context, sourceIndex, targetIndex);
+        targetIndex.forEach((t, j) => {
+            const target = part(t);
+            target.fill(0);
+            sourceIndex.forEach((s, r) => {
+                if (rows[j][r] !== 0) {
+                    multiplyInto(part(s), rows[j][r], target);
+                }
+            });
+        });
+        callback(null);
+    });
+}
+
+
+module.exports = {
+    MAX_K,
+    MAX_M,
+    create,
+    encode,
+};
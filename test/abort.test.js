@@ -0,0 +1,239 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+/* global AbortController */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, streamMe } = require('./utils');
+
+
+/**
+ * Stream the beginning of a buffer, then stall
+ *
+ * @param {Buffer} buffer - Content to stream
+ * @param {Number} length - Bytes to stream
+ * @return {stream.Readable} readable stream, never ending
+ */
+function stallingStream(buffer, length) {
+    const s = new stream.PassThrough();
+    s.write(buffer.slice(0, length));
+    return s;
+}
+
+
+/* AbortController with abort reasons: Node.js 16.14 or later */
+const nativeAbort = typeof AbortController === 'function' &&
+      'reason' in new AbortController().signal;
+
+/**
+ * Controller of an abort signal, stubbed on older Node.js versions
+ *
+ * @return {Object} controller, with signal and abort method
+ */
+function abortController() {
+    if (nativeAbort) {
+        return new AbortController();
+    }
+    const signal = new EventEmitter();
+    signal.aborted = false;
+    signal.reason = undefined;
+    signal.addEventListener = signal.on;
+    signal.removeEventListener = signal.removeListener;
+    return {
+        signal,
+        abort(reason = new Error('This operation was aborted')) {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                signal.reason = reason;
+                signal.emit('abort');
+            }
+        },
+    };
+}
+
+
+mocha.describe('Abort test suite', function () {
+    const k = 3;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(8 * k * stripeSize + 5);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Abort decoding with a signal', function (done) {
+        const controller = abortController();
+        const streams = fragments.map(f => stallingStream(f, 3 * stripeSize));
+        const ostream = new stream.PassThrough();
+        let errors = 0;
+        ostream.on('error', () => errors++);
+        ostream.resume();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { signal: controller.signal });
+        decoder.promise().then(() => assert.fail('Unreachable'), err => {
+            assert.ok(err instanceof ecstream.AbortError);
+            assert.strictEqual(err.name, 'AbortError');
+            assert.strictEqual(err.cause, 'Client left');
+            assert.strictEqual(decoder.processedStripe, 3);
+            assert.ok(streams.every(s => s.destroyed));
+            assert.ok(ostream.destroyed);
+            setImmediate(() => {
+                assert.strictEqual(errors, 1);
+                done();
+            });
+        }).catch(done);
+        setTimeout(() => controller.abort('Client left'), 20);
+    });
+
+    mocha.it('Signal aborted before start', function (done) {
+        const controller = abortController();
+        controller.abort();
+        const streams = fragments.map(f => streamMe(f));
+        ecstream.decodeAsync(
+            new stream.PassThrough(), content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { signal: controller.signal })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.code, 'ABORT_ERR');
+                assert.strictEqual(err.cause, controller.signal.reason);
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Wait for stripes in flight', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const ostream = new stream.PassThrough();
+        let output = 0;
+        ostream.on('data', chunk => {
+            output += chunk.length;
+        });
+        ostream.on('error', () => {});
+        const decoder = ecstream.decode(
+            ostream, content.length, [null, ...streams.slice(1, k)], streams.slice(k), stripeSize,
+            { concurrency: 2 });
+        const encodeMethodBackup = decoder.encode;
+        decoder.encode = (dispatcher, stripe) => {
+            if (stripe.index === 2) {
+                decoder.abort();
+                assert.strictEqual(decoder.inputError, undefined);
+                assert.strictEqual(decoder.inFlight.length, 2);
+            }
+            encodeMethodBackup.call(decoder, dispatcher, stripe);
+        };
+        decoder.promise().then(() => assert.fail('Unreachable'), err => {
+            assert.ok(err instanceof ecstream.AbortError);
+            assert.strictEqual(decoder.inFlight.length, 0);
+            // Stripe 2 was never dispatched
+            assert.ok(output <= 2 * k * stripeSize);
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Release streams', function (done) {
+        const streams = fragments.map(f => stallingStream(f, 2 * stripeSize));
+        const ostream = new stream.PassThrough();
+        ostream.resume();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { abortPolicy: 'release' });
+        decoder.promise().then(() => assert.fail('Unreachable'), err => {
+            assert.ok(err instanceof ecstream.AbortError);
+            streams.forEach(s => {
+                assert.ok(!s.destroyed);
+                assert.strictEqual(s.listenerCount('readable'), 0);
+                assert.strictEqual(s.listenerCount('end'), 0);
+            });
+            assert.ok(!ostream.destroyed && !ostream._writableState.ended);
+            done();
+        }).catch(done);
+        setTimeout(() => decoder.abort(), 20);
+    });
+
+    mocha.it('Abort encoding and repair', function (done) {
+        const input = stallingStream(content, 4 * k * stripeSize);
+        const ostreams = fragments.map(() => new stream.PassThrough());
+        ostreams.forEach(s => s.resume());
+        const encoder = ecstream.encode(input, content.length, ostreams.slice(0, k), ostreams.slice(k), stripeSize);
+
+        const istreams = fragments.map(f => stallingStream(f, 3 * stripeSize));
+        istreams[0] = null;
+        const repaired = Array(k + m);
+        repaired[0] = new stream.PassThrough();
+        repaired[0].resume();
+        const repairer = ecstream.repair(k, m, istreams, repaired, content.length, stripeSize);
+
+        Promise.all([encoder, repairer].map(context => context.promise().then(
+            () => assert.fail('Unreachable'), err => {
+                assert.ok(err instanceof ecstream.AbortError);
+                // Only once
+                context.abort();
+                assert.strictEqual(context.inputError, err);
+            })))
+            .then(() => {
+                assert.ok(input.destroyed);
+                done();
+            }).catch(done);
+        setTimeout(() => {
+            encoder.abort();
+            repairer.abort();
+        }, 20);
+    });
+
+    mocha.it('Abort after completion does nothing', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const ostream = new stream.PassThrough();
+        let errors = 0;
+        ostream.on('error', () => errors++);
+        ostream.resume();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize);
+        decoder.promise().then(() => {
+            decoder.abort();
+            assert.strictEqual(decoder.aborted, null);
+            setImmediate(() => {
+                assert.strictEqual(errors, 0);
+                done();
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Release pooled buffers', function (done) {
+        const pool = new ecstream.BufferPool();
+        const streams = fragments.map(f => stallingStream(f, 2 * stripeSize));
+        const ostream = new stream.PassThrough();
+        ostream.on('error', () => {});
+        ostream.resume();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { bufferPool: pool });
+        decoder.promise().then(() => assert.fail('Unreachable'), err => {
+            assert.ok(err instanceof ecstream.AbortError);
+            // Data and parity buffers of every stripe are back
+            assert.strictEqual(pool.idleBytes, pool.allocated / 2 * (k + m) * stripeSize);
+            done();
+        }).catch(done);
+        setTimeout(() => decoder.abort(), 20);
+    });
+
+    mocha.it('Abort verification', function (done) {
+        const controller = abortController();
+        const streams = fragments.map(f => stallingStream(f, stripeSize));
+        ecstream.verify(k, m, streams, content.length, stripeSize, { signal: controller.signal }, err => {
+            assert.ok(err instanceof ecstream.AbortError);
+            done();
+        });
+        setTimeout(() => controller.abort(), 20);
+    });
+});
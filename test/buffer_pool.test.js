@@ -0,0 +1,139 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, streamMe } = require('./utils');
+
+
+/**
+ * Writable stream copying everything written
+ *
+ * Written chunks are done with once write callback is called,
+ * as expected when using a buffer pool.
+ *
+ * @return {stream.Writable} stream, with written copies in 'buffers'
+ */
+function copier() {
+    const buffers = [];
+    const s = new stream.Writable({
+        write(chunk, encoding, callback) {
+            buffers.push(Buffer.from(chunk));
+            setImmediate(callback);
+        },
+    });
+    s.buffers = buffers;
+    return s;
+}
+
+
+mocha.describe('Buffer pool test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(10 * k * stripeSize + 300);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Reuse released buffers by size', function (done) {
+        const pool = new ecstream.BufferPool({ maxBytes: 3000 });
+        const first = pool.acquire(1000);
+        const second = pool.acquire(2000);
+        pool.release(first);
+        pool.release(second);
+        assert.strictEqual(pool.idleBytes, 3000);
+        assert.strictEqual(pool.acquire(2000), second);
+        assert.strictEqual(pool.acquire(1000), first);
+        assert.notStrictEqual(pool.acquire(1000), first);
+        assert.strictEqual(pool.allocated, 3);
+        assert.strictEqual(pool.reused, 2);
+        assert.strictEqual(pool.idleBytes, 0);
+
+        // Unknown buffers are left alone, released ones only once
+        pool.release(Buffer.alloc(1000));
+        assert.strictEqual(pool.idleBytes, 0);
+        pool.release(first);
+        assert.throws(() => pool.release(first), /Buffer released twice/);
+
+        // Beyond maxBytes, buffers are dropped
+        pool.release(second);
+        pool.release(pool.acquire(1000));
+        assert.strictEqual(pool.idleBytes, 3000);
+        pool.release(pool.acquire(500));
+        assert.strictEqual(pool.idleBytes, 3000);
+        pool.clear();
+        assert.strictEqual(pool.idleBytes, 0);
+        done();
+    });
+
+    mocha.it('Encode and decode with a pool', function (done) {
+        const pool = new ecstream.BufferPool();
+        const options = { concurrency: 3, bufferPool: pool };
+        const ostreams = fragments.map(() => copier());
+        ecstream.encodeAsync(streamMe(content, 1000), content.length,
+                             ostreams.slice(0, k), ostreams.slice(k), stripeSize, options)
+            .then(() => {
+                ostreams.forEach((s, i) => assert.ok(Buffer.concat(s.buffers).equals(fragments[i])));
+                const output = copier();
+                const streams = fragments.map(f => streamMe(f, 700));
+                streams[2] = null;
+                return ecstream.decodeAsync(output, content.length,
+                                            streams.slice(0, k), streams.slice(k), stripeSize, options)
+                    .then(() => output);
+            })
+            .then(output => {
+                assert.ok(Buffer.concat(output.buffers).equals(content));
+                // At most concurrency + 1 stripes allocated per context
+                assert.ok(pool.allocated <= 2 * 2 * (options.concurrency + 1));
+                assert.ok(pool.reused >= 11);
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Share pool between contexts', function (done) {
+        const pool = ecstream.sharedBufferPool;
+        pool.clear();
+        const repaired = fragments.map(() => null);
+        repaired[1] = copier();
+        repaired[5] = copier();
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[1] = null;
+        istreams[5] = null;
+        const output = copier();
+        Promise.all([
+            ecstream.repairAsync(k, m, istreams, repaired, content.length, stripeSize, { bufferPool: true }),
+            ecstream.decodeRangeAsync(output, 1000, 15000, content.length,
+                                      fragments.slice(0, k).map(f => streamMe(f)), [null, null], stripeSize,
+                                      { bufferPool: true }),
+        ]).then(() => {
+            assert.ok(repaired[1].buffers.length > 0);
+            assert.ok(Buffer.concat(repaired[1].buffers).equals(fragments[1]));
+            assert.ok(Buffer.concat(repaired[5].buffers).equals(fragments[5]));
+            assert.ok(Buffer.concat(output.buffers).equals(content.slice(1000, 16000)));
+            assert.ok(pool.idleBytes > 0);
+            pool.clear();
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Refuse pool with pass-through outputs', function () {
+        const options = { bufferPool: true };
+        const error = /Buffer pools can not be used with stream classes/;
+        assert.throws(() => new ecstream.EncodeStream(k, m, content.length, stripeSize, options), error);
+        assert.throws(() => new ecstream.DecodeStream(content.length, [null, null, null, null], [null, null], stripeSize, options), error);
+        assert.throws(() => ecstream.encodeWeb(streamMe(content), content.length, k, m, stripeSize, options), error);
+        assert.throws(() => ecstream.repairWeb(k, m, fragments.map(() => null), content.length, stripeSize, options), error);
+    });
+});
@@ -0,0 +1,166 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { crc32c, CHECKSUM_SIZE } = require('../lib/crc32c');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+/**
+ * Flip a bit of a fragment chunk
+ *
+ * @param {Buffer} fragment - Fragment to corrupt (copied)
+ * @param {Number} offset - Byte offset to corrupt
+ * @return {Buffer} corrupted fragment
+ */
+function corrupt(fragment, offset) {
+    const corrupted = Buffer.from(fragment);
+    corrupted[offset] ^= 0x10;
+    return corrupted;
+}
+
+
+mocha.describe('Per-stripe checksum test suite', function () {
+    const stripeSize = 1024;
+    const chunkSize = stripeSize + CHECKSUM_SIZE;
+    const content = crypto.randomBytes(3 * 2 * stripeSize + 100);
+
+    mocha.it('CRC32C check value', function () {
+        assert.strictEqual(crc32c(Buffer.from('123456789')), 0xE3069283);
+        assert.strictEqual(crc32c(Buffer.alloc(0)), 0);
+    });
+
+    mocha.it('Encode appends checksum to every chunk', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { checksum: true }).then(fragments => {
+            fragments.forEach(fragment => {
+                assert.strictEqual(fragment.length, 4 * chunkSize);
+                for (let c = 0; c < 4; ++c) {
+                    const chunk = fragment.slice(c * chunkSize, (c + 1) * chunkSize);
+                    assert.strictEqual(chunk.readUInt32BE(stripeSize),
+                                       crc32c(chunk.slice(0, stripeSize)));
+                }
+            });
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Corrupted chunk is replaced by spare part', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { checksum: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const decoder = ecstream.decode(
+                ostream, content.length,
+                [streamMe(corrupt(fragments[0], chunkSize + 7)), streamMe(fragments[1])],
+                [streamMe(fragments[2])],
+                stripeSize, { checksum: true });
+            assert.strictEqual(decoder.spares, 4);
+            checkOutStream(ostream, 0, content, err => {
+                assert.deepStrictEqual(decoder.checksumErrors, [{ stripe: 1, index: 0 }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Corrupted checksum itself is detected', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { checksum: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const decoder = ecstream.decode(
+                ostream, content.length,
+                [streamMe(fragments[0]), streamMe(corrupt(fragments[1], 3 * chunkSize - 1))],
+                [streamMe(fragments[2])],
+                stripeSize, { checksum: true });
+            checkOutStream(ostream, 0, content, err => {
+                assert.deepStrictEqual(decoder.checksumErrors, [{ stripe: 2, index: 1 }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Corrupted chunk without spare fails decoding', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { checksum: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            ostream.on('data', () => {});
+            ostream.once('error', err => {
+                assert.strictEqual(err.message, 'Not enough valid parts for stripe 2: 1 < 2');
+                done();
+            });
+            ecstream.decode(
+                ostream, content.length,
+                [streamMe(corrupt(fragments[0], 2 * chunkSize)), null],
+                [streamMe(fragments[2])],
+                stripeSize, { checksum: true });
+        }).catch(done);
+    });
+
+    mocha.it('Repair from corrupted fragment (with header)', function (done) {
+        const options = { header: true, checksum: true };
+        bufferEncodedObject(content, 4, 2, 256, options).then(fragments => {
+            const ostreams = Array(6);
+            ostreams[5] = new stream.PassThrough();
+            const istreams = fragments.map(f => streamMe(f));
+            istreams[1] = streamMe(corrupt(fragments[1], ecstream.HEADER_SIZE + 256 + CHECKSUM_SIZE + 12));
+            istreams[5] = null;
+            const repairer = ecstream.repair(
+                4, 2, istreams, ostreams, null, null, options);
+            checkOutStream(ostreams[5], 5, fragments[5], err => {
+                assert.deepStrictEqual(repairer.checksumErrors, [{ stripe: 1, index: 1 }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Decode with header replaces corrupted chunk by spare part', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { header: true, checksum: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const decoder = ecstream.decode(
+                ostream, null,
+                [streamMe(corrupt(fragments[0], ecstream.HEADER_SIZE + 5)), streamMe(fragments[1])],
+                [streamMe(fragments[2])],
+                null, { header: true });
+            assert.strictEqual(decoder.spares, 0);
+            checkOutStream(ostream, 0, content, err => {
+                assert.strictEqual(decoder.spares, 4);
+                assert.deepStrictEqual(decoder.checksumErrors, [{ stripe: 0, index: 0 }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Decode with header reads no spare without checksums', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { header: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const parity = streamMe(fragments[2]);
+            const decoder = ecstream.decode(
+                ostream, null, [streamMe(fragments[0]), streamMe(fragments[1])], [parity],
+                null, { header: true });
+            checkOutStream(ostream, 0, content, err => {
+                assert.strictEqual(decoder.checksum, false);
+                assert.strictEqual(decoder.spares, 0);
+                // Consumed as any unused part
+                assert.strictEqual(parity.readableFlowing, true);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Decode with header verifies checksums', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize, { header: true, checksum: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const decoder = ecstream.decode(
+                ostream, null,
+                [streamMe(fragments[0]), null], [streamMe(fragments[2])],
+                null, { header: true });
+            checkOutStream(ostream, 0, content, err => {
+                assert.strictEqual(decoder.checksum, true);
+                assert.strictEqual(decoder.spares, 0);
+                done(err);
+            });
+        }).catch(done);
+    });
+});
@@ -0,0 +1,162 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cli = require('../lib/cli');
+const { collector, removeTree, streamMe } = require('./utils');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ecstream');
+
+
+/**
+ * Run the command-line tool in process
+ *
+ * @param {[String]} argv - Arguments
+ * @param {Buffer} [input] - Standard input content
+ * @return {Promise} resolved with { code, stdout, stderr }
+ */
+function run(argv, input = Buffer.alloc(0)) {
+    const io = { stdin: streamMe(input), stdout: collector(), stderr: collector() };
+    return cli.main(argv, io).then(code => ({
+        code,
+        stdout: Buffer.concat(io.stdout.chunks),
+        stderr: Buffer.concat(io.stderr.chunks).toString(),
+    }));
+}
+
+
+mocha.describe('Command-line tool test suite', function () {
+    const content = crypto.randomBytes(3 * 4 * 1024 + 123);
+    let directory = null;
+    let object = null;
+
+    mocha.beforeEach(function (done) {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ecstream-'));
+        object = path.join(directory, 'object');
+        fs.writeFileSync(path.join(directory, 'in.bin'), content);
+        done();
+    });
+
+    mocha.afterEach(function (done) {
+        removeTree(directory);
+        done();
+    });
+
+    mocha.it('Encode, check, repair and decode files', function (done) {
+        const input = path.join(directory, 'in.bin');
+        const output = path.join(directory, 'out.bin');
+        run(['encode', '--k', '4', '--m=2', '--stripe-size', '1k', '--header', '--progress', input, `${object}/`])
+            .then(({ code, stderr }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                assert.ok(/encode: 12411 bytes \(100%\)\n/.test(stderr));
+                assert.ok(stderr.endsWith(`Encoded 12411 bytes into ${object}/: reed-solomon 4+2, stripe size 1024, 4128 bytes per fragment\n`));
+                fs.unlinkSync(path.join(object, 'fragment-3'));
+                return Promise.all([run(['info', object]), run(['verify', object])]);
+            })
+            .then(([info, verify]) => {
+                assert.strictEqual(info.code, cli.EXIT_SUCCESS);
+                assert.ok(info.stdout.toString().includes('health: damaged, recoverable\nmissing fragments: 3\n'));
+                assert.strictEqual(verify.code, cli.EXIT_DAMAGED);
+                assert.ok(verify.stdout.toString().startsWith(`${object}: damaged, 4 of 4 stripes checked\nmissing fragments: 3\n`));
+                return run(['repair', '--missing', '1', object]);
+            })
+            .then(({ code, stderr }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                assert.strictEqual(stderr, `Repaired fragments of ${object}: 1, 3\n`);
+                return run(['verify', '--json', object]);
+            })
+            .then(({ code, stdout }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                assert.ok(JSON.parse(stdout).healthy);
+                return run(['decode', object, output]);
+            })
+            .then(({ code, stderr }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                assert.strictEqual(stderr, `Decoded 12411 bytes from ${object}\n`);
+                assert.ok(fs.readFileSync(output).equals(content));
+                [0, 1, 2].forEach(i => fs.unlinkSync(path.join(object, `fragment-${i}`)));
+                return Promise.all([run(['verify', object]), run(['decode', object, output])]);
+            })
+            .then(([verify, decode]) => {
+                assert.strictEqual(verify.code, cli.EXIT_UNRECOVERABLE);
+                assert.strictEqual(verify.stderr, 'ecstream: Not enough parts for verifying: 3 < 4\n');
+                assert.strictEqual(decode.code, cli.EXIT_FAILURE);
+                assert.strictEqual(decode.stderr, 'ecstream: Not enough parts for decoding: 3 < 4\n');
+                done();
+            })
+            .catch(done);
+    });
+
+    mocha.it('Pipe standard input and output', function (done) {
+        run(['encode', '--k', '3', '--m', '2', '--codec', 'lrc-1', '--checksum', '-', object], content)
+            .then(({ code }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                const manifest = JSON.parse(fs.readFileSync(path.join(object, 'manifest.json')));
+                assert.strictEqual(manifest.codec, 'lrc-1');
+                assert.strictEqual(manifest.stripeSize, 64 * 1024);
+                return run(['decode', object, '-']);
+            })
+            .then(({ code, stdout }) => {
+                assert.strictEqual(code, cli.EXIT_SUCCESS);
+                assert.ok(stdout.equals(content));
+                // Exit codes and pipes of the actual executable
+                const decoded = childProcess.spawnSync(process.execPath, [BIN, 'decode', object, '-']);
+                assert.strictEqual(decoded.status, cli.EXIT_SUCCESS);
+                assert.ok(decoded.stdout.equals(content));
+                const verified = childProcess.spawnSync(process.execPath, [BIN, 'verify', object]);
+                assert.strictEqual(verified.status, cli.EXIT_SUCCESS);
+                done();
+            })
+            .catch(done);
+    });
+
+    mocha.it('Reject bad usage', function (done) {
+        assert.strictEqual(cli.parseSize('stripe-size', '64K'), 65536);
+        assert.strictEqual(cli.parseSize('size', '3m'), 3 * 1024 * 1024);
+        Promise.all([
+            run([]),
+            run(['unknown']),
+            run(['encode', '--k', '4', '-', object]),
+            run(['encode', '--k', '4', '--m', '2', '--stripe-size', '1x', '-', object]),
+            run(['encode', '--k', '40', '--m', '2', '-', object]),
+            run(['encode', '--k', '4', '--m', '2', '--header', '-', object]),
+            run(['encode', '--k', '4', '--m', '2', '--codec', 'nope', '-', object]),
+            run(['decode', object]),
+            run(['repair', '--missing', '1,a', object]),
+            run(['info', '--bogus', object]),
+        ])
+            .then(results => {
+                assert.deepStrictEqual(results.map(({ stderr }) => stderr.split('\n')[0]), [
+                    'ecstream: Missing command',
+                    'ecstream: Unknown command: unknown',
+                    'ecstream: Missing --k or --m',
+                    'ecstream: Invalid --stripe-size: 1x',
+                    'ecstream: Codec reed-solomon supports up to 24 data and 6 parity fragments',
+                    'ecstream: --header needs --size with standard input',
+                    'ecstream: Unknown manifest codec: nope',
+                    'ecstream: Expected object directory and output',
+                    'ecstream: Invalid --missing: 1,a',
+                    'ecstream: Unknown option: --bogus',
+                ]);
+                assert.ok(results.every(({ code }) => code === cli.EXIT_USAGE));
+                assert.ok(!fs.existsSync(object));
+                return Promise.all([run(['--help']), run(['info', object])]);
+            })
+            .then(([help, info]) => {
+                assert.strictEqual(help.code, cli.EXIT_SUCCESS);
+                assert.ok(help.stdout.toString().startsWith('Usage: ecstream'));
+                assert.strictEqual(info.code, cli.EXIT_FAILURE);
+                done();
+            })
+            .catch(done);
+    });
+});
@@ -0,0 +1,132 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, encodeToBuffers, streamMe } = require('./utils');
+
+
+/**
+ * Single parity codec: parity part is the XOR of data parts,
+ * any missing part is the XOR of the others
+ */
+const xorCodec = {
+    name: 'xor',
+    maxK: 16,
+    maxM: 1,
+    alignment: 1,
+
+    create(k, m) {
+        return { k, m };
+    },
+
+    encode(context, sources, targets, dataBuffer, parityBuffer, callback) {
+        const n = context.k + context.m;
+        const partSize = dataBuffer.length / context.k;
+        const part = i => (i < context.k ?
+            dataBuffer.slice(i * partSize, (i + 1) * partSize) :
+            parityBuffer.slice(0, partSize));
+        for (let t = 0; t < n; ++t) {
+            if ((targets & (1 << t)) !== 0) {
+                const target = part(t);
+                target.fill(0);
+                for (let s = 0; s < n; ++s) {
+                    if ((sources & (1 << s)) !== 0) {
+                        const source = part(s);
+                        for (let b = 0; b < partSize; ++b) {
+                            target[b] ^= source[b];
+                        }
+                    }
+                }
+            }
+        }
+        setImmediate(callback, null);
+    },
+};
+
+
+mocha.describe('Codec backend test suite', function () {
+    const content = crypto.randomBytes(20000);
+
+    mocha.it('Delegate to default codec', function (done) {
+        const k = 4;
+        const m = 2;
+        let calls = 0;
+        const counting = Object.assign({}, ecstream.reedSolomonCodec, {
+            encode(...args) {
+                calls++;
+                return ecstream.reedSolomonCodec.encode(...args);
+            },
+        });
+        Promise.all([
+            bufferEncodedObject(content, k, m, 1000),
+            encodeToBuffers(content, k, m, 1000, { codec: counting }),
+        ]).then(([expected, { context, fragments }]) => {
+            assert.strictEqual(context.codec, counting);
+            assert.strictEqual(calls, context.nStripe);
+            fragments.forEach((f, i) => assert.ok(f.equals(expected[i])));
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Single parity codec round trip', function (done) {
+        const k = 5;
+        encodeToBuffers(content, k, 1, 333, { codec: xorCodec })
+            .then(({ context, fragments }) => {
+                // No alignment constraint
+                assert.strictEqual(context.stripeSize, 333);
+                const output = collector();
+                const streams = fragments.map(f => streamMe(f));
+                streams[2] = null;
+                return ecstream.decodeAsync(output, content.length, streams.slice(0, k), streams.slice(k), 333,
+                                            { codec: xorCodec })
+                    .then(() => assert.ok(Buffer.concat(output.chunks).equals(content)));
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Stripe size alignment', function (done) {
+        const aligned = Object.assign({}, ecstream.reedSolomonCodec, { alignment: 64 });
+        assert.strictEqual(ecstream.safeStripeSize(4, 100), 104);
+        assert.strictEqual(ecstream.safeStripeSize(4, 100, aligned), 128);
+        encodeToBuffers(content, 4, 2, 100, { codec: aligned })
+            .then(({ context, fragments }) => {
+                assert.strictEqual(context.stripeSize, 128);
+                assert.strictEqual(fragments[0].length, 128 * Math.ceil(content.length / (4 * 128)));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Codec limits', function (done) {
+        assert.throws(() => ecstream.encode(
+            streamMe(content), content.length,
+            [...Array(3).keys()].map(() => new stream.PassThrough()),
+            [new stream.PassThrough(), new stream.PassThrough()],
+            1000, { codec: xorCodec }), assert.AssertionError);
+        assert.throws(() => ecstream.encode(
+            streamMe(content), content.length,
+            [new stream.PassThrough()], [new stream.PassThrough()],
+            1000, { codec: { name: 'incomplete' } }), assert.AssertionError);
+        done();
+    });
+
+    mocha.it('Codec failure', function (done) {
+        const failing = Object.assign({}, xorCodec, {
+            encode(context, sources, targets, dataBuffer, parityBuffer, callback) {
+                setImmediate(callback, new Error('Codec failure'));
+            },
+        });
+        encodeToBuffers(content, 2, 1, 1000, { codec: failing })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Codec failure');
+                done();
+            }).catch(done);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+mocha.describe('Concurrent stripes test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(9 * k * stripeSize + 17);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Bad concurrency', function () {
+        assert.throws(() => ecstream.encode(
+            streamMe(content), content.length, [new stream.PassThrough()],
+            [new stream.PassThrough()], stripeSize, { concurrency: 0 }),
+                      assert.AssertionError);
+    });
+
+    mocha.it('Encode with stripes in flight', function (done) {
+        bufferEncodedObject(content, k, m, stripeSize, { concurrency: 4 }).then(encoded => {
+            encoded.forEach((f, i) => assert.ok(f.equals(fragments[i])));
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Dispatch in order stripes encoded out of order', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const ostream = new stream.PassThrough();
+        let maxInFlight = 0;
+        const decoder = ecstream.decode(
+            ostream, content.length, [null, ...streams.slice(1, k)],
+            streams.slice(k), stripeSize, { concurrency: 3 });
+        checkOutStream(ostream, 0, content, err => {
+            assert.strictEqual(maxInFlight, 3);
+            done(err);
+        });
+
+        const encodeMethodBackup = decoder.encode;
+        decoder.encode = (dispatcher, stripe) => {
+            maxInFlight = Math.max(maxInFlight, decoder.inFlight.length);
+            // Later stripes of a batch finish encoding first
+            setTimeout(() => encodeMethodBackup.call(decoder, dispatcher, stripe),
+                       30 - 10 * (stripe.index % 3));
+        };
+    });
+
+    mocha.it('Repair with stripes in flight', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[1] = null;
+        const ostreams = Array(k + m);
+        ostreams[1] = new stream.PassThrough();
+        ecstream.repair(k, m, istreams, ostreams, content.length, stripeSize,
+                        { concurrency: 8 });
+        checkOutStream(ostreams[1], 1, fragments[1], done);
+    });
+
+    mocha.it('Verify with stripes in flight', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        const corrupted = Buffer.from(fragments[3]);
+        corrupted[7 * stripeSize + 5] ^= 0x10;
+        istreams[3] = streamMe(corrupted);
+        ecstream.verify(k, m, istreams, content.length, stripeSize, { concurrency: 4 }, (err, report) => {
+            assert.ifError(err);
+            assert.strictEqual(report.checkedStripes, 10);
+            assert.deepStrictEqual(report.mismatches, [
+                { stripe: 7, parts: [4, 5], corrupted: 3 },
+            ]);
+            done();
+        });
+    });
+});
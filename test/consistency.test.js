@@ -0,0 +1,101 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { lowestBits, popCount } = require('../lib/bitfield');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+/**
+ * Decode fragments with verification
+ *
+ * @param {[Buffer]} fragments - Fragments, null if missing
+ * @param {Number} k - Number of data parts
+ * @param {Number} size - Object size
+ * @param {Number} stripeSize - Stripe size
+ * @param {Buffer} expected - Expected decoded content
+ * @param {Function} callback - (Error|null, DencodeContext) -> ?
+ * @return {undefined}
+ */
+function verifiedDecode(fragments, k, size, stripeSize, expected, callback) {
+    const streams = fragments.map(f => (f ? streamMe(f) : null));
+    const ostream = new stream.PassThrough();
+    const decoder = ecstream.decode(
+        ostream, size, streams.slice(0, k), streams.slice(k), stripeSize,
+        { verify: true });
+    checkOutStream(ostream, 0, expected, err => callback(err, decoder));
+}
+
+
+mocha.describe('Stripe consistency test suite', function () {
+    const stripeSize = 512;
+    const content = crypto.randomBytes(3 * 4 * stripeSize + 5);
+
+    mocha.it('Bitfield helpers', function () {
+        assert.strictEqual(popCount(0), 0);
+        assert.strictEqual(popCount(0b101101), 4);
+        assert.strictEqual(lowestBits(0b101101, 2), 0b101);
+        assert.strictEqual(lowestBits(0b101101, 9), 0b101101);
+    });
+
+    mocha.it('Consistent fragments', function (done) {
+        bufferEncodedObject(content, 4, 2, stripeSize).then(fragments => {
+            verifiedDecode(fragments, 4, content.length, stripeSize, content, (err, decoder) => {
+                assert.strictEqual(decoder.spares, 16 + 32);
+                assert.deepStrictEqual(decoder.corruptions, []);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    [0, 2, 5].forEach(index => {
+        mocha.it(`Locate corrupted fragment ${index}`, function (done) {
+            bufferEncodedObject(content, 4, 2, stripeSize).then(fragments => {
+                fragments[index][stripeSize + 33] ^= 0x1; // eslint-disable-line no-param-reassign
+                verifiedDecode(fragments, 4, content.length, stripeSize, content, (err, decoder) => {
+                    assert.deepStrictEqual(decoder.corruptions, [{ stripe: 1, index }]);
+                    done(err);
+                });
+            }).catch(done);
+        });
+    });
+
+    mocha.it('Detect only with a single surplus fragment', function (done) {
+        bufferEncodedObject(content, 4, 2, stripeSize).then(fragments => {
+            fragments[5][2 * stripeSize] ^= 0x1; // eslint-disable-line no-param-reassign
+            fragments[1] = null; // eslint-disable-line no-param-reassign
+            verifiedDecode(fragments, 4, content.length, stripeSize, content, (err, decoder) => {
+                assert.deepStrictEqual(decoder.corruptions, [{ stripe: 2, index: null }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Repair excludes located corrupted fragment', function (done) {
+        bufferEncodedObject(content, 3, 3, stripeSize).then(fragments => {
+            const istreams = fragments.map(f => streamMe(f));
+            istreams[0] = streamMe(Buffer.concat([
+                fragments[0].slice(0, stripeSize),
+                Buffer.alloc(stripeSize, 0x42),
+                fragments[0].slice(2 * stripeSize),
+            ]));
+            istreams[2] = null;
+            const ostreams = Array(6);
+            ostreams[2] = new stream.PassThrough();
+            const repairer = ecstream.repair(
+                3, 3, istreams, ostreams, content.length, stripeSize,
+                { verify: true });
+            checkOutStream(ostreams[2], 2, fragments[2], err => {
+                assert.deepStrictEqual(repairer.corruptions, [{ stripe: 1, index: 0 }]);
+                done(err);
+            });
+        }).catch(done);
+    });
+});
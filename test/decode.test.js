@@ -146,6 +146,22 @@ mocha.describe('Erasure decoding test suite', function () {
         assert.strictEqual(decoder.targets, 1);
     });
 
+    mocha.it('Truncated part', function (done) {
+        const dataStream = streamMe(Buffer.alloc(512, 0x66));
+        const parityStream = streamMe(Buffer.alloc(256, 0x0));
+
+        const ostream = new stream.PassThrough();
+        ostream.resume();
+        const decoder = ecstream.decode(
+            ostream, 1024, [null, dataStream], [parityStream], 256);
+        ostream.once('error', err => {
+            assert.strictEqual(err.message,
+                               'Not enough valid parts for stripe 1: 1 < 2');
+            assert.deepStrictEqual(decoder.truncated, [{ stripe: 1, index: 2 }]);
+            done();
+        });
+    });
+
     mocha.it('Back pressure', function (done) {
         const dataStream = streamMe(Buffer.alloc(4096, 0x66));
         const parityStream = streamMe(Buffer.alloc(4096, 0x0));
@@ -6,9 +6,10 @@
 const assert = require('assert');
 const mocha = require('mocha');
 const stream = require('stream');
+const crypto = require('crypto');
 
 const ecstream = require('../index');
-const { checkOutStream, streamMe } = require('./utils');
+const { bufferEncodedObject, checkOutStream, collector, encodeToBuffers, streamMe } = require('./utils');
 
 
 mocha.describe('Erasure encoding test suite', function () {
@@ -161,6 +162,43 @@ mocha.describe('Erasure encoding test suite', function () {
             256);
     });
 
+    [
+        ['empty input', 0],
+        ['partial last stripe', 5 * 3 * 256 + 100],
+        ['whole stripes', 4 * 3 * 256],
+    ].forEach(([name, length]) => {
+        mocha.it(`Input of unknown length, ${name}`, function (done) {
+            const content = crypto.randomBytes(length);
+            Promise.all([
+                encodeToBuffers(content, 3, 2, 256, { concurrency: 2 }, null),
+                bufferEncodedObject(content, 3, 2, 256),
+            ]).then(([encoded, expected]) => {
+                assert.strictEqual(encoded.context.size, length);
+                encoded.fragments.forEach((f, i) => assert.ok(f.equals(expected[i])));
+                done();
+            }).catch(done);
+        });
+    });
+
+    mocha.it('Unknown length needs no header', function () {
+        assert.throws(() => ecstream.encode(
+            streamMe(Buffer.alloc(10)), null, [new stream.PassThrough()],
+            [new stream.PassThrough()], 8, { header: true }),
+                      /Fragment headers need a known input size/);
+    });
+
+    mocha.it('Input shorter than given length', function (done) {
+        const ostreams = [0, 1, 2].map(() => new stream.PassThrough());
+        ecstream.encodeAsync(
+            streamMe(Buffer.alloc(1024, 0x1)), 4096, ostreams.slice(0, 2), ostreams.slice(2), 256)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Input stream ended too early: 1024 < 4096');
+                assert.strictEqual(err.streamIndex, 0);
+                done();
+            }).catch(done);
+        ostreams.forEach(s => s.resume());
+    });
+
     mocha.it('Input stream error', function (done) {
         const content = Buffer.concat([
             Buffer.alloc(1023, 0x1),
@@ -229,6 +267,28 @@ mocha.describe('Erasure encoding test suite', function () {
             128);
     });
 
+    mocha.it('Back pressure with header', function (done) {
+        const content = Buffer.alloc(3 * 2 * 128, 0x1);
+        const writes = [[], [], []];
+        // Slow outputs, each write fills them up
+        const outputs = writes.map(sizes => new stream.Writable({
+            highWaterMark: 128,
+            write(chunk, encoding, callback) {
+                sizes.push(chunk.length);
+                setTimeout(callback, 1);
+            },
+        }));
+        ecstream.encodeAsync(
+            streamMe(content), content.length, outputs.slice(0, 2), outputs.slice(2), 128,
+            { header: true })
+            .then(() => {
+                writes.forEach(sizes => assert.deepStrictEqual(
+                    sizes, [ecstream.HEADER_SIZE + 128, 128, 128]));
+                done();
+            })
+            .catch(done);
+    });
+
     mocha.it('Large stripe size', function (done) {
         const stripeSize = 1024 * 1024 * 8; // 8MB
         const content = Buffer.alloc(2 * stripeSize, 0x1);
@@ -261,4 +321,47 @@ mocha.describe('Erasure encoding test suite', function () {
             [data1, data2], [parity],
             stripeSize);
     });
+
+    [
+        ['Reed-Solomon', undefined],
+        ['LRC', ecstream.getLRCCodec(2)],
+    ].forEach(([name, codec]) => {
+        mocha.it(`Staged parity, ${name}`, function (done) {
+            const k = 4;
+            const m = 3;
+            const stripeSize = 512;
+            const options = { codec, header: true, checksum: true };
+            const content = crypto.randomBytes(5 * k * stripeSize + 7);
+            assert.throws(() => ecstream.encode(streamMe(content), content.length, [collector(), collector(), collector(), collector()],
+                                                [collector(), null, null], stripeSize, { digest: 'sha256' }),
+                          /Fragment digests need every parity output/);
+            // Data and one parity now, other parities later
+            const ostreams = [...Array(k + 1).keys()].map(() => collector());
+            Promise.all([
+                bufferEncodedObject(content, k, m, stripeSize, options),
+                ecstream.encodeAsync(streamMe(content, 1000), content.length, ostreams.slice(0, k), [null, ostreams[k], null],
+                                     stripeSize, options),
+            ])
+                .then(([expected, context]) => {
+                    assert.strictEqual(context.targets, 1 << (k + 1));
+                    // Headers hold a random object identifier
+                    const body = f => f.slice(ecstream.HEADER_SIZE);
+                    const fragments = ostreams.map(s => Buffer.concat(s.chunks));
+                    fragments.forEach((f, i) => assert.ok(body(f).equals(body(expected[i === k ? k + 1 : i]))));
+                    const parity = [collector(), null, collector()];
+                    assert.throws(() => ecstream.generateParity(context.manifest, fragments.slice(0, k).map(f => streamMe(f)), parity.slice(1)),
+                                  assert.AssertionError);
+                    return ecstream.generateParityAsync(context.manifest, fragments.slice(0, k).map(f => streamMe(f)), parity)
+                        .then(() => {
+                            // Same header, but the fragment index
+                            const header = Buffer.from(fragments[0].slice(0, ecstream.HEADER_SIZE)).fill(k, 7, 8);
+                            assert.ok(Buffer.concat(parity[0].chunks).slice(0, ecstream.HEADER_SIZE).equals(header));
+                            assert.ok(body(Buffer.concat(parity[0].chunks)).equals(body(expected[k])));
+                            assert.ok(body(Buffer.concat(parity[2].chunks)).equals(body(expected[k + 2])));
+                        });
+                })
+                .then(() => done())
+                .catch(done);
+        });
+    });
 });
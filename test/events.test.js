@@ -0,0 +1,131 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, streamMe } = require('./utils');
+
+
+/**
+ * Record every event of a context
+ *
+ * @param {DencodeContext} context - Context to listen to
+ * @return {Object} recorded events, per event name
+ */
+function recordEvents(context) {
+    const events = { stripe: [], progress: [], stall: [], finish: 0, error: [] };
+    context.on('stripe', e => events.stripe.push(e));
+    context.on('progress', e => events.progress.push(e));
+    context.on('stall', e => events.stall.push(e));
+    context.on('finish', () => events.finish++);
+    context.on('error', err => events.error.push(err));
+    return events;
+}
+
+
+mocha.describe('Context events test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 256;
+    const content = crypto.randomBytes(6 * k * stripeSize + 100);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Encoding events', function (done) {
+        const ostreams = fragments.map(() => new stream.PassThrough());
+        ostreams.forEach(s => s.resume());
+        const encoder = ecstream.encode(streamMe(content), content.length,
+                                        ostreams.slice(0, k), ostreams.slice(k), stripeSize,
+                                        { concurrency: 3 });
+        const events = recordEvents(encoder);
+        encoder.promise().then(() => {
+            assert.deepStrictEqual(events.stripe.map(e => e.index), [0, 1, 2, 3, 4, 5, 6]);
+            assert.deepStrictEqual(events.stripe.map(e => e.bytes), [1024, 1024, 1024, 1024, 1024, 1024, 100]);
+            events.stripe.forEach(e => assert.ok(e.duration >= 0));
+            assert.deepStrictEqual(events.progress[6], { processed: content.length, total: content.length });
+            assert.strictEqual(events.finish, 1);
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Unknown length progress', function (done) {
+        const ostreams = fragments.map(() => new stream.PassThrough());
+        ostreams.forEach(s => s.resume());
+        const encoder = ecstream.encode(streamMe(content, 1000), null,
+                                        ostreams.slice(0, k), ostreams.slice(k), stripeSize);
+        const events = recordEvents(encoder);
+        encoder.promise().then(() => {
+            assert.deepStrictEqual(events.progress[0], { processed: 1024, total: null });
+            assert.deepStrictEqual(events.progress[6], { processed: content.length, total: content.length });
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Range decoding events', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const ostream = new stream.PassThrough();
+        ostream.resume();
+        const decoder = ecstream.decodeRange(ostream, 1000, 2000, content.length,
+                                             streams.slice(0, k), streams.slice(k), stripeSize);
+        const events = recordEvents(decoder);
+        decoder.promise().then(() => {
+            assert.deepStrictEqual(events.stripe.map(e => [e.index, e.bytes]), [[0, 24], [1, 1024], [2, 952]]);
+            assert.deepStrictEqual(events.progress.map(e => e.processed), [24, 1048, 2000]);
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Repair events', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[5] = null;
+        const ostreams = Array(k + m);
+        ostreams[5] = new stream.PassThrough();
+        ostreams[5].resume();
+        const repairer = ecstream.repair(k, m, istreams, ostreams, content.length, stripeSize);
+        const events = recordEvents(repairer);
+        repairer.promise().then(() => {
+            assert.strictEqual(events.stripe.length, 7);
+            assert.strictEqual(events.progress[6].processed, content.length);
+            assert.strictEqual(events.finish, 1);
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Stall and error events', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        // Only first two stripes are available
+        streams[0] = new stream.PassThrough();
+        streams[0].write(fragments[0].slice(0, 2 * stripeSize));
+        const ostream = new stream.PassThrough();
+        ostream.resume();
+        ostream.on('error', () => {});
+        const decoder = ecstream.decode(ostream, content.length, streams.slice(0, k), [null, null], stripeSize,
+                                        { stallTimeout: 20 });
+        const events = recordEvents(decoder);
+        setTimeout(() => {
+            assert.ok(events.stall.length >= 2);
+            assert.strictEqual(events.stall[0].index, 2);
+            // Timers may fire a bit early
+            assert.ok(events.stall[0].elapsed >= 15);
+            decoder.abort();
+            setImmediate(() => {
+                assert.strictEqual(events.error.length, 1);
+                assert.ok(events.error[0] instanceof ecstream.AbortError);
+                assert.strictEqual(events.finish, 0);
+                done();
+            });
+        }, 70);
+    });
+});
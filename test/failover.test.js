@@ -0,0 +1,154 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+/**
+ * Stream the beginning of a buffer, then fail
+ *
+ * @param {Buffer} buffer - Content to stream
+ * @param {Number} length - Bytes to stream before failing
+ * @param {String} message - Error message
+ * @return {stream.Readable} readable stream
+ */
+function failingStream(buffer, length, message) {
+    const s = new stream.PassThrough();
+    s.write(buffer.slice(0, length));
+    setTimeout(() => s.emit('error', new Error(message)), 20);
+    return s;
+}
+
+
+mocha.describe('Failover test suite', function () {
+    const k = 3;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(6 * k * stripeSize + 11);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Replace failed source', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[1] = failingStream(fragments[1], 2 * stripeSize + 100, 'Disk failure');
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize, { failover: true });
+        checkOutStream(ostream, 0, content, err => {
+            assert.strictEqual(decoder.failovers.length, 1);
+            const { stripe, index, replacement, error } = decoder.failovers[0];
+            assert.deepStrictEqual({ stripe, index, replacement }, { stripe: 2, index: 1, replacement: 3 });
+            assert.strictEqual(error.message, 'Disk failure');
+            assert.strictEqual(error.streamIndex, 1);
+            done(err);
+        });
+    });
+
+    mocha.it('Replace failed source of a range', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[1] = failingStream(fragments[1], 2 * stripeSize + 100, 'Disk failure');
+        const offset = 2 * k * stripeSize + 10;
+        const length = 2 * k * stripeSize;
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decodeRange(
+            ostream, offset, length, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { failover: true });
+        checkOutStream(ostream, 0, content.slice(offset, offset + length), err => {
+            assert.deepStrictEqual(decoder.failovers.map(f => [f.stripe, f.index, f.replacement]), [[2, 1, 3]]);
+            done(err);
+        });
+    });
+
+    mocha.it('Replace successive failures', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[0] = failingStream(fragments[0], stripeSize, 'First failure');
+        streams[3] = failingStream(fragments[3], 4 * stripeSize, 'Second failure');
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize, { failover: true });
+        checkOutStream(ostream, 0, content, err => {
+            assert.deepStrictEqual(
+                decoder.failovers.map(f => [f.index, f.replacement]).sort(),
+                [[0, 3], [3, 4]]);
+            done(err);
+        });
+    });
+
+    mocha.it('Fail once less than k parts are left', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[2] = failingStream(fragments[2], stripeSize, 'Disk failure');
+        streams[3] = null;
+        streams[4] = null;
+        ecstream.decodeAsync(
+            new stream.PassThrough(), content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { failover: true })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Disk failure');
+                assert.strictEqual(err.streamIndex, 2);
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Failover disabled by default', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[1] = failingStream(fragments[1], stripeSize, 'Disk failure');
+        ecstream.decodeAsync(
+            new stream.PassThrough(), content.length, streams.slice(0, k), streams.slice(k), stripeSize)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Disk failure');
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Unused parts are not waited for by default', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        // Idle parity part, never delivering anything
+        streams[4] = new stream.Readable({ read() {} });
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize);
+        assert.strictEqual(decoder.spares, 0);
+        checkOutStream(ostream, 0, content, done);
+    });
+
+    mocha.it('Replace truncated source', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[2] = streamMe(fragments[2].slice(0, 3 * stripeSize));
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize, { failover: true });
+        checkOutStream(ostream, 0, content, err => {
+            assert.deepStrictEqual(decoder.truncated, [{ stripe: 3, index: 2 }]);
+            assert.strictEqual(decoder.failovers[0].replacement, 3);
+            done(err);
+        });
+    });
+
+    mocha.it('Repair despite failed source', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[0] = null;
+        istreams[2] = failingStream(fragments[2], stripeSize, 'Disk failure');
+        const ostreams = Array(k + m);
+        ostreams[0] = new stream.PassThrough();
+        const repairer = ecstream.repair(
+            k, m, istreams, ostreams, content.length, stripeSize, { failover: true });
+        checkOutStream(ostreams[0], 0, fragments[0], err => {
+            assert.deepStrictEqual(repairer.failovers.map(f => [f.index, f.replacement]), [[2, 4]]);
+            done(err);
+        });
+    });
+});
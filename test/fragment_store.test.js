@@ -0,0 +1,175 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ecstream = require('../index');
+const { collector, removeTree, streamMe } = require('./utils');
+
+
+mocha.describe('Fragment store test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(7 * k * stripeSize + 99);
+    let directory = null;
+    let store = null;
+
+    mocha.beforeEach(function (done) {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ecstream-'));
+        store = new ecstream.FragmentStore(directory);
+        done();
+    });
+
+    mocha.afterEach(function (done) {
+        removeTree(directory);
+        done();
+    });
+
+    mocha.it('Put and get objects', function (done) {
+        const output = collector();
+        store.put('object', streamMe(content, 1000), content.length, k, m, stripeSize, { checksum: true })
+            .then(manifest => {
+                assert.strictEqual(manifest.digest, 'sha256');
+                assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'object')).sort(),
+                                       ['fragment-0', 'fragment-1', 'fragment-2', 'fragment-3', 'fragment-4', 'fragment-5', 'manifest.json']);
+                assert.strictEqual(fs.statSync(store.getFragmentPath('object', 5)).size, manifest.fragments[5].length);
+                // Lost and truncated fragments are not read
+                fs.unlinkSync(store.getFragmentPath('object', 0));
+                fs.truncateSync(store.getFragmentPath('object', 2), 100);
+                return store.get('object', output);
+            })
+            .then(context => {
+                assert.strictEqual(context.sources & 5, 0);
+                assert.ok(Buffer.concat(output.chunks).equals(content));
+                return store.put('object', streamMe(content), content.length, k, m, stripeSize)
+                    .then(() => assert.fail('Unreachable'), err => assert.strictEqual(err.code, 'EEXIST'));
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Check, list and repair objects', function (done) {
+        Promise.all([
+            store.put('damaged', streamMe(content), content.length, k, m, stripeSize),
+            store.put('lost', streamMe(content), content.length, k, m, stripeSize, { digest: false }),
+            store.put('sound', streamMe(content), null, k, m, stripeSize),
+        ])
+            .then(() => {
+                fs.mkdirSync(path.join(directory, 'incomplete'));
+                fs.unlinkSync(store.getFragmentPath('damaged', 1));
+                // Same length, but flipped bytes
+                const corrupted = store.getFragmentPath('damaged', 4);
+                const bytes = fs.readFileSync(corrupted);
+                bytes[10] ^= 0xff;
+                fs.writeFileSync(corrupted, bytes);
+                [0, 1, 2].forEach(i => fs.unlinkSync(store.getFragmentPath('lost', i)));
+                return store.list();
+            })
+            .then(objects => {
+                assert.deepStrictEqual(objects, [
+                    { name: 'damaged', size: content.length, healthy: false, missing: [1], corrupted: [4], recoverable: true },
+                    { name: 'lost', size: content.length, healthy: false, missing: [0, 1, 2], corrupted: [], recoverable: false },
+                    { name: 'sound', size: content.length, healthy: true, missing: [], corrupted: [], recoverable: true },
+                ]);
+                return store.repair('damaged');
+            })
+            .then(health => {
+                assert.deepStrictEqual(health.missing, [1]);
+                assert.deepStrictEqual(health.corrupted, [4]);
+                assert.ok(!fs.existsSync(`${store.getFragmentPath('damaged', 1)}.tmp`));
+                return Promise.all([store.check('damaged'), store.repair('sound')]);
+            })
+            .then(([health, soundHealth]) => {
+                assert.ok(health.healthy);
+                assert.ok(soundHealth.healthy);
+                return store.repair('lost').then(() => assert.fail('Unreachable'), err => {
+                    assert.strictEqual(err.message, 'Not enough parts for decoding: 3 < 4');
+                });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Clean up failed puts and repairs', function (done) {
+        const failing = new stream.Readable({
+            read() {
+                this.emit('error', new Error('Read failure'));
+            },
+        });
+        store.put('object', failing, content.length, k, m, stripeSize)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Read failure');
+                assert.ok(!fs.existsSync(path.join(directory, 'object')));
+                // Nothing left in the way of a retry
+                return store.put('object', streamMe(content), content.length, k, m, stripeSize);
+            })
+            .then(() => {
+                [0, 1, 2].forEach(i => fs.unlinkSync(store.getFragmentPath('object', i)));
+                return store.repair('object', { fragments: [3] });
+            })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Not enough parts for decoding: 2 < 4');
+                assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'object')).sort(),
+                                       ['fragment-3', 'fragment-4', 'fragment-5', 'manifest.json']);
+                done();
+            })
+            .catch(done);
+    });
+
+    mocha.it('Open only needed fragments, close them on failure', function (done) {
+        const createReadStream = fs.createReadStream;
+        const opened = [];
+        fs.createReadStream = (...args) => {
+            const s = createReadStream(...args);
+            opened.push(s);
+            return s;
+        };
+        const restore = err => {
+            fs.createReadStream = createReadStream;
+            done(err);
+        };
+        const output = collector();
+        store.put('object', streamMe(content), content.length, k, m, stripeSize)
+            .then(() => store.get('object', output))
+            .then(() => {
+                assert.ok(Buffer.concat(output.chunks).equals(content));
+                assert.deepStrictEqual(opened.map(s => path.basename(s.path)),
+                                       ['fragment-0', 'fragment-1', 'fragment-2', 'fragment-3']);
+                [0, 1, 2].forEach(i => fs.unlinkSync(store.getFragmentPath('object', i)));
+                opened.length = 0;
+                return store.get('object', collector());
+            })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Not enough parts for decoding: 3 < 4');
+                assert.strictEqual(opened.length, 3);
+                return store.verify('object');
+            })
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Not enough parts for verifying: 3 < 4');
+                assert.ok(opened.length > 3);
+                assert.ok(opened.every(s => s.destroyed));
+                restore();
+            })
+            .catch(restore);
+    });
+
+    mocha.it('Reject bad names and manifests', function (done) {
+        ['', '.', '..', 'a/b', 'a\\b'].forEach(name => assert.throws(() => store.getObjectPath(name), assert.AssertionError));
+        fs.mkdirSync(path.join(directory, 'object'));
+        fs.writeFileSync(path.join(directory, 'object', 'manifest.json'), '{"version": 2}');
+        store.check('object')
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.ok(/Invalid manifest|Unsupported manifest/.test(err.message));
+                done();
+            }).catch(done);
+    });
+});
@@ -0,0 +1,192 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { HEADER_SIZE, parseHeader, serializeHeader } = require('../lib/header');
+const { bufferEncodedObject, checkOutStream, collector, streamMe } = require('./utils');
+
+
+/**
+ * Decode fragments, expecting an error on output stream
+ *
+ * @param {[Buffer]} fragments - Encoded fragments, null if missing
+ * @param {Number} k - Number of data parts
+ * @param {RegExp} expected - Expected error message
+ * @param {Function} done - Test callback
+ * @return {undefined}
+ */
+function expectDecodeError(fragments, k, expected, done) {
+    const streams = fragments.map(f => (f ? streamMe(f) : null));
+    const ostream = new stream.PassThrough();
+    ostream.once('error', err => {
+        assert.ok(expected.test(err.message), err.message);
+        done();
+    });
+    ecstream.decode(
+        ostream, null, streams.slice(0, k), streams.slice(k), null,
+        { header: true });
+}
+
+
+mocha.describe('Fragment header test suite', function () {
+    const content = crypto.randomBytes(3 * 4096 + 17);
+
+    mocha.it('Serialize / parse', function () {
+        const header = {
+            k: 9,
+            m: 3,
+            index: 11,
+            stripeSize: 65536,
+            size: 5 * 0x100000000 + 42,
+            objectId: Buffer.from('01234567'),
+        };
+        const buffer = serializeHeader(header);
+        assert.strictEqual(buffer.length, HEADER_SIZE);
+        const parsed = parseHeader(buffer);
+        assert.strictEqual(parsed.version, 1);
+        ['k', 'm', 'index', 'stripeSize', 'size'].forEach(
+            field => assert.strictEqual(parsed[field], header[field]));
+        assert.ok(parsed.objectId.equals(header.objectId));
+    });
+
+    mocha.it('Parse bad magic / truncated header', function () {
+        assert.throws(() => parseHeader(Buffer.alloc(HEADER_SIZE)),
+                      /Bad fragment header magic/);
+        assert.throws(() => parseHeader(Buffer.alloc(3)),
+                      /Truncated fragment header/);
+    });
+
+    mocha.it('Encode writes header on every fragment', function (done) {
+        bufferEncodedObject(content, 2, 1, 4096, { header: true }).then(fragments => {
+            const objectId = parseHeader(fragments[0]).objectId;
+            fragments.forEach((fragment, i) => {
+                const header = parseHeader(fragment);
+                assert.strictEqual(header.k, 2);
+                assert.strictEqual(header.m, 1);
+                assert.strictEqual(header.index, i);
+                assert.strictEqual(header.stripeSize, 4096);
+                assert.strictEqual(header.size, content.length);
+                assert.ok(header.objectId.equals(objectId));
+                assert.strictEqual(fragment.length, HEADER_SIZE + 2 * 4096);
+            });
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Decode infers size and stripe size', function (done) {
+        bufferEncodedObject(content, 2, 1, 4096, { header: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            checkOutStream(ostream, 0, content, done);
+            const decoder = ecstream.decode(
+                ostream, null,
+                [null, streamMe(fragments[1])], [streamMe(fragments[2])],
+                null, { header: true });
+            assert.strictEqual(decoder.hasGeometry(), false);
+        }).catch(done);
+    });
+
+    mocha.it('Repair writes header on repaired fragments', function (done) {
+        bufferEncodedObject(content, 4, 2, 1024, { header: true }).then(fragments => {
+            const ostreams = Array(6);
+            ostreams[1] = new stream.PassThrough();
+            ostreams[4] = new stream.PassThrough();
+            let waiting = 2;
+            const finalizer = err => {
+                --waiting;
+                if (err) {
+                    done(err);
+                    waiting = 0;
+                } else if (waiting === 0) {
+                    done();
+                }
+            };
+            checkOutStream(ostreams[1], 1, fragments[1], finalizer);
+            checkOutStream(ostreams[4], 4, fragments[4], finalizer);
+
+            const istreams = fragments.map(f => streamMe(f));
+            istreams[1] = null;
+            istreams[4] = null;
+            ecstream.repair(4, 2, istreams, ostreams, null, null, { header: true });
+        }).catch(done);
+    });
+
+    mocha.it('Empty object fragments hold their header', function (done) {
+        const options = { header: true, checksum: true };
+        const ostreams = [0, 1, 2, 3, 4, 5].map(() => collector());
+        ecstream.encodeAsync(streamMe(Buffer.alloc(0)), 0, ostreams.slice(0, 4), ostreams.slice(4), 1024, options)
+            .then(context => {
+                const fragments = ostreams.map(s => Buffer.concat(s.chunks));
+                fragments.forEach((f, i) => assert.strictEqual(parseHeader(f).index, i));
+                assert.ok(fragments.every(f => f.length === HEADER_SIZE));
+                assert.ok(context.manifest.fragments.every(f => f.length === HEADER_SIZE));
+                const istreams = fragments.map(f => streamMe(f));
+                istreams[2] = null;
+                const repaired = fragments.map(() => null);
+                repaired[2] = collector();
+                const output = collector();
+                return Promise.all([
+                    ecstream.decodeAsync(output, null, fragments.slice(0, 4).map(f => streamMe(f)), [null, null], null, { header: true }),
+                    ecstream.repairAsync(4, 2, istreams, repaired, null, null, { header: true }),
+                ]).then(() => {
+                    assert.strictEqual(Buffer.concat(output.chunks).length, 0);
+                    assert.ok(Buffer.concat(repaired[2].chunks).equals(fragments[2]));
+                });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Reject fragment at wrong index', function (done) {
+        bufferEncodedObject(content, 2, 1, 4096, { header: true }).then(fragments => {
+            expectDecodeError([fragments[1], fragments[0], null], 2,
+                              /Fragment 0 header mismatch on index/, done);
+        }).catch(done);
+    });
+
+    mocha.it('Reject fragment of another object', function (done) {
+        Promise.all([
+            bufferEncodedObject(content, 2, 1, 4096, { header: true }),
+            bufferEncodedObject(content, 2, 1, 4096, { header: true }),
+        ]).then(objects => {
+            expectDecodeError([objects[0][0], objects[1][1], null], 2,
+                              /Fragment 1 header mismatch on objectId/, done);
+        }).catch(done);
+    });
+
+    mocha.it('Reject fragment with different stripe size', function (done) {
+        Promise.all([
+            bufferEncodedObject(content, 2, 1, 4096, { header: true }),
+            bufferEncodedObject(content, 2, 1, 2048, { header: true }),
+        ]).then(objects => {
+            expectDecodeError([objects[0][0], null, objects[1][2]], 2,
+                              /Fragment 2 header mismatch on stripeSize/, done);
+        }).catch(done);
+    });
+
+    mocha.it('Reject header mismatching caller parameters', function (done) {
+        bufferEncodedObject(content, 2, 1, 4096, { header: true }).then(fragments => {
+            const ostream = new stream.PassThrough();
+            ostream.once('error', err => {
+                assert.ok(/mismatch on size/.test(err.message), err.message);
+                done();
+            });
+            ecstream.decode(
+                ostream, content.length + 1,
+                [streamMe(fragments[0]), streamMe(fragments[1])], [null],
+                4096, { header: true });
+        }).catch(done);
+    });
+
+    mocha.it('Reject fragment without header', function (done) {
+        bufferEncodedObject(content, 2, 1, 4096).then(fragments => {
+            expectDecodeError(fragments, 2, /Fragment 0: Bad fragment header magic/, done);
+        }).catch(done);
+    });
+});
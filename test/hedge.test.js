@@ -0,0 +1,108 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+mocha.describe('Hedged reads test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(7 * k * stripeSize + 33);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Decode despite a stalled source', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        // Never gets any data, nor ends
+        streams[2] = new stream.PassThrough();
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { hedge: 1 });
+        assert.strictEqual(decoder.spares, 1 << k);
+        checkOutStream(ostream, 0, content, done);
+    });
+
+    mocha.it('Drop chunks of a late source', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const late = new stream.PassThrough();
+        streams[0] = late;
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { hedge: 2 });
+        checkOutStream(ostream, 0, content, err => {
+            assert.ifError(err);
+            assert.strictEqual(decoder.toSkip[0], 8);
+            late.end(fragments[0]);
+            setTimeout(() => {
+                assert.strictEqual(decoder.toSkip[0], 0);
+                assert.strictEqual(late.readableLength, 0);
+                done();
+            }, 20);
+        });
+    });
+
+    mocha.it('Use late source for following stripes', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const late = new stream.PassThrough();
+        late.write(fragments[1].slice(0, 2 * stripeSize));
+        streams[1] = late;
+        streams[5] = new stream.PassThrough();
+        const ostream = new stream.PassThrough();
+        const decoder = ecstream.decode(
+            ostream, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { hedge: 2, concurrency: 2 });
+        const encodeMethodBackup = decoder.encode;
+        const sources = [];
+        decoder.encode = (dispatcher, stripe) => {
+            sources[stripe.index] = stripe.sources;
+            if (stripe.index === 4) {
+                late.end(fragments[1].slice(2 * stripeSize));
+            }
+            // Let the late source catch up while stripes 3 and 4 are in flight
+            setTimeout(() => encodeMethodBackup.call(decoder, dispatcher, stripe),
+                       stripe.index === 3 ? 60 : 0);
+        };
+        checkOutStream(ostream, 0, content, err => {
+            // Late source had no data for stripes 2 to 4
+            sources.slice(2, 5).forEach(bits => assert.strictEqual(bits & 0b10, 0));
+            assert.ok(sources.slice(5).some(bits => (bits & 0b10) !== 0));
+            done(err);
+        });
+    });
+
+    mocha.it('Repair from first parts read', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[0] = null;
+        istreams[3] = new stream.PassThrough();
+        const ostreams = Array(k + m);
+        ostreams[0] = new stream.PassThrough();
+        ecstream.repair(k, m, istreams, ostreams, content.length, stripeSize,
+                        { hedge: 1 });
+        checkOutStream(ostreams[0], 0, fragments[0], done);
+    });
+
+    mocha.it('Hedged reads cannot verify', function () {
+        assert.throws(() => ecstream.decode(
+            new stream.PassThrough(), content.length,
+            fragments.slice(0, k).map(f => streamMe(f)), [null, null], stripeSize,
+            { hedge: 1, verify: true }),
+                      assert.AssertionError);
+    });
+});
@@ -0,0 +1,148 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, streamMe } = require('./utils');
+
+
+/**
+ * XOR of buffers of equal length
+ *
+ * @param {[Buffer]} buffers - Buffers to combine
+ * @return {Buffer} XOR of buffers
+ */
+function xorBuffers(buffers) {
+    const result = Buffer.alloc(buffers[0].length);
+    buffers.forEach(b => {
+        for (let i = 0; i < b.length; ++i) {
+            result[i] ^= b[i];
+        }
+    });
+    return result;
+}
+
+
+mocha.describe('LRC test suite', function () {
+    // LRC(6, 2, 2): groups are parts 0-2 and 3-5, local parities 6 and 7,
+    // global parities 8 and 9
+    const k = 6;
+    const m = 4;
+    const stripeSize = 1024;
+    const codec = ecstream.getLRCCodec(2);
+    const options = { codec };
+    const content = crypto.randomBytes(9 * k * stripeSize + 777);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize, options).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Local parities and global ones', function (done) {
+        assert.strictEqual(ecstream.getLRCCodec(2), codec);
+        assert.strictEqual(codec.name, 'lrc-2');
+        assert.ok(fragments[6].equals(xorBuffers(fragments.slice(0, 3))));
+        assert.ok(fragments[7].equals(xorBuffers(fragments.slice(3, 6))));
+        // Global parities are Reed-Solomon ones
+        bufferEncodedObject(content, k, 3, stripeSize).then(rs => {
+            assert.ok(rs[6].equals(xorBuffers([fragments[6], fragments[7]])));
+            assert.ok(rs[7].equals(fragments[8]));
+            assert.ok(rs[8].equals(fragments[9]));
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Repair a single part from its local group', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[4] = null;
+        const ostreams = fragments.map(() => null);
+        ostreams[4] = collector();
+        const context = ecstream.repair(k, m, istreams, ostreams, content.length, stripeSize, options);
+        const group = [3, 5, 7];
+        assert.strictEqual(context.sources, (1 << 3) | (1 << 5) | (1 << 7));
+        context.promise().then(() => {
+            assert.ok(Buffer.concat(ostreams[4].chunks).equals(fragments[4]));
+            // Parts out of the local group were never read
+            istreams.forEach((s, i) => {
+                if (s && group.indexOf(i) === -1) {
+                    assert.strictEqual(s.readableFlowing, null, `part ${i} was read`);
+                    assert.ok(s.readableLength > 0 && !s.readableEnded, `part ${i} was read`);
+                }
+            });
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Repair local and global parities', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        const ostreams = fragments.map(() => null);
+        [1, 7, 9].forEach(i => {
+            istreams[i] = null;
+            ostreams[i] = collector();
+        });
+        ecstream.repairAsync(k, m, istreams, ostreams, content.length, stripeSize, options)
+            .then(() => {
+                [1, 7, 9].forEach(i => assert.ok(Buffer.concat(ostreams[i].chunks).equals(fragments[i])));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Decode with r + 1 lost data parts', function (done) {
+        const output = collector();
+        const streams = fragments.map(f => streamMe(f));
+        streams[0] = null;
+        streams[1] = null;
+        streams[4] = null;
+        streams[8] = null;
+        ecstream.decodeAsync(output, content.length, streams.slice(0, k), streams.slice(k), stripeSize, options)
+            .then(() => {
+                assert.ok(Buffer.concat(output.chunks).equals(content));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Fail over to parts of another group', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[0] = null;
+        // Local group part failing while being read
+        istreams[2] = new stream.Readable({
+            read() {
+                this.emit('error', new Error('Disk failure'));
+            },
+        });
+        const ostreams = fragments.map(() => null);
+        ostreams[0] = collector();
+        ecstream.repairAsync(k, m, istreams, ostreams, content.length, stripeSize, Object.assign({ failover: true }, options))
+            .then(context => {
+                assert.strictEqual(context.failovers.length, 1);
+                assert.strictEqual(context.failovers[0].index, 2);
+                assert.ok(Buffer.concat(ostreams[0].chunks).equals(fragments[0]));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Fail on unrecoverable losses', function (done) {
+        // 4 parts lost, but 3 of a group: locals do not help
+        const streams = fragments.map(f => streamMe(f));
+        [0, 1, 2, 8].forEach(i => {
+            streams[i] = null;
+        });
+        const output = collector();
+        assert.throws(() => ecstream.decode(output, content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+                                            Object.assign({ hedge: 1 }, options)), assert.AssertionError);
+        ecstream.decodeAsync(output, content.length, streams.slice(0, k), streams.slice(k), stripeSize, options)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Not enough parts for decoding: 6 parts do not cover lost ones');
+                done();
+            }).catch(done);
+    });
+});
@@ -0,0 +1,113 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { collector, encodeToBuffers, streamMe } = require('./utils');
+
+
+mocha.describe('Manifest test suite', function () {
+    const k = 4;
+    const m = 2;
+    const content = crypto.randomBytes(10000);
+
+    mocha.it('Produced by encode', function (done) {
+        const ostreams = [...Array(k + m).keys()].map(() => collector());
+        const pending = ecstream.encode(streamMe(content), content.length, ostreams.slice(0, k), ostreams.slice(k), 1000);
+        // Only known once every fragment is written
+        assert.strictEqual(pending.manifest, null);
+        Promise.all([
+            pending.promise(),
+            encodeToBuffers(content, k, m, 1000, { header: true, checksum: true, digest: 'sha256' }),
+        ])
+            .then(([, { context: { manifest }, fragments }]) => {
+                assert.deepStrictEqual(Object.assign({}, manifest, { fragments: null }), {
+                    version: ecstream.MANIFEST_VERSION,
+                    codec: 'reed-solomon',
+                    k,
+                    m,
+                    stripeSize: 1000,
+                    size: content.length,
+                    padding: 12000 - content.length,
+                    header: true,
+                    checksum: true,
+                    digest: 'sha256',
+                    fragments: null,
+                });
+                fragments.forEach((f, i) => assert.deepStrictEqual(manifest.fragments[i], {
+                    index: i,
+                    length: f.length,
+                    digest: crypto.createHash('sha256').update(f).digest('hex'),
+                }));
+                // Round trip through JSON
+                assert.deepStrictEqual(ecstream.loadManifest(JSON.stringify(manifest)), manifest);
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Decode and repair following manifest', function (done) {
+        const codec = ecstream.getLRCCodec(2);
+        encodeToBuffers(content, k, m, 1000, { codec, checksum: true })
+            .then(({ context: { manifest }, fragments }) => {
+                assert.strictEqual(manifest.codec, 'lrc-2');
+                assert.strictEqual(manifest.digest, null);
+                assert.ok(manifest.fragments.every(f => f.digest === null && f.length === 3 * 1004));
+                const output = collector();
+                const streams = fragments.map(f => streamMe(f));
+                streams[0] = null;
+                streams[3] = null;
+                const istreams = fragments.map(f => streamMe(f));
+                const ostreams = fragments.map(() => null);
+                istreams[5] = null;
+                ostreams[5] = collector();
+                return Promise.all([
+                    ecstream.decodeAsync(output, manifest, streams),
+                    ecstream.repairAsync(JSON.parse(JSON.stringify(manifest)), istreams, ostreams, { concurrency: 2 }),
+                ]).then(([decodeContext, repairContext]) => {
+                    assert.strictEqual(decodeContext.codec, codec);
+                    assert.strictEqual(repairContext.concurrency, 2);
+                    assert.ok(Buffer.concat(output.chunks).equals(content));
+                    assert.ok(Buffer.concat(ostreams[5].chunks).equals(fragments[5]));
+                });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Strict validation', function (done) {
+        encodeToBuffers(Buffer.alloc(0), k, m, 1000, { header: true })
+            .then(({ context: { manifest } }) => {
+                assert.strictEqual(manifest.padding, 0);
+                assert.ok(manifest.fragments.every(f => f.length === 32));
+                const broken = changes => Object.assign(JSON.parse(JSON.stringify(manifest)), changes);
+                const fragment = changes => broken({ fragments: manifest.fragments.map((f, i) => (i === 1 ? Object.assign({}, f, changes) : f)) });
+                [
+                    [broken({ version: 2 }), /Unsupported manifest version: 2/],
+                    [broken({ extra: true }), /manifest has unknown 'extra'/],
+                    [broken({ k: 0 }), /bad k 0/],
+                    [broken({ stripeSize: 1.5 }), /bad stripeSize 1.5/],
+                    [broken({ size: 10 }), /padding 0 does not match/],
+                    [broken({ header: 'yes' }), /bad header/],
+                    [broken({ fragments: manifest.fragments.slice(1) }), /expected 6 fragments/],
+                    [fragment({ index: 3 }), /fragment 1 has index 3/],
+                    [fragment({ length: 0 }), /fragment 1 length 0 !== 32/],
+                    [fragment({ digest: 'abc' }), /fragment 1 bad digest/],
+                    [broken({ digest: 'sha256' }), /fragment 0 bad digest/],
+                    ['{', SyntaxError],
+                ].forEach(([invalid, expected]) => assert.throws(() => ecstream.loadManifest(invalid), expected));
+
+                const output = collector();
+                assert.throws(() => ecstream.decode(output, broken({ codec: 'unknown' }), [null, null, null, null, null, null]),
+                              /Unknown manifest codec: unknown/);
+                assert.throws(() => ecstream.decode(output, manifest, [null, null, null, null, null, null],
+                                                    { codec: ecstream.getLRCCodec(2) }),
+                              /Manifest codec mismatch: expected reed-solomon, got lrc-2/);
+                done();
+            }).catch(done);
+    });
+});
@@ -0,0 +1,153 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, checkOutStream, collector, streamMe } = require('./utils');
+
+
+mocha.describe('Promise API test suite', function () {
+    const stripeSize = 1024;
+    const content = crypto.randomBytes(5 * 2 * stripeSize + 3);
+
+    mocha.it('Encode then decode', function () {
+        const dataStreams = [collector(), collector()];
+        const parityStreams = [collector()];
+        return ecstream.encodeAsync(
+            streamMe(content), content.length, dataStreams, parityStreams, stripeSize)
+            .then(encoder => {
+                assert.strictEqual(encoder.processedStripe, encoder.nStripe);
+                assert.strictEqual(encoder.finishedOutputs, 3);
+                const fragments = [...dataStreams, ...parityStreams].map(s => Buffer.concat(s.chunks));
+                const ostream = collector();
+                return ecstream.decodeAsync(
+                    ostream, content.length,
+                    [null, streamMe(fragments[1])], [streamMe(fragments[2])],
+                    stripeSize)
+                    .then(() => Buffer.concat(ostream.chunks));
+            })
+            .then(decoded => assert.ok(decoded.equals(content)));
+    });
+
+    mocha.it('Repair and verify', function () {
+        return bufferEncodedObject(content, 4, 2, stripeSize).then(fragments => {
+            const istreams = fragments.map(f => streamMe(f));
+            istreams[3] = null;
+            const ostreams = Array(6);
+            ostreams[3] = collector();
+            return ecstream.repairAsync(4, 2, istreams, ostreams, content.length, stripeSize)
+                .then(() => Buffer.concat(ostreams[3].chunks))
+                .then(fragment => {
+                    assert.ok(fragment.equals(fragments[3]));
+                    const verified = fragments.map(f => streamMe(f));
+                    verified[3] = streamMe(fragment);
+                    return ecstream.verifyAsync(4, 2, verified, content.length, stripeSize);
+                })
+                .then(report => assert.strictEqual(report.healthy, true));
+        });
+    });
+
+    mocha.it('Reject once with attributed input error', function () {
+        const input = new stream.PassThrough();
+        input.write(content.slice(0, 100));
+        setTimeout(() => input.emit('error', new Error('On purpose...')), 20);
+        const dataStreams = [new stream.PassThrough(), new stream.PassThrough()];
+        return ecstream.encodeAsync(
+            input, content.length, dataStreams, [new stream.PassThrough()], stripeSize)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'On purpose...');
+                assert.strictEqual(err.streamType, 'input');
+                assert.strictEqual(err.streamIndex, 0);
+            });
+    });
+
+    mocha.it('Reject with attributed fragment error', function () {
+        const diskFailure = new Error('Disk failure');
+        let outputError = null;
+        return bufferEncodedObject(content, 2, 1, stripeSize).then(fragments => {
+            const failing = new stream.PassThrough();
+            failing.write(fragments[1].slice(0, 10));
+            setTimeout(() => failing.emit('error', diskFailure), 20);
+            const ostream = new stream.PassThrough();
+            ostream.on('error', e => {
+                outputError = e;
+            });
+            ostream.resume();
+            return ecstream.decodeAsync(
+                ostream, content.length,
+                [streamMe(fragments[0]), failing], [null], stripeSize);
+        }).then(() => assert.fail('Unreachable'), err => {
+            assert.strictEqual(err.message, 'Disk failure');
+            assert.strictEqual(err.streamType, 'input');
+            assert.strictEqual(err.streamIndex, 1);
+            // Wrapped, emitted error is left untouched
+            assert.ok(err instanceof ecstream.StreamError);
+            assert.strictEqual(err.cause, diskFailure);
+            assert.strictEqual(err.cause.streamType, undefined);
+            // Output got the original error
+            assert.strictEqual(outputError, diskFailure);
+        });
+    });
+
+    mocha.it('Reject with attributed output error', function () {
+        const dataStreams = [new stream.PassThrough(), new stream.PassThrough()];
+        // Never acknowledges writes
+        const parityStreams = [new stream.Writable({ write() {} })];
+        dataStreams.forEach(s => s.resume());
+        const encoder = ecstream.encode(
+            streamMe(content), content.length, dataStreams, parityStreams, stripeSize);
+        const promise = encoder.promise();
+        assert.strictEqual(encoder.promise(), promise);
+        setTimeout(() => parityStreams[0].emit('error', new Error('Network failure')), 5);
+        return promise.then(() => assert.fail('Unreachable'), err => {
+            assert.strictEqual(err.message, 'Network failure');
+            assert.strictEqual(err.streamType, 'output');
+            assert.strictEqual(err.streamIndex, 2);
+        });
+    });
+
+    mocha.it('Reject output error emitted before promise request', function (done) {
+        const dataStreams = [new stream.PassThrough(), new stream.PassThrough()];
+        const parityStreams = [new stream.Writable({ write() {} })];
+        dataStreams.forEach(s => s.resume());
+        const encoder = ecstream.encode(
+            streamMe(content), content.length, dataStreams, parityStreams, stripeSize);
+        parityStreams[0].emit('error', new Error('Early failure'));
+        setTimeout(() => encoder.promise()
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Early failure');
+                assert.strictEqual(err.streamType, 'output');
+                assert.strictEqual(err.streamIndex, 2);
+            })
+            .then(done, done), 5);
+    });
+
+    mocha.it('Reject synchronous error', function () {
+        const ostream = new stream.PassThrough();
+        return ecstream.decodeAsync(
+            ostream, content.length, [null, null], [streamMe(content)], stripeSize)
+            .then(() => assert.fail('Unreachable'), err => {
+                assert.strictEqual(err.message, 'Not enough parts for decoding: 1 < 2');
+                assert.strictEqual(err.streamType, undefined);
+            });
+    });
+
+    mocha.it('Promise requested after completion', function (done) {
+        bufferEncodedObject(content, 2, 1, stripeSize).then(fragments => {
+            const ostream = new stream.PassThrough();
+            const decoder = ecstream.decode(
+                ostream, content.length,
+                [streamMe(fragments[0]), streamMe(fragments[1])], [null], stripeSize);
+            checkOutStream(ostream, 0, content, err => {
+                assert.ifError(err);
+                setImmediate(() => decoder.promise().then(() => done(), done));
+            });
+        }).catch(done);
+    });
+});
@@ -0,0 +1,210 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { getPartStripeRange, getStripeRange } = require('../lib/range');
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
+
+
+/**
+ * Stream a buffer, counting bytes actually read from it
+ *
+ * @param {Buffer} buffer - Content to stream
+ * @param {Object} counter - Gets read bytes in 'read' field
+ * @return {stream.Readable} readable stream
+ */
+function countedStream(buffer, counter) {
+    const s = streamMe(buffer);
+    const read = s.read.bind(s);
+    counter.read = 0; // eslint-disable-line no-param-reassign
+    s.read = size => {
+        const bytes = read(size);
+        counter.read += bytes ? bytes.length : 0; // eslint-disable-line no-param-reassign
+        return bytes;
+    };
+    return s;
+}
+
+
+mocha.describe('Range decoding test suite', function () {
+    const k = 3;
+    const m = 2;
+    const stripeSize = 256;
+    const stripeBytes = k * stripeSize;
+    const content = crypto.randomBytes(5 * stripeBytes + 100);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Stripe ranges', function () {
+        assert.deepStrictEqual(getStripeRange(3, 256, 0, 768), { first: 0, end: 1 });
+        assert.deepStrictEqual(getStripeRange(3, 256, 767, 2), { first: 0, end: 2 });
+        assert.deepStrictEqual(getStripeRange(3, 256, 800, 0), { first: 1, end: 1 });
+        assert.deepStrictEqual(getPartStripeRange(3, 256, 0, 10, 0), { first: 0, end: 1 });
+        assert.deepStrictEqual(getPartStripeRange(3, 256, 0, 10, 1), { first: 0, end: 0 });
+        assert.deepStrictEqual(getPartStripeRange(3, 256, 600, 300, 0), { first: 1, end: 2 });
+        assert.deepStrictEqual(getPartStripeRange(3, 256, 600, 300, 2), { first: 0, end: 1 });
+    });
+
+    [
+        ['whole object', 0, 5 * stripeBytes + 100],
+        ['inside a part', stripeBytes + 10, 20],
+        ['across stripes', stripeBytes - 5, 2 * stripeBytes + 17],
+        ['end of object', 5 * stripeBytes + 50, 50],
+        ['empty range', 2 * stripeBytes + 3, 0],
+    ].forEach(([name, offset, length]) => {
+        mocha.it(`Range ${name}`, function (done) {
+            const ostream = new stream.PassThrough();
+            checkOutStream(ostream, 0, content.slice(offset, offset + length), done);
+            const streams = fragments.map(f => streamMe(f));
+            ecstream.decodeRange(ostream, offset, length, content.length,
+                                 streams.slice(0, k), streams.slice(k), stripeSize);
+        });
+
+        mocha.it(`Degraded range ${name}`, function (done) {
+            const ostream = new stream.PassThrough();
+            checkOutStream(ostream, 0, content.slice(offset, offset + length), done);
+            const streams = fragments.map(f => streamMe(f));
+            streams[0] = null;
+            streams[2] = null;
+            ecstream.decodeRange(ostream, offset, length, content.length,
+                                 streams.slice(0, k), streams.slice(k), stripeSize);
+        });
+    });
+
+    mocha.it('Read only needed parts', function (done) {
+        const counters = fragments.map(() => ({}));
+        const streams = fragments.map((f, i) => countedStream(f, counters[i]));
+        const offset = 2 * stripeBytes + stripeSize + 10;
+        const ostream = new stream.PassThrough();
+        checkOutStream(ostream, 0, content.slice(offset, offset + stripeSize), err => {
+            assert.deepStrictEqual(counters.map(c => c.read), [
+                0, 3 * stripeSize, 3 * stripeSize, 0, 0,
+            ]);
+            done(err);
+        });
+        ecstream.decodeRange(ostream, offset, stripeSize, content.length,
+                             streams.slice(0, k), streams.slice(k), stripeSize);
+    });
+
+    mocha.it('Release inputs after the range', function (done) {
+        const offset = stripeBytes + 10;
+        const content1 = content.slice(offset, offset + 20);
+        const streams = fragments.map(f => streamMe(f));
+        const ostream = new stream.PassThrough();
+        checkOutStream(ostream, 0, content1, err => {
+            assert.ok(streams[0].destroyed);
+            assert.ok(streams.slice(1).every(s => !s.destroyed && s.readableFlowing !== true));
+            // Left to the caller with 'release' policy
+            const released = fragments.map(f => streamMe(f));
+            const routput = new stream.PassThrough();
+            checkOutStream(routput, 0, content1, rerr => {
+                assert.ok(released.every(s => !s.destroyed));
+                assert.strictEqual(released[0].read(4).length, 4);
+                done(err || rerr);
+            });
+            ecstream.decodeRange(routput, offset, 20, content.length,
+                                 released.slice(0, k), released.slice(k), stripeSize,
+                                 { abortPolicy: 'release' });
+        });
+        ecstream.decodeRange(ostream, offset, 20, content.length,
+                             streams.slice(0, k), streams.slice(k), stripeSize);
+    });
+
+    mocha.it('Range with header and checksums', function (done) {
+        const options = { header: true, checksum: true };
+        bufferEncodedObject(content, k, m, stripeSize, options).then(encoded => {
+            const offset = 3 * stripeBytes + 1;
+            const ostream = new stream.PassThrough();
+            checkOutStream(ostream, 0, content.slice(offset, offset + 1000), done);
+            const streams = encoded.map(f => streamMe(f));
+            streams[1] = null;
+            ecstream.decodeRangeAsync(ostream, offset, 1000, content.length,
+                                      streams.slice(0, k), streams.slice(k), stripeSize,
+                                      { header: true })
+                .catch(done);
+        }).catch(done);
+    });
+
+    mocha.it('Plan reads', function () {
+        const layout = { k, m, stripeSize, size: content.length };
+        const offset = stripeBytes + 10;
+        const plan = ecstream.planRead(layout, offset, 300, [0, 1, 2, 3, 4]);
+        assert.deepStrictEqual(plan, {
+            firstStripe: 1,
+            endStripe: 2,
+            sources: [0, 1],
+            reconstruct: false,
+            fragments: [
+                { firstStripe: 1, endStripe: 2, start: stripeSize, end: 2 * stripeSize },
+                { firstStripe: 1, endStripe: 2, start: stripeSize, end: 2 * stripeSize },
+                null, null, null,
+            ],
+            trim: { start: 10, end: 310 },
+        });
+
+        // Only data fragment 2 is missing, but it is not needed
+        assert.deepStrictEqual(ecstream.planRead(layout, offset, 300, [0, 1, 4]).sources, [0, 1]);
+        assert.strictEqual(ecstream.planRead(layout, offset, 300, [0, 1]).reconstruct, false);
+    });
+
+    mocha.it('Plan degraded reads', function () {
+        const layout = { k, m, stripeSize, size: content.length, header: true, checksum: true };
+        const chunkSize = stripeSize + 4;
+        const offset = 5 * stripeBytes - 5;
+        const plan = ecstream.planRead(layout, offset, 105, [4, 3, 2]);
+        assert.strictEqual(plan.reconstruct, true);
+        assert.deepStrictEqual(plan.sources, [2, 3, 4]);
+        assert.deepStrictEqual(plan.fragments[3], {
+            firstStripe: 4,
+            endStripe: 6,
+            start: ecstream.HEADER_SIZE + 4 * chunkSize,
+            end: ecstream.HEADER_SIZE + 6 * chunkSize,
+        });
+        assert.strictEqual(plan.fragments[0], null);
+        assert.deepStrictEqual(plan.trim, { start: stripeBytes - 5, end: stripeBytes + 100 });
+        assert.strictEqual(ecstream.planRead(layout, offset, 105, [0, 4]), null);
+    });
+
+    [
+        ['sparse', [0, 1, 2, 3, 4]],
+        ['degraded', [1, 3, 4]],
+    ].forEach(([name, available]) => {
+        mocha.it(`Decode ${name} planned ranges`, function (done) {
+            const options = { checksum: true };
+            bufferEncodedObject(content, k, m, stripeSize, options).then(encoded => {
+                const offset = 2 * stripeBytes + 300;
+                const length = stripeBytes;
+                const plan = ecstream.planRead(
+                    { k, m, stripeSize, size: content.length, checksum: true },
+                    offset, length, available);
+                const streams = plan.fragments.map(
+                    (f, i) => (f ? streamMe(encoded[i].slice(f.start, f.end)) : null));
+                const ostream = new stream.PassThrough();
+                checkOutStream(ostream, 0, content.slice(offset, offset + length), done);
+                ecstream.decodeRange(ostream, offset, length, content.length,
+                                     streams.slice(0, k), streams.slice(k), stripeSize,
+                                     { checksum: true, ranged: true });
+            }).catch(done);
+        });
+    });
+
+    mocha.it('Range out of object', function () {
+        assert.throws(() => ecstream.decodeRange(
+            new stream.PassThrough(), content.length - 10, 20, content.length,
+            fragments.slice(0, k).map(f => streamMe(f)), [null, null], stripeSize),
+                      assert.AssertionError);
+    });
+});
@@ -0,0 +1,156 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const crypto = require('crypto');
+const Module = require('module');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, streamMe } = require('./utils');
+const { popCount } = require('../lib/bitfield');
+
+const js = ecstream.jsReedSolomonCodec;
+const native = ecstream.nativeReedSolomonCodec;
+
+
+/**
+ * Encode a stripe with a codec
+ *
+ * @param {Object} codec - Codec to use
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} sources - Bitfield, parts to use as input
+ * @param {Number} targets - Bitfield, parts to compute
+ * @param {Buffer} dataBuffer - Data parts
+ * @param {Buffer} parityBuffer - Parity parts
+ * @return {Promise} resolved once encoded
+ */
+function encodeStripe(codec, k, m, sources, targets, dataBuffer, parityBuffer) {
+    const context = codec.create(k, m);
+    return new Promise((resolve, reject) => codec.encode(
+        context, sources, targets, dataBuffer, parityBuffer,
+        err => (err ? reject(err) : resolve())));
+}
+
+
+mocha.describe('JavaScript Reed-Solomon test suite', function () {
+    mocha.it('Default codec', function (done) {
+        assert.strictEqual(ecstream.reedSolomonCodec, native || js);
+        assert.strictEqual(js.name, 'reed-solomon');
+        done();
+    });
+
+    mocha.it('Fall back when native addon is missing', function (done) {
+        const codecPath = require.resolve('../lib/codec');
+        const cached = require.cache[codecPath];
+        const load = Module._load;
+        delete require.cache[codecPath];
+        Module._load = function (request, ...args) {
+            if (request === '@ronomon/reed-solomon') {
+                throw new Error('Cannot find module');
+            }
+            return load.call(this, request, ...args);
+        };
+        try {
+            const codec = require(codecPath); // eslint-disable-line global-require
+            assert.strictEqual(codec.nativeReedSolomonCodec, null);
+            assert.strictEqual(codec.reedSolomonCodec.implementation, 'javascript');
+        } finally {
+            Module._load = load;
+            require.cache[codecPath] = cached;
+        }
+        done();
+    });
+
+    mocha.it('Reconstruct any erasures', function (done) {
+        const codes = [[1, 3], [2, 1], [4, 2], [3, 5], [9, 3], [24, 6]];
+        const shardSize = 64;
+        let chain = Promise.resolve();
+        codes.forEach(([k, m]) => {
+            const n = k + m;
+            const data = crypto.randomBytes(k * shardSize);
+            const parity = Buffer.alloc(m * shardSize);
+            chain = chain.then(() => encodeStripe(js, k, m, (1 << k) - 1, ((1 << m) - 1) << k, data, parity));
+            // Every erasure pattern, sampled for large codes
+            for (let erased = 1; erased < (1 << n); erased += n > 12 ? 99991 : 1) {
+                if (popCount(erased) <= m) {
+                    chain = chain.then(() => {
+                        const d = Buffer.from(data);
+                        const p = Buffer.from(parity);
+                        for (let i = 0; i < n; ++i) {
+                            if ((erased & (1 << i)) !== 0) {
+                                const j = i < k ? i : i - k;
+                                (i < k ? d : p).fill(0, j * shardSize, (j + 1) * shardSize);
+                            }
+                        }
+                        return encodeStripe(js, k, m, ((1 << n) - 1) & ~erased, erased, d, p)
+                            .then(() => {
+                                assert.ok(d.equals(data), `${k}+${m}, erased ${erased}`);
+                                assert.ok(p.equals(parity), `${k}+${m}, erased ${erased}`);
+                            });
+                    });
+                }
+            }
+        });
+        chain.then(() => done()).catch(done);
+    });
+});
+
+
+(native ? mocha.describe : mocha.describe.skip)('Cross codec test suite', function () {
+    mocha.it('Same parity as native codec', function (done) {
+        let chain = Promise.resolve();
+        for (let k = 1; k <= js.maxK; ++k) {
+            for (let m = 1; m <= js.maxM; ++m) {
+                // Large parts use smaller packets (see getPacketSize)
+                const shardSize = [8, 136, 65536][(k + m) % 3];
+                const data = crypto.randomBytes(k * shardSize);
+                const parities = [Buffer.alloc(m * shardSize), Buffer.alloc(m * shardSize)];
+                chain = chain
+                    .then(() => Promise.all([js, native].map((codec, i) => encodeStripe(
+                        codec, k, m, (1 << k) - 1, ((1 << m) - 1) << k, data, parities[i]))))
+                    .then(() => assert.ok(parities[0].equals(parities[1]), `${k}+${m}`));
+            }
+        }
+        chain.then(() => done()).catch(done);
+    });
+
+    mocha.it('Decode and repair fragments of the other codec', function (done) {
+        const k = 5;
+        const m = 3;
+        const stripeSize = 4096;
+        const content = crypto.randomBytes(7 * k * stripeSize + 1234);
+        Promise.all([js, native].map(codec => bufferEncodedObject(content, k, m, stripeSize, { codec })))
+            .then(([jsFragments, nativeFragments]) => {
+                jsFragments.forEach((f, i) => assert.ok(f.equals(nativeFragments[i])));
+                return Promise.all([[js, nativeFragments], [native, jsFragments]].map(([codec, fragments]) => {
+                    const output = collector();
+                    const streams = fragments.map(f => streamMe(f));
+                    streams[0] = null;
+                    streams[3] = null;
+                    streams[6] = null;
+
+                    const istreams = fragments.map(f => streamMe(f));
+                    istreams[1] = null;
+                    istreams[5] = null;
+                    const repaired = fragments.map(() => null);
+                    repaired[1] = collector();
+                    repaired[5] = collector();
+
+                    return Promise.all([
+                        ecstream.decodeAsync(output, content.length, streams.slice(0, k), streams.slice(k), stripeSize, { codec }),
+                        ecstream.repairAsync(k, m, istreams, repaired, content.length, stripeSize, { codec }),
+                    ]).then(() => {
+                        assert.ok(Buffer.concat(output.chunks).equals(content));
+                        assert.ok(Buffer.concat(repaired[1].chunks).equals(fragments[1]));
+                        assert.ok(Buffer.concat(repaired[5].chunks).equals(fragments[5]));
+                    });
+                }));
+            })
+            .then(() => done())
+            .catch(done);
+    });
+});
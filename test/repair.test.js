@@ -8,29 +8,7 @@ const stream = require('stream');
 const crypto = require('crypto');
 
 const ecstream = require('../index');
-const { checkOutStream, streamMe } = require('./utils');
-
-
-function bufferEncodedObject(data, k, m, stripeSize) {
-    const input = streamMe(data);
-    const dataStreams = [...Array(k).keys()].map(
-        () => new stream.PassThrough());
-    const parityStreams = [...Array(m).keys()].map(
-        () => new stream.PassThrough());
-
-    ecstream.encode(
-        input, data.length,
-        dataStreams, parityStreams, stripeSize);
-
-    const promises = [...dataStreams, ...parityStreams].map(
-        stream => new Promise(resolve => {
-            const buffers = [];
-            stream.on('data', chunk => buffers.push(chunk));
-            stream.on('end', () => resolve(Buffer.concat(buffers)));
-        }));
-
-    return Promise.all(promises);
-}
+const { bufferEncodedObject, checkOutStream, streamMe } = require('./utils');
 
 
 mocha.describe('Repair test suite', function () {
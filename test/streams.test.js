@@ -0,0 +1,115 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, streamMe } = require('./utils');
+
+
+mocha.describe('Stream classes test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 1024;
+    const content = crypto.randomBytes(5 * k * stripeSize + 123);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Encode through pipeline', function (done) {
+        const encoder = new ecstream.EncodeStream(k, m, content.length, stripeSize);
+        const outputs = encoder.fragments.map(() => collector());
+        encoder.fragments.forEach((f, i) => f.pipe(outputs[i]));
+        stream.pipeline(streamMe(content, 1000), encoder, err => {
+            assert.ifError(err);
+            outputs.forEach((o, i) => assert.ok(Buffer.concat(o.chunks).equals(fragments[i])));
+            done();
+        });
+    });
+
+    mocha.it('Encode unknown length with small buffers', function (done) {
+        const encoder = new ecstream.EncodeStream(k, m, null, stripeSize,
+                                                  { highWaterMark: 100, concurrency: 2 });
+        assert.strictEqual(encoder.writableHighWaterMark, 100);
+        const outputs = encoder.fragments.map(() => collector());
+        encoder.fragments.forEach((f, i) => f.pipe(outputs[i]));
+        stream.pipeline(streamMe(content, 1000), encoder, err => {
+            assert.ifError(err);
+            assert.strictEqual(encoder.context.size, content.length);
+            outputs.forEach((o, i) => assert.ok(Buffer.concat(o.chunks).equals(fragments[i])));
+            done();
+        });
+    });
+
+    mocha.it('Decode through pipeline', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[1] = null;
+        streams[3] = null;
+        const decoder = new ecstream.DecodeStream(
+            content.length, streams.slice(0, k), streams.slice(k), stripeSize,
+            { highWaterMark: 512 });
+        const output = collector();
+        stream.pipeline(decoder, output, err => {
+            assert.ifError(err);
+            assert.ok(Buffer.concat(output.chunks).equals(content));
+            done();
+        });
+    });
+
+    mocha.it('Decode a range', function (done) {
+        const decoder = new ecstream.DecodeStream(
+            content.length, fragments.slice(0, k).map(f => streamMe(f)), [null, null], stripeSize,
+            { range: { offset: 5000, length: 7000 } });
+        const output = collector();
+        stream.pipeline(decoder, output, err => {
+            assert.ifError(err);
+            assert.ok(Buffer.concat(output.chunks).equals(content.slice(5000, 12000)));
+            done();
+        });
+    });
+
+    mocha.it('Decoding error fails pipeline', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        streams[0] = null;
+        streams[1] = null;
+        streams[2] = null;
+        const decoder = new ecstream.DecodeStream(
+            content.length, streams.slice(0, k), streams.slice(k), stripeSize);
+        stream.pipeline(decoder, collector(), err => {
+            assert.strictEqual(err.message, 'Not enough parts for decoding: 3 < 4');
+            done();
+        });
+    });
+
+    mocha.it('Destroy decoder and its sources', function (done) {
+        const streams = fragments.map(f => streamMe(f));
+        const decoder = new ecstream.DecodeStream(
+            content.length, streams.slice(0, k), streams.slice(k), stripeSize);
+        decoder.once('close', () => {
+            assert.ok(streams.every(s => s.destroyed));
+            done();
+        });
+        decoder.destroy();
+    });
+
+    mocha.it('Destroy encoder and its fragments', function (done) {
+        const encoder = new ecstream.EncodeStream(k, m, content.length, stripeSize);
+        encoder.once('error', err => {
+            assert.strictEqual(err.message, 'Aborted');
+            assert.ok(encoder.fragments.every(s => s.destroyed));
+            done();
+        });
+        encoder.write(content.slice(0, 1000));
+        encoder.destroy(new Error('Aborted'));
+    });
+});
@@ -0,0 +1,109 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, streamMe } = require('./utils');
+
+
+mocha.describe('Transcode test suite', function () {
+    const content = crypto.randomBytes(20000);
+
+    mocha.it('Change k, m and stripe size', function (done) {
+        const src = { k: 4, m: 2, stripeSize: 1000, checksum: true };
+        const dst = { k: 9, m: 3, stripeSize: 300, header: true, codec: ecstream.wideReedSolomonCodec };
+        bufferEncodedObject(content, src.k, src.m, src.stripeSize, { checksum: true })
+            .then(fragments => {
+                const srcStreams = fragments.map(f => streamMe(f, 700));
+                srcStreams[1] = null;
+                srcStreams[4] = null;
+                const dstStreams = [...Array(dst.k + dst.m).keys()].map(() => collector());
+                const context = ecstream.transcode(src, srcStreams, dst, dstStreams, content.length, { digest: 'sha256' });
+                assert.strictEqual(context.source.k, 4);
+                return context.promise().then(() => {
+                    assert.strictEqual(context.manifest.codec, 'wide-reed-solomon');
+                    assert.strictEqual(context.manifest.stripeSize, 304);
+                    assert.strictEqual(context.source.processedBytes, content.length);
+                    // Decoded back from the manifest
+                    const output = collector();
+                    const transcoded = dstStreams.map(s => streamMe(Buffer.concat(s.chunks)));
+                    [0, 5, 10].forEach(i => {
+                        transcoded[i] = null;
+                    });
+                    return ecstream.decodeAsync(output, context.manifest, transcoded)
+                        .then(() => assert.ok(Buffer.concat(output.chunks).equals(content)));
+                });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Add parity, reusing data fragments', function (done) {
+        const options = { checksum: true };
+        Promise.all([
+            bufferEncodedObject(content, 4, 2, 1024, options),
+            bufferEncodedObject(content, 4, 4, 1024, options),
+        ])
+            .then(([fragments, expected]) => {
+                const srcStreams = fragments.map(f => streamMe(f));
+                const dstStreams = [null, null, null, null, collector(), collector(), collector(), collector()];
+                const src = { k: 4, m: 2, stripeSize: 1024, checksum: true };
+                const dst = { k: 4, m: 4, stripeSize: 1024, checksum: true };
+                assert.throws(() => ecstream.transcode(src, srcStreams, Object.assign({}, dst, { header: true }), dstStreams, content.length),
+                              /Data fragments can only be reused/);
+                return ecstream.transcodeAsync(src, srcStreams, dst, dstStreams, content.length)
+                    .then(context => {
+                        assert.strictEqual(context.source, null);
+                        assert.strictEqual(context.manifest, null);
+                        dstStreams.slice(4).forEach((s, i) => assert.ok(Buffer.concat(s.chunks).equals(expected[4 + i])));
+                        // Missing source data fragment, decoded to compute parity
+                        const degraded = fragments.map(f => streamMe(f));
+                        degraded[1] = null;
+                        const parityStreams = [null, null, null, null, collector(), collector(), collector(), collector()];
+                        return ecstream.transcodeAsync(src, degraded, dst, parityStreams, content.length);
+                    })
+                    .then(context => {
+                        assert.notStrictEqual(context.source, null);
+                        assert.strictEqual(context.manifest.m, 4);
+                        context.ostreams.slice(4).forEach((s, i) => assert.ok(Buffer.concat(s.chunks).equals(expected[4 + i])));
+                    });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Fail with the source', function (done) {
+        bufferEncodedObject(content, 4, 2, 1024)
+            .then(fragments => {
+                const srcStreams = fragments.map(f => streamMe(f));
+                // Source failing while being read, without spare
+                srcStreams[2] = new stream.Readable({
+                    read() {
+                        this.emit('error', new Error('Disk failure'));
+                    },
+                });
+                srcStreams[5] = null;
+                const dstStreams = [...Array(5).keys()].map(() => collector());
+                let outputError = null;
+                dstStreams[0].on('error', e => {
+                    outputError = e;
+                });
+                return ecstream.transcodeAsync({ k: 4, m: 2, stripeSize: 1024 }, srcStreams, { k: 3, m: 2, stripeSize: 1024 },
+                                               dstStreams, content.length, { failover: false })
+                    .then(() => assert.fail('Unreachable'), err => {
+                        assert.strictEqual(err.message, 'Disk failure');
+                        assert.strictEqual(err.streamIndex, 2);
+                        // Destinations get the error of the source stream
+                        assert.strictEqual(outputError, err.cause);
+                    });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+});
@@ -2,8 +2,12 @@
 /* eslint-disable max-len */
 
 const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
 const stream = require('stream');
 
+const ecstream = require('../index');
+
 
 /**
  * Create a readable stream from a buffer/string
@@ -79,7 +83,84 @@ function checkOutStream(outstream, streamId, expectedContent, callback) {
     outstream.resume();
 }
 
+
+/**
+ * Output stream collecting what is written
+ *
+ * @return {stream.PassThrough} stream, with written chunks in 'chunks'
+ */
+function collector() {
+    const s = new stream.PassThrough();
+    s.chunks = [];
+    s.on('data', chunk => s.chunks.push(chunk));
+    return s;
+}
+
+
+/**
+ * Encode a buffer, collect every produced fragment and the context
+ *
+ * @param {Buffer} data - Content to encode
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Encoding options
+ * @param {null|Number} [size] - Size given to encode, null if unknown
+ *        (default data length)
+ * @return {Promise} resolved with { context, fragments }, fragments
+ *                   being [Buffer], one per fragment
+ */
+function encodeToBuffers(data, k, m, stripeSize, options, size = data.length) {
+    const ostreams = [...Array(k + m).keys()].map(() => collector());
+    const context = ecstream.encode(
+        streamMe(data), size,
+        ostreams.slice(0, k), ostreams.slice(k), stripeSize, options);
+    return context.promise().then(() => ({
+        context,
+        fragments: ostreams.map(s => Buffer.concat(s.chunks)),
+    }));
+}
+
+
+/**
+ * Encode a buffer and collect every produced fragment
+ *
+ * @param {Buffer} data - Content to encode
+ * @param {Number} k - Number of data parts
+ * @param {Number} m - Number of parity parts
+ * @param {Number} stripeSize - Stripe size to use
+ * @param {Object} [options] - Encoding options
+ * @return {Promise} resolved with [Buffer], one per fragment
+ */
+function bufferEncodedObject(data, k, m, stripeSize, options) {
+    return encodeToBuffers(data, k, m, stripeSize, options)
+        .then(({ fragments }) => fragments);
+}
+
+
+/**
+ * Remove a directory and its content
+ *
+ * @param {String} directory - Directory to remove
+ * @return {undefined}
+ */
+function removeTree(directory) {
+    fs.readdirSync(directory).forEach(entry => {
+        const entryPath = path.join(directory, entry);
+        if (fs.statSync(entryPath).isDirectory()) {
+            removeTree(entryPath);
+        } else {
+            fs.unlinkSync(entryPath);
+        }
+    });
+    fs.rmdirSync(directory);
+}
+
 module.exports = {
+    bufferEncodedObject,
     checkOutStream,
+    collector,
+    encodeToBuffers,
+    removeTree,
     streamMe,
 };
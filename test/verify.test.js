@@ -0,0 +1,140 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, streamMe } = require('./utils');
+
+
+mocha.describe('Verify test suite', function () {
+    const k = 4;
+    const m = 2;
+    const stripeSize = 512;
+    const content = crypto.randomBytes(3 * k * stripeSize + 5);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Healthy object', function (done) {
+        ecstream.verify(k, m, fragments.map(f => streamMe(f)),
+                        content.length, stripeSize, (err, report) => {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(report, {
+                                healthy: true,
+                                nStripe: 4,
+                                checkedStripes: 4,
+                                missing: [],
+                                truncated: [],
+                                checksumErrors: [],
+                                mismatches: [],
+                                unrecoverable: [],
+                            });
+                            done();
+                        });
+    });
+
+    mocha.it('Missing fragments', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[1] = null;
+        istreams[4] = null;
+        ecstream.verify(k, m, istreams, content.length, stripeSize, (err, report) => {
+            assert.ifError(err);
+            assert.strictEqual(report.healthy, false);
+            assert.deepStrictEqual(report.missing, [1, 4]);
+            assert.strictEqual(report.checkedStripes, 0);
+            assert.deepStrictEqual(report.mismatches, []);
+            done();
+        });
+    });
+
+    mocha.it('Corrupted fragment', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        const corrupted = Buffer.from(fragments[5]);
+        corrupted[2 * stripeSize + 1] ^= 0x4;
+        istreams[5] = streamMe(corrupted);
+        ecstream.verify(k, m, istreams, content.length, stripeSize, (err, report) => {
+            assert.ifError(err);
+            assert.strictEqual(report.healthy, false);
+            assert.deepStrictEqual(report.mismatches, [
+                { stripe: 2, parts: [5], corrupted: 5 },
+            ]);
+            done();
+        });
+    });
+
+    mocha.it('Truncated fragments', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[0] = streamMe(fragments[0].slice(0, 2 * stripeSize + 100));
+        istreams[3] = streamMe(fragments[3].slice(0, stripeSize));
+        ecstream.verify(k, m, istreams, content.length, stripeSize, (err, report) => {
+            assert.ifError(err);
+            assert.strictEqual(report.healthy, false);
+            assert.deepStrictEqual(report.truncated, [
+                { stripe: 1, index: 3 },
+                { stripe: 2, index: 0 },
+            ]);
+            assert.strictEqual(report.checkedStripes, 2);
+            assert.deepStrictEqual(report.unrecoverable, []);
+            done();
+        });
+    });
+
+    mocha.it('Unrecoverable stripes', function (done) {
+        const istreams = fragments.map(f => streamMe(f.slice(0, 3 * stripeSize)));
+        istreams[0] = streamMe(fragments[0]);
+        istreams[1] = streamMe(fragments[1]);
+        istreams[2] = streamMe(fragments[2]);
+        ecstream.verify(k, m, istreams, content.length, stripeSize, (err, report) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(report.unrecoverable, [3]);
+            assert.strictEqual(report.truncated.length, 3);
+            done();
+        });
+    });
+
+    mocha.it('Checksum errors', function (done) {
+        bufferEncodedObject(content, k, m, stripeSize, { checksum: true }).then(encoded => {
+            const istreams = encoded.map(f => streamMe(f));
+            const corrupted = Buffer.from(encoded[2]);
+            corrupted[10] ^= 0x1;
+            istreams[2] = streamMe(corrupted);
+            ecstream.verify(k, m, istreams, content.length, stripeSize, { checksum: true }, (err, report) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(report.checksumErrors, [{ stripe: 0, index: 2 }]);
+                assert.deepStrictEqual(report.mismatches, []);
+                assert.strictEqual(report.checkedStripes, 4);
+                done();
+            });
+        }).catch(done);
+    });
+
+    mocha.it('Not enough parts', function (done) {
+        ecstream.verify(k, m, [null, null, null, streamMe(fragments[3]), null, null],
+                        content.length, stripeSize, err => {
+                            assert.strictEqual(err.message, 'Not enough parts for verifying: 1 < 4');
+                            done();
+                        });
+    });
+
+    mocha.it('Input stream error', function (done) {
+        const istreams = fragments.map(f => streamMe(f));
+        istreams[2] = new stream.PassThrough();
+        istreams[2].write(fragments[2].slice(0, 100));
+        setTimeout(() => istreams[2].emit('error', new Error('On purpose...')), 20);
+        ecstream.verify(k, m, istreams, content.length, stripeSize, err => {
+            assert.strictEqual(err.message, 'On purpose...');
+            done();
+        });
+    });
+});
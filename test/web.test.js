@@ -0,0 +1,187 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const crypto = require('crypto');
+const webStreams = (() => {
+    try {
+        return require('stream/web'); // eslint-disable-line global-require
+    } catch (err) {
+        return null; // Node.js before 16.5
+    }
+})();
+const { ReadableStream, WritableStream } = webStreams || {};
+
+const ecstream = require('../index');
+const { bufferEncodedObject, streamMe } = require('./utils');
+
+
+/**
+ * ReadableStream of a buffer, counting pulled chunks
+ *
+ * @param {Buffer} buffer - Content to stream
+ * @param {Number} chunkSize - Size of enqueued chunks
+ * @param {Object} [counter] - Gets pulled chunks in 'pulled' field
+ * @return {ReadableStream} stream of Uint8Array chunks
+ */
+function webSource(buffer, chunkSize, counter = {}) {
+    let offset = 0;
+    counter.pulled = 0; // eslint-disable-line no-param-reassign
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= buffer.length) {
+                controller.close();
+                return;
+            }
+            counter.pulled++; // eslint-disable-line no-param-reassign
+            controller.enqueue(new Uint8Array(buffer.slice(offset, offset + chunkSize)));
+            offset += chunkSize;
+        },
+    }, { highWaterMark: 1 });
+}
+
+
+/**
+ * WritableStream collecting everything written
+ *
+ * @param {Function} [delay] - Called with every chunk, returns a Promise
+ *                             delaying its acceptance
+ * @return {WritableStream} stream, with written chunks in 'chunks'
+ */
+function webSink(delay) {
+    const chunks = [];
+    const s = new WritableStream({
+        write(chunk) {
+            chunks.push(Buffer.from(chunk));
+            return delay ? delay(chunk) : undefined;
+        },
+    }, { highWaterMark: 1 });
+    s.chunks = chunks;
+    return s;
+}
+
+
+/**
+ * Read a whole ReadableStream
+ *
+ * @param {ReadableStream} s - Stream to read
+ * @return {Promise} resolved with read bytes
+ */
+function readAll(s) {
+    const reader = s.getReader();
+    const chunks = [];
+    const next = () => reader.read().then(({ done, value }) => {
+        if (done) {
+            return Buffer.concat(chunks);
+        }
+        chunks.push(Buffer.from(value));
+        return next();
+    });
+    return next();
+}
+
+
+(webStreams ? mocha.describe : mocha.describe.skip)('Web Streams test suite', function () {
+    const k = 3;
+    const m = 2;
+    const stripeSize = 1024;
+    const content = crypto.randomBytes(6 * k * stripeSize + 77);
+    let fragments = null;
+
+    mocha.before(function (done) {
+        bufferEncodedObject(content, k, m, stripeSize).then(encoded => {
+            fragments = encoded;
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Encode Web Streams', function (done) {
+        const sinks = fragments.map(() => webSink());
+        ecstream.encodeAsync(webSource(content, 1000), content.length,
+                             sinks.slice(0, k), sinks.slice(k), stripeSize)
+            .then(() => {
+                sinks.forEach((s, i) => assert.ok(Buffer.concat(s.chunks).equals(fragments[i])));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Decode mixed Web and Node streams', function (done) {
+        const streams = fragments.map((f, i) => (i % 2 ? webSource(f, 700) : streamMe(f)));
+        streams[0] = null;
+        const sink = webSink();
+        ecstream.decodeAsync(sink, content.length, streams.slice(0, k), streams.slice(k), stripeSize)
+            .then(() => {
+                assert.ok(Buffer.concat(sink.chunks).equals(content));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Back pressure from writer readiness', function (done) {
+        const large = crypto.randomBytes(40 * k * stripeSize);
+        const counter = {};
+        let release = null;
+        const blocked = new Promise(resolve => {
+            release = resolve;
+        });
+        const sinks = fragments.map(() => webSink());
+        // First fragment does not accept anything until released
+        sinks[0] = webSink(() => blocked);
+        const encoding = ecstream.encodeAsync(
+            webSource(large, 1024, counter), large.length,
+            sinks.slice(0, k), sinks.slice(k), stripeSize);
+        setTimeout(() => {
+            // Input is read ahead by a few stripes only
+            assert.ok(counter.pulled < 40 * k / 2);
+            release();
+            encoding.then(() => {
+                assert.strictEqual(counter.pulled, 40 * k);
+                done();
+            }).catch(done);
+        }, 50);
+    });
+
+    mocha.it('Web round trip', function (done) {
+        const encoded = ecstream.encodeWeb(webSource(content, 4096), content.length, k, m, stripeSize);
+        const inputs = encoded.fragments.slice();
+        // Encoding is paced by every fragment
+        readAll(inputs[1]).catch(done);
+        inputs[1] = null;
+        const decoded = ecstream.decodeWeb(
+            content.length, inputs.slice(0, k), inputs.slice(k), stripeSize);
+        readAll(decoded).then(bytes => {
+            assert.ok(bytes.equals(content));
+            done();
+        }).catch(done);
+    });
+
+    mocha.it('Repair into Web Streams', function (done) {
+        const inputs = fragments.map(f => webSource(f, 2048));
+        inputs[2] = null;
+        inputs[4] = null;
+        const repaired = ecstream.repairWeb(k, m, inputs, content.length, stripeSize);
+        assert.strictEqual(repaired.fragments[0], null);
+        Promise.all([readAll(repaired.fragments[2]), readAll(repaired.fragments[4])])
+            .then(([f2, f4]) => {
+                assert.ok(f2.equals(fragments[2]));
+                assert.ok(f4.equals(fragments[4]));
+                done();
+            }).catch(done);
+    });
+
+    mocha.it('Failing Web input', function (done) {
+        const input = new ReadableStream({
+            start(controller) {
+                controller.enqueue(new Uint8Array(content.slice(0, 100)));
+                setTimeout(() => controller.error(new Error('Upstream failure')), 10);
+            },
+        });
+        const encoded = ecstream.encodeWeb(input, content.length, k, m, stripeSize);
+        readAll(encoded.fragments[0]).then(() => assert.fail('Unreachable'), err => {
+            assert.strictEqual(err.message, 'Upstream failure');
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict'; // eslint-disable-line strict
+/* eslint-disable max-len */
+/* eslint-disable prefer-arrow-callback */ // Mocha recommends not using => func
+/* eslint-disable func-names */
+/* global BigInt */
+
+const assert = require('assert');
+const mocha = require('mocha');
+const stream = require('stream');
+const crypto = require('crypto');
+
+const ecstream = require('../index');
+const { bufferEncodedObject, collector, streamMe } = require('./utils');
+const { bitIndexes, getBitfields, lowestBits, popCount } = require('../lib/bitfield');
+
+const codec = ecstream.wideReedSolomonCodec;
+
+
+mocha.describe('Bitfield test suite', function () {
+    mocha.it('Number and BigInt bitfields', function (done) {
+        const narrow = getBitfields(30);
+        const wide = getBitfields(31);
+        assert.strictEqual(narrow.wide, false);
+        assert.strictEqual(wide.wide, true);
+        assert.strictEqual(narrow.mask(3, 2), 4 + 8 + 16);
+        assert.strictEqual(wide.mask(3, 60), BigInt(7) << BigInt(60));
+        assert.ok(wide.has(wide.bit(70), 70));
+        assert.ok(!wide.has(wide.bit(70), 69));
+
+        const bits = wide.bit(1) | wide.bit(40) | wide.bit(63) | wide.bit(100);
+        assert.strictEqual(popCount(bits), 4);
+        assert.strictEqual(lowestBits(bits, 2), wide.bit(1) | wide.bit(40));
+        assert.strictEqual(lowestBits(bits, 0), wide.zero);
+        assert.deepStrictEqual(bitIndexes(bits), [1, 40, 63, 100]);
+        assert.deepStrictEqual(bitIndexes(narrow.mask(3, 27)), [27, 28, 29]);
+        done();
+    });
+});
+
+
+mocha.describe('Wide stripe test suite', function () {
+    mocha.it('Decode 48 + 8 with any 8 lost parts', function (done) {
+        const k = 48;
+        const m = 8;
+        const stripeSize = 256;
+        const content = crypto.randomBytes(5 * k * stripeSize + 100);
+        bufferEncodedObject(content, k, m, stripeSize, { codec })
+            .then(fragments => {
+                const streams = fragments.map(f => streamMe(f));
+                [0, 5, 30, 40, 47, 49, 50, 55].forEach(i => {
+                    streams[i] = null;
+                });
+                const output = collector();
+                return ecstream.decodeAsync(output, content.length, streams.slice(0, k), streams.slice(k), stripeSize, { codec })
+                    .then(context => {
+                        assert.strictEqual(typeof context.sources, 'bigint');
+                        assert.strictEqual(popCount(context.sources), k);
+                        assert.ok(Buffer.concat(output.chunks).equals(content));
+                    });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Decode a range and verify 48 + 8 with k parts', function (done) {
+        const k = 48;
+        const m = 8;
+        const stripeSize = 256;
+        const content = crypto.randomBytes(3 * k * stripeSize + 100);
+        bufferEncodedObject(content, k, m, stripeSize, { codec })
+            .then(fragments => {
+                const output = collector();
+                const offset = k * stripeSize + 1000;
+                const streams = fragments.map(f => streamMe(f));
+                const degraded = fragments.map((f, i) => (i < k ? streamMe(f) : null));
+                return Promise.all([
+                    ecstream.decodeRangeAsync(output, offset, 5000, content.length,
+                                              streams.slice(0, k), streams.slice(k), stripeSize, { codec }),
+                    ecstream.verifyAsync(k, m, degraded, content.length, stripeSize, { codec }),
+                ]).then(([, report]) => {
+                    assert.ok(Buffer.concat(output.chunks).equals(content.slice(offset, offset + 5000)));
+                    assert.deepStrictEqual(report.mismatches, []);
+                });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Repair 64 + 12 with headers, checksums and failover', function (done) {
+        const k = 64;
+        const m = 12;
+        const stripeSize = 128;
+        const options = { codec, header: true, checksum: true, failover: true };
+        const content = crypto.randomBytes(3 * k * stripeSize + 1000);
+        bufferEncodedObject(content, k, m, stripeSize, options)
+            .then(fragments => {
+                const istreams = fragments.map(f => streamMe(f));
+                const ostreams = fragments.map(() => null);
+                [2, 63, 70, 75].forEach(i => {
+                    istreams[i] = null;
+                    ostreams[i] = collector();
+                });
+                // Source failing while being read
+                istreams[10] = new stream.Readable({
+                    read() {
+                        this.emit('error', new Error('Disk failure'));
+                    },
+                });
+                return ecstream.repairAsync(k, m, istreams, ostreams, null, null, options)
+                    .then(context => {
+                        assert.strictEqual(context.failovers.length, 1);
+                        assert.strictEqual(context.failovers[0].index, 10);
+                        assert.ok(context.failovers[0].replacement >= k);
+                        [2, 63, 70, 75].forEach(i => assert.ok(Buffer.concat(ostreams[i].chunks).equals(fragments[i])));
+                        return ecstream.verifyAsync(k, m, fragments.map(f => streamMe(f)), null, null, options);
+                    })
+                    .then(report => {
+                        assert.ok(report.healthy);
+                        assert.strictEqual(report.checkedStripes, 4);
+                    });
+            })
+            .then(() => done())
+            .catch(done);
+    });
+
+    mocha.it('Default codec limits', function (done) {
+        assert.throws(() => bufferEncodedObject(Buffer.alloc(100), 48, 8, 256), assert.AssertionError);
+        done();
+    });
+});